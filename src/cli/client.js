@@ -0,0 +1,106 @@
+/**
+ * API Client
+ * The service endpoints the CLI syncs through, authenticated with a bearer
+ * token or an API key
+ */
+
+import { CliError } from './errors.js';
+
+// Every status a live row can be in; each row is returned by exactly one
+const LIVE_STATUSES = ['published', 'reviewed', 'draft'];
+
+// Items per bulk request; each item may carry several locales
+const PUSH_BATCH_SIZE = 500;
+
+export const createClient = ({ url, token, apiKey }) => {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  else if (apiKey) headers.Authorization = `ApiKey ${apiKey}`;
+
+  const request = async (method, pathname, body) => {
+    let response;
+    try {
+      response = await fetch(`${url}${pathname}`, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch (error) {
+      throw new CliError(`Cannot reach ${url}: ${error.cause?.message || error.message}`);
+    }
+
+    // A proxy or misconfigured URL can answer 200 with HTML or an empty body
+    const payload = await response.json().catch(() => null);
+    if (!payload || typeof payload !== 'object') {
+      throw new CliError(response.ok
+        ? `${method} ${pathname} did not return a JSON response; check the service URL`
+        : `${method} ${pathname} failed with HTTP ${response.status}`);
+    }
+    return { status: response.status, payload };
+  };
+
+  const failure = ({ status, payload }) => new CliError(
+    `${payload.error} (${payload.code || `HTTP ${status}`})${payload.details
+      ? `\n${payload.details.map(detail => `  ${detail.field || detail.key || ''} ${detail.message}`).join('\n')}`
+      : ''}`
+  );
+
+  /**
+   * Live values of a namespace as `{ [locale]: { [key]: value } }`, without
+   * locale fallback. `locales` defaults to every enabled locale.
+   */
+  const fetchNamespace = async (namespace, locales) => {
+    const values = {};
+
+    for (const status of LIVE_STATUSES) {
+      const query = new URLSearchParams({ status, fallback: 'false' });
+      if (locales?.length) query.set('locales', locales.join(','));
+
+      const response = await request('GET', `/api/i18n/${encodeURIComponent(namespace)}?${query}`);
+      if (!response.payload.success) throw failure(response);
+
+      Object.entries(response.payload.data).forEach(([locale, bundle]) => {
+        values[locale] = { ...values[locale], ...bundle };
+      });
+    }
+
+    return values;
+  };
+
+  /**
+   * Upsert `{ namespace, key, translations }` items in batches. Each batch
+   * is atomic, so an invalid row stops the push before that batch is written.
+   */
+  const pushItems = async (items, { mode = 'merge' } = {}) => {
+    const summary = {};
+
+    for (let start = 0; start < items.length; start += PUSH_BATCH_SIZE) {
+      const response = await request('POST', '/api/i18n/keys/bulk', {
+        items: items.slice(start, start + PUSH_BATCH_SIZE),
+        mode,
+        atomic: true
+      });
+
+      if (!response.payload.success) {
+        const invalid = response.payload.data?.results?.filter(result => result.errors);
+        if (!invalid) throw failure(response);
+        throw new CliError([
+          `${response.payload.error} (${response.payload.code})`,
+          ...invalid.map(result => `  ${result.namespace}:${result.key}${result.locale ? ` [${result.locale}]` : ''} ${result.errors.map(e => e.message).join('; ')}`)
+        ].join('\n'));
+      }
+
+      Object.entries(response.payload.data.summary || {}).forEach(([status, count]) => {
+        summary[status] = (summary[status] || 0) + count;
+      });
+    }
+
+    return summary;
+  };
+
+  return { fetchNamespace, pushItems };
+};
+
+export default {
+  createClient
+};
@@ -0,0 +1,197 @@
+/**
+ * CLI Commands
+ * push, pull, diff, status and extract. Each takes the loaded config, the
+ * command-line flags and `io` with `log` and `confirm`, and returns the
+ * process exit code.
+ */
+
+import { readLocaleFiles, writeLocaleFile } from './localeFiles.js';
+import { diffNamespace, formatDiffs } from './diff.js';
+import { scanSource } from './extract.js';
+import { CliError } from './errors.js';
+
+const union = (...lists) => [...new Set(lists.flat())].sort();
+
+// Namespaces the command covers: configured ones, or those that have files
+const namespacesOf = (config, local) => {
+  const namespaces = config.namespaces || Object.keys(local).sort();
+  if (namespaces.length === 0) {
+    throw new CliError(`No locale files matched ${config.pattern} in ${config.dir}; set namespaces to pull them`);
+  }
+  return namespaces;
+};
+
+// Compare files with the server over configured locales, or those that have files
+const compare = async (config, client, { includeRemoteLocales = false } = {}) => {
+  const local = await readLocaleFiles(config);
+  const diffs = [];
+  const remotes = {};
+
+  for (const namespace of namespacesOf(config, local)) {
+    const localLocales = Object.keys(local[namespace] || {});
+    const requested = config.locales || (includeRemoteLocales ? undefined : localLocales);
+    if (requested?.length === 0) continue;
+
+    const remote = await client.fetchNamespace(namespace, requested);
+    const populated = Object.keys(remote).filter(locale => Object.keys(remote[locale]).length > 0);
+    const locales = config.locales || union(localLocales, includeRemoteLocales ? populated : []);
+
+    remotes[namespace] = remote;
+    diffs.push(...diffNamespace(namespace, local[namespace], remote, locales));
+  }
+
+  return { local, remotes, diffs };
+};
+
+const confirmOrStop = async (flags, io, question) => {
+  if (flags.yes) return true;
+  if (!io.interactive) {
+    throw new CliError('Pass --yes to apply changes when not running in a terminal');
+  }
+  return io.confirm(question);
+};
+
+const countOf = (summary) => Object.entries(summary).map(([status, count]) => `${count} ${status}`).join(', ');
+
+/**
+ * Upload keys that are new or changed in the files. Keys only on the
+ * server are left alone.
+ */
+export const push = async (config, flags, { client, io }) => {
+  const { local, diffs } = await compare(config, client);
+  const pending = diffs.filter(diff => diff.localOnly.length > 0 || diff.changed.length > 0);
+
+  if (pending.length === 0) {
+    io.log('Nothing to push; the server has every key in the files.');
+    return 0;
+  }
+
+  io.log(formatDiffs(pending, 'push'));
+  if (flags['dry-run'] || !(await confirmOrStop(flags, io, 'Push these changes?'))) return 0;
+
+  const items = new Map();
+  pending.forEach(({ namespace, locale, localOnly, changed }) => {
+    [...localOnly, ...changed].forEach(({ key }) => {
+      const id = JSON.stringify([namespace, key]);
+      const item = items.get(id) || { namespace, key, translations: {} };
+      item.translations[locale] = local[namespace][locale][key];
+      items.set(id, item);
+    });
+  });
+
+  const summary = await client.pushItems([...items.values()], { mode: config.mode });
+  io.log(`Pushed: ${countOf(summary)}`);
+  return 0;
+};
+
+/**
+ * Rewrite files to match the server, including locales that only exist there
+ */
+export const pull = async (config, flags, { client, io }) => {
+  const { remotes, diffs } = await compare(config, client, { includeRemoteLocales: true });
+
+  if (diffs.length === 0) {
+    io.log('Files are up to date.');
+    return 0;
+  }
+
+  io.log(formatDiffs(diffs, 'pull'));
+  if (flags['dry-run'] || !(await confirmOrStop(flags, io, 'Write these changes to the files?'))) return 0;
+
+  for (const { namespace, locale } of diffs) {
+    const file = await writeLocaleFile(config, namespace, locale, remotes[namespace][locale] || {});
+    io.log(`Wrote ${file}`);
+  }
+  return 0;
+};
+
+/**
+ * Show what a push would change. With --exit-code, exit 1 when files and
+ * server differ, e.g. to fail CI.
+ */
+export const diff = async (config, flags, { client, io }) => {
+  const { diffs } = await compare(config, client);
+
+  if (diffs.length === 0) {
+    io.log('Files and server are in sync.');
+    return 0;
+  }
+
+  io.log(formatDiffs(diffs, 'push'));
+  return flags['exit-code'] ? 1 : 0;
+};
+
+const table = (rows) => {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column]).length)));
+  return rows.map(row => row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd()).join('\n');
+};
+
+/**
+ * Key counts per namespace and locale, in files and on the server
+ */
+export const status = async (config, flags, { client, io }) => {
+  const local = await readLocaleFiles(config);
+  const rows = [['NAMESPACE', 'LOCALE', 'FILES', 'SERVER', 'CHANGED', 'FILES ONLY', 'SERVER ONLY']];
+
+  for (const namespace of namespacesOf(config, local)) {
+    const localLocales = Object.keys(local[namespace] || {});
+    const remote = await client.fetchNamespace(namespace, config.locales);
+    const populated = Object.keys(remote).filter(locale => Object.keys(remote[locale]).length > 0);
+
+    diffNamespace(namespace, local[namespace], remote, config.locales || union(localLocales, populated))
+      .forEach(({ locale, localOnly, remoteOnly, changed }) => {
+        rows.push([
+          namespace,
+          locale,
+          Object.keys(local[namespace]?.[locale] || {}).length,
+          Object.keys(remote[locale] || {}).length,
+          changed.length,
+          localOnly.length,
+          remoteOnly.length
+        ]);
+      });
+  }
+
+  io.log(rows.length === 1 ? 'Files and server are in sync.' : table(rows));
+  return 0;
+};
+
+/**
+ * Compare keys used in source code with the keys the service defines in
+ * any locale. With --exit-code, exit 1 when code uses undefined keys.
+ */
+export const extract = async (config, flags, { client, io }) => {
+  const local = await readLocaleFiles(config);
+  const known = union(config.namespaces || [], Object.keys(local), config.defaultNamespace ? [config.defaultNamespace] : []);
+  const used = await scanSource(config.src, {
+    functions: config.functions,
+    namespaces: known,
+    defaultNamespace: config.defaultNamespace
+  });
+
+  const missing = [];
+  const unused = [];
+  for (const namespace of union(Object.keys(used), config.namespaces || [])) {
+    const remote = await client.fetchNamespace(namespace, config.locales);
+    const defined = new Set(Object.values(remote).flatMap(values => Object.keys(values)));
+    const inCode = used[namespace] || {};
+
+    Object.keys(inCode).sort()
+      .filter(key => !defined.has(key))
+      .forEach(key => missing.push(`  ${namespace}:${key}  (${inCode[key].join(', ')})`));
+    [...defined].sort()
+      .filter(key => !inCode[key])
+      .forEach(key => unused.push(`  ${namespace}:${key}`));
+  }
+
+  io.log(`In code but not in the service (${missing.length}):`);
+  if (missing.length > 0) io.log(missing.join('\n'));
+  io.log(`In the service but not in code (${unused.length}):`);
+  if (unused.length > 0) io.log(unused.join('\n'));
+
+  return flags['exit-code'] && missing.length > 0 ? 1 : 0;
+};
+
+export const COMMANDS = { push, pull, diff, status, extract };
+
+export default COMMANDS;
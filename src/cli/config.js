@@ -0,0 +1,90 @@
+/**
+ * CLI Config
+ * Settings come from `.translationsrc.json` in the working directory (or
+ * `--config`), then environment variables, then command-line flags
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { CliError } from './errors.js';
+
+export const CONFIG_FILE = '.translationsrc.json';
+
+const DEFAULTS = {
+  url: 'http://localhost:3010',
+  dir: 'locales',
+  // Where each namespace/locale file lives under `dir`
+  pattern: '{locale}/{namespace}.json',
+  // Namespace for files, and for keys in code, that do not name one
+  defaultNamespace: undefined,
+  namespaces: undefined,
+  locales: undefined,
+  // Write nested objects instead of flat keys
+  nested: false,
+  separator: '.',
+  // Source directories scanned for translation calls
+  src: ['src'],
+  functions: ['t', 'i18n.t'],
+  mode: 'merge'
+};
+
+const readConfigFile = async (file, required) => {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT' && !required) return {};
+    throw new CliError(`Cannot read config ${file}: ${error.message}`);
+  }
+};
+
+// Drop flags that were not given so they do not hide file settings
+const definedOf = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+/**
+ * Merge defaults, the config file, environment variables and `flags`.
+ * Relative paths resolve against the config file's directory.
+ */
+export const loadConfig = async (flags = {}, { cwd = process.cwd(), env = process.env } = {}) => {
+  const file = path.resolve(cwd, flags.config || CONFIG_FILE);
+  const fromFile = await readConfigFile(file, Boolean(flags.config));
+  const base = path.dirname(file);
+
+  const config = {
+    ...DEFAULTS,
+    ...fromFile,
+    ...definedOf({
+      url: env.TRANSLATIONS_URL,
+      token: env.TRANSLATIONS_TOKEN,
+      apiKey: env.TRANSLATIONS_API_KEY
+    }),
+    ...definedOf({
+      url: flags.url,
+      dir: flags.dir,
+      pattern: flags.pattern,
+      defaultNamespace: flags['default-namespace'],
+      namespaces: flags.namespace?.length ? flags.namespace : undefined,
+      locales: flags.locale?.length ? flags.locale : undefined,
+      src: flags.src?.length ? flags.src : undefined,
+      mode: flags.mode
+    })
+  };
+
+  if (!config.pattern.includes('{locale}')) {
+    throw new CliError('pattern must contain {locale}');
+  }
+  if (!config.pattern.includes('{namespace}') && !config.defaultNamespace) {
+    throw new CliError('Set defaultNamespace when pattern has no {namespace}');
+  }
+
+  return {
+    ...config,
+    url: config.url.replace(/\/+$/, ''),
+    dir: path.resolve(base, config.dir),
+    src: [].concat(config.src).map(dir => path.resolve(base, dir))
+  };
+};
+
+export default {
+  CONFIG_FILE,
+  loadConfig
+};
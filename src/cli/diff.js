@@ -0,0 +1,66 @@
+/**
+ * Diff
+ * Compares local files with the server, per namespace and locale
+ */
+
+/**
+ * Keys only in `local`, only in `remote`, and in both with other values
+ */
+export const diffValues = (local = {}, remote = {}) => {
+  const localOnly = [];
+  const remoteOnly = [];
+  const changed = [];
+
+  Object.keys(local).sort().forEach(key => {
+    if (!(key in remote)) localOnly.push({ key, value: local[key] });
+    else if (remote[key] !== local[key]) changed.push({ key, local: local[key], remote: remote[key] });
+  });
+  Object.keys(remote).sort().forEach(key => {
+    if (!(key in local)) remoteOnly.push({ key, value: remote[key] });
+  });
+
+  return { localOnly, remoteOnly, changed };
+};
+
+export const isEmptyDiff = ({ localOnly, remoteOnly, changed }) => (
+  localOnly.length === 0 && remoteOnly.length === 0 && changed.length === 0
+);
+
+/**
+ * One diff per namespace and locale in `locales`, skipping identical ones
+ */
+export const diffNamespace = (namespace, local = {}, remote = {}, locales) => (
+  locales
+    .map(locale => ({ namespace, locale, ...diffValues(local[locale], remote[locale]) }))
+    .filter(diff => !isEmptyDiff(diff))
+);
+
+const show = (value) => JSON.stringify(value);
+
+/**
+ * Render diffs for the direction about to be applied. For a push, keys only
+ * in files are added on the server; for a pull, files take the server's
+ * keys and lose their own. Keys a push cannot remove are listed as kept.
+ */
+export const formatDiffs = (diffs, direction) => diffs.map(({ namespace, locale, localOnly, remoteOnly, changed }) => {
+  const lines = [`${namespace} [${locale}]`];
+  const [adds, removes] = direction === 'pull' ? [remoteOnly, localOnly] : [localOnly, remoteOnly];
+
+  adds.forEach(({ key, value }) => lines.push(`  + ${key}: ${show(value)}`));
+  changed.forEach(({ key, local, remote }) => {
+    const [from, to] = direction === 'pull' ? [local, remote] : [remote, local];
+    lines.push(`  ~ ${key}: ${show(from)} -> ${show(to)}`);
+  });
+  removes.forEach(({ key, value }) => lines.push(direction === 'push'
+    ? `  = ${key}: only on the server, kept`
+    : `  - ${key}: ${show(value)}`));
+
+  return lines.join('\n');
+}).join('\n');
+
+export default {
+  diffValues,
+  isEmptyDiff,
+  diffNamespace,
+  formatDiffs
+};
@@ -0,0 +1,16 @@
+/**
+ * CLI Errors
+ * Failures reported to the user as a message and exit code, without a stack
+ */
+
+export class CliError extends Error {
+  constructor(message, exitCode = 1) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+  }
+}
+
+export default {
+  CliError
+};
@@ -0,0 +1,92 @@
+/**
+ * Key Extraction
+ * Finds translation keys in JavaScript and TypeScript source by scanning
+ * for calls such as `t('key')`. Keys built at runtime cannot be found and
+ * are skipped. A `namespace:key` prefix selects the namespace.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+const EXTENSIONS = new Set(['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', '.vue', '.svelte']);
+
+const IGNORED_DIRECTORIES = new Set(['node_modules', '.git', 'dist', 'build', 'coverage']);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// `t('a')`, `i18n.t("b")` or t(`c`) as the first argument, not `format('x')`
+const callPattern = (functions) => new RegExp(
+  `(?<![\\w$.])(?:${functions.map(escapeRegex).join('|')})\\(\\s*(['"\`])((?:\\\\.|(?!\\1)[^\\\\])*)\\1`,
+  'g'
+);
+
+const sourceFiles = async (dir, files = []) => {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return files;
+    throw error;
+  }
+
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRECTORIES.has(entry.name)) await sourceFiles(full, files);
+    } else if (EXTENSIONS.has(path.extname(entry.name)) && !entry.name.endsWith('.d.ts')) {
+      files.push(full);
+    }
+  }
+  return files;
+};
+
+/**
+ * Keys used in `text`, with the line each call starts on
+ */
+export const extractKeys = (text, functions = ['t']) => {
+  const keys = [];
+  for (const match of text.matchAll(callPattern(functions))) {
+    const [, quote, raw] = match;
+    if (quote === '`' && raw.includes('${')) continue;
+
+    keys.push({
+      key: raw.replace(/\\(.)/g, '$1'),
+      line: text.slice(0, match.index).split('\n').length
+    });
+  }
+  return keys;
+};
+
+/**
+ * Scan `dirs` into `{ [namespace]: { [key]: ['file:line', ...] } }`.
+ * Prefixes that are not in `namespaces` are kept as part of the key.
+ */
+export const scanSource = async (dirs, { functions, namespaces = [], defaultNamespace, cwd = process.cwd() }) => {
+  const found = {};
+
+  for (const dir of dirs) {
+    for (const file of (await sourceFiles(dir)).sort()) {
+      const text = await fs.readFile(file, 'utf8');
+
+      extractKeys(text, functions).forEach(({ key, line }) => {
+        const separator = key.indexOf(':');
+        const prefix = separator > 0 ? key.slice(0, separator) : null;
+        const [namespace, name] = prefix && namespaces.includes(prefix)
+          ? [prefix, key.slice(separator + 1)]
+          : [defaultNamespace, key];
+        if (!namespace) return;
+
+        found[namespace] = found[namespace] || {};
+        found[namespace][name] = found[namespace][name] || [];
+        found[namespace][name].push(`${path.relative(cwd, file)}:${line}`);
+      });
+    }
+  }
+
+  return found;
+};
+
+export default {
+  extractKeys,
+  scanSource
+};
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * Translations CLI
+ * Syncs a directory of per-locale JSON files with the service
+ */
+
+import { parseArgs } from 'util';
+import readline from 'readline/promises';
+import { loadConfig, CONFIG_FILE } from './config.js';
+import { createClient } from './client.js';
+import { COMMANDS } from './commands.js';
+import { CliError } from './errors.js';
+
+const USAGE = `Usage: translations <command> [options]
+
+Commands:
+  status    Key counts per namespace and locale in files and on the server
+  diff      Show what push would change
+  push      Upload new and changed keys from the files
+  pull      Rewrite the files from the server
+  extract   Compare t('key') calls in source code with the service
+
+Options:
+  --config <file>             Config file (default ${CONFIG_FILE})
+  --url <url>                 Service URL (or TRANSLATIONS_URL)
+  --dir <dir>                 Directory holding the locale files
+  --pattern <pattern>         File path under dir, e.g. {locale}/{namespace}.json
+  --default-namespace <name>  Namespace for files and keys that do not name one
+  -n, --namespace <name>      Limit to a namespace; repeatable
+  -l, --locale <code>         Limit to a locale; repeatable
+  --src <dir>                 Source directory for extract; repeatable
+  --mode <mode>               Push mode: merge, overwrite or onlyNew
+  --dry-run                   Show the diff without writing
+  -y, --yes                   Apply without asking
+  --exit-code                 diff and extract exit 1 when they find differences
+  -h, --help                  Show this help
+
+Credentials are read from TRANSLATIONS_TOKEN (JWT) or TRANSLATIONS_API_KEY.`;
+
+const OPTIONS = {
+  config: { type: 'string' },
+  url: { type: 'string' },
+  dir: { type: 'string' },
+  pattern: { type: 'string' },
+  'default-namespace': { type: 'string' },
+  namespace: { type: 'string', short: 'n', multiple: true },
+  locale: { type: 'string', short: 'l', multiple: true },
+  src: { type: 'string', multiple: true },
+  mode: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  yes: { type: 'boolean', short: 'y' },
+  'exit-code': { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const confirm = async (question) => {
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    return /^y(es)?$/i.test((await prompt.question(`${question} [y/N] `)).trim());
+  } finally {
+    prompt.close();
+  }
+};
+
+const main = async (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new CliError(`${error.message}\n\n${USAGE}`, 2);
+  }
+
+  const { values: flags, positionals: [name] } = parsed;
+  if (flags.help || !name) {
+    console.log(USAGE);
+    return flags.help ? 0 : 2;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) throw new CliError(`Unknown command "${name}"\n\n${USAGE}`, 2);
+
+  const config = await loadConfig(flags);
+  return command(config, flags, {
+    client: createClient(config),
+    io: { log: message => console.log(message), confirm, interactive: Boolean(process.stdin.isTTY) }
+  });
+};
+
+main(process.argv.slice(2))
+  .then(code => { process.exitCode = code; })
+  .catch(error => {
+    console.error(error instanceof CliError ? error.message : error);
+    process.exitCode = error.exitCode || 1;
+  });
@@ -0,0 +1,129 @@
+/**
+ * Locale Files
+ * Maps a directory of per-locale JSON files to namespaces through a path
+ * pattern such as `{locale}/{namespace}.json`, flattening nested objects
+ * into keys joined by the separator
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { CliError } from './errors.js';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Regex over `/`-separated relative paths with named locale and namespace groups
+const patternRegex = (pattern) => new RegExp(`^${pattern
+  .split(/(\{locale\}|\{namespace\})/)
+  .map(part => {
+    if (part === '{locale}') return '(?<locale>[^/]+)';
+    if (part === '{namespace}') return '(?<namespace>[^/]+)';
+    return escapeRegex(part);
+  })
+  .join('')}$`);
+
+export const filePath = (dir, pattern, namespace, locale) => path.join(
+  dir,
+  ...pattern.replaceAll('{locale}', locale).replaceAll('{namespace}', namespace).split('/')
+);
+
+/**
+ * `{ a: { b: 'x' } }` to `{ 'a.b': 'x' }`
+ */
+export const flatten = (object, separator = '.', prefix = '', result = {}) => {
+  Object.entries(object).forEach(([key, value]) => {
+    const name = prefix ? `${prefix}${separator}${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      flatten(value, separator, name, result);
+    } else if (typeof value === 'string') {
+      result[name] = value;
+    }
+  });
+  return result;
+};
+
+/**
+ * `{ 'a.b': 'x' }` to `{ a: { b: 'x' } }`. Keys that are both a value and a
+ * parent cannot be nested, so the file is written flat instead.
+ */
+export const unflatten = (values, separator = '.') => {
+  const result = {};
+  for (const key of Object.keys(values).sort()) {
+    const segments = key.split(separator);
+    let node = result;
+    for (const segment of segments.slice(0, -1)) {
+      if (typeof node[segment] === 'string') return { ...values };
+      node[segment] = node[segment] || {};
+      node = node[segment];
+    }
+    const leaf = segments[segments.length - 1];
+    if (typeof node[leaf] === 'object') return { ...values };
+    node[leaf] = values[key];
+  }
+  return result;
+};
+
+const walk = async (dir, base = dir, files = []) => {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return files;
+    throw error;
+  }
+
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      await walk(full, base, files);
+    } else {
+      files.push(path.relative(base, full).split(path.sep).join('/'));
+    }
+  }
+  return files;
+};
+
+/**
+ * Read every file matching the pattern into `tree[namespace][locale][key] = value`
+ */
+export const readLocaleFiles = async ({ dir, pattern, defaultNamespace, separator }) => {
+  const regex = patternRegex(pattern);
+  const tree = {};
+
+  for (const file of (await walk(dir)).sort()) {
+    const match = regex.exec(file);
+    if (!match) continue;
+
+    const { locale, namespace = defaultNamespace } = match.groups;
+    let content;
+    try {
+      content = JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'));
+    } catch (error) {
+      throw new CliError(`Cannot read ${path.join(dir, file)}: ${error.message}`);
+    }
+
+    tree[namespace] = tree[namespace] || {};
+    tree[namespace][locale] = { ...tree[namespace][locale], ...flatten(content, separator) };
+  }
+
+  return tree;
+};
+
+/**
+ * Write one namespace/locale file with keys in sorted order
+ */
+export const writeLocaleFile = async ({ dir, pattern, nested, separator }, namespace, locale, values) => {
+  const file = filePath(dir, pattern, namespace, locale);
+  const sorted = Object.fromEntries(Object.keys(values).sort().map(key => [key, values[key]]));
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, `${JSON.stringify(nested ? unflatten(sorted, separator) : sorted, null, 2)}\n`);
+  return file;
+};
+
+export default {
+  filePath,
+  flatten,
+  unflatten,
+  readLocaleFiles,
+  writeLocaleFile
+};
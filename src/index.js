@@ -5,23 +5,126 @@
  * Manages internationalization, translations, and localization
  */
 
+import 'dotenv/config';
 import express from 'express';
 import mongoose from 'mongoose';
-import pino from 'pino';
 import pinoHttp from 'pino-http';
 import helmet from 'helmet';
 import cors from 'cors';
-import dotenv from 'dotenv';
+import { z } from 'zod';
 
 // Import models
 import Translation from './models/Translation.js';
-import Glossary from './models/Glossary.js';
+import Glossary, { GLOSSARY_CATEGORIES } from './models/Glossary.js';
+import Namespace from './models/Namespace.js';
+import Locale from './models/Locale.js';
 
-dotenv.config();
+// Import utilities
+import logger from './utils/logger.js';
+import { CACHE_CONTROL, sendCachedJson } from './utils/httpCache.js';
+import { toApiError, sendApiError, sendKnownError } from './utils/errors.js';
+
+// Import middleware
+import {
+  authenticate,
+  authorize,
+  targetsOf,
+  listOf,
+  publicBundles,
+  actorOf
+} from './middleware/auth.js';
+import {
+  validate,
+  namespaceName,
+  localeCode,
+  translationKey,
+  tenantIdValue,
+  namespaceList,
+  localeList,
+  translationStatus,
+  bundleStatus,
+  booleanString,
+  integerString,
+  paging,
+  objectIdParam,
+  objectId,
+  messageVariables
+} from './middleware/validate.js';
+
+// Import routes
+import importExportRoutes from './routes/importExport.js';
+import releaseRoutes from './routes/releases.js';
+import cacheRoutes from './routes/cache.js';
+import revisionRoutes from './routes/revisions.js';
+import workflowRoutes from './routes/workflow.js';
+import memoryRoutes from './routes/memory.js';
+import namespaceRoutes from './routes/namespaces.js';
+import localeRoutes from './routes/locales.js';
+import reportRoutes from './routes/reports.js';
+import bulkRoutes from './routes/bulk.js';
+import liveRoutes, { attachLiveSocket } from './routes/live.js';
+import webhookRoutes from './routes/webhooks.js';
+import authRoutes from './routes/auth.js';
+import lintRoutes from './routes/lint.js';
+import formatRoutes from './routes/format.js';
+import usageRoutes from './routes/usage.js';
+
+// Import services
+import { resolveBundles } from './services/bundles.js';
+import {
+  DEFAULT_BUNDLE_FORMAT,
+  getBundleFormat,
+  listBundleFormats,
+  renderBundles
+} from './services/bundleFormats/index.js';
+import { validateMessage } from './services/messageFormat.js';
+import { createRelease } from './services/releases.js';
+import { invalidateBundles } from './services/bundleCache.js';
+import { recordRevision, recordRevisions } from './services/revisions.js';
+import { syncMemory } from './services/translationMemory.js';
+import { trackSourceChanges } from './services/staleness.js';
+import { checkTranslations } from './services/glossaryCheck.js';
+import { runLint } from './services/lint/index.js';
+import { startCoverageSnapshots } from './services/coverage.js';
+import { isPseudoLocale } from './services/pseudoLocale.js';
+import { publishChange } from './services/liveUpdates.js';
+import { emitWebhookEvent, emitTranslationEvent, startWebhookWorker } from './services/webhooks.js';
+import { getNamespace, listNamespaceNames, findUnknownNamespaces } from './services/namespaces.js';
+import {
+  getLocale,
+  listEnabledLocales,
+  findUnknownLocales,
+  getDirections
+} from './services/locales.js';
+import {
+  getProvider,
+  listProviders,
+  machineTranslate,
+  saveMachineTranslations,
+  ProviderError
+} from './services/machineTranslation/index.js';
 
-const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
 const app = express();
 const PORT = process.env.PORT || 3010;
+const REQUIRE_REVIEW_TO_PUBLISH = process.env.REQUIRE_REVIEW_TO_PUBLISH === 'true';
+const LINT_BLOCKS_PUBLISH = process.env.LINT_BLOCKS_PUBLISH === 'true';
+
+// Request schemas
+const bundleQuery = {
+  locales: localeList.optional(),
+  status: bundleStatus.optional(),
+  fallback: booleanString.optional(),
+  format: z.enum(listBundleFormats()).optional()
+};
+
+const translationValue = z.string().max(2000);
+
+const glossaryTranslations = z.array(z.object({
+  locale: localeCode,
+  value: z.string().min(1).max(500),
+  context: z.string().max(200).optional(),
+  isPreferred: z.boolean().optional()
+}));
 
 // Middleware
 app.use(helmet());
@@ -34,6 +137,10 @@ const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/keephy
 
 mongoose.connect(MONGODB_URI)
   .then(() => logger.info('Connected to MongoDB'))
+  .then(() => Namespace.ensureDefaults())
+  .then(() => Locale.ensureDefaults())
+  .then(() => startWebhookWorker())
+  .then(() => startCoverageSnapshots())
   .catch(err => logger.error('MongoDB connection error:', err));
 
 // Routes
@@ -55,132 +162,358 @@ app.get('/ready', async (req, res) => {
   }
 });
 
+// Every API route resolves the caller first; health checks stay open
+app.use('/api', authenticate);
+app.use('/api/auth', authRoutes);
+
+// Feature routes are mounted ahead of the /api/i18n/:namespace/:key matchers
+app.use('/api/i18n', importExportRoutes);
+app.use('/api/i18n', releaseRoutes);
+app.use('/api/i18n', cacheRoutes);
+app.use('/api/i18n', revisionRoutes);
+app.use('/api/i18n', workflowRoutes);
+app.use('/api/i18n', memoryRoutes);
+app.use('/api/i18n', reportRoutes);
+app.use('/api/i18n', bulkRoutes);
+app.use('/api/i18n', liveRoutes);
+app.use('/api/i18n', lintRoutes);
+app.use('/api/i18n', formatRoutes);
+app.use('/api/i18n', usageRoutes);
+app.use('/api/namespaces', namespaceRoutes);
+app.use('/api/locales', localeRoutes);
+app.use('/api/webhooks', webhookRoutes);
+
 // =============================================================================
 // TRANSLATION ROUTES
 // =============================================================================
 
 // Get translation bundles
-app.get('/api/i18n/:namespace', async (req, res) => {
+app.get('/api/i18n/:namespace', validate({
+  params: z.object({ namespace: namespaceName }),
+  query: z.object({ ...bundleQuery, release: integerString.optional() })
+}), authorize(
+  'viewer',
+  req => targetsOf(req.params.namespace, listOf(req.query.locales)),
+  { allowAnonymous: publicBundles }
+), async (req, res) => {
   try {
     const { namespace } = req.params;
-    const { locales = 'en', status = 'published' } = req.query;
+    const {
+      locales,
+      status = 'published',
+      fallback = 'true',
+      release,
+      format = DEFAULT_BUNDLE_FORMAT
+    } = req.query;
+    
+    const registered = await getNamespace(namespace);
+    if (!registered) {
+      return res.status(404).json({
+        success: false,
+        error: 'Namespace not found',
+        code: 'NOT_FOUND'
+      });
+    }
     
-    const localeArray = locales.split(',');
-    const bundles = await Translation.getBundles([namespace], localeArray, status);
+    const bundleFormat = getBundleFormat(format);
     
-    // Group by locale
-    const result = {};
-    localeArray.forEach(locale => {
-      result[locale] = {};
-      bundles
-        .filter(b => b.locale === locale)
-        .forEach(bundle => {
-          result[locale][bundle.key] = bundle.value;
-        });
+    // Default to every enabled locale
+    const localeArray = locales ? locales.split(',') : await listEnabledLocales();
+    const unknown = await findUnknownLocales(localeArray.filter(code => !isPseudoLocale(code)));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown or disabled locales: ${unknown.join(', ')}`,
+        code: 'UNKNOWN_LOCALE'
+      });
+    }
+    
+    const bundles = await resolveBundles([namespace], localeArray, {
+      status,
+      fallback: fallback !== 'false',
+      release: release === undefined ? undefined : parseInt(release)
     });
     
-    res.json({
+    if (!bundles) {
+      return res.status(404).json({
+        success: false,
+        error: 'Release not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    const cacheControl = status !== 'published'
+      ? CACHE_CONTROL.revalidate
+      : release === undefined ? CACHE_CONTROL.published : CACHE_CONTROL.immutable;
+    // Only anonymous reads of public bundles may sit in shared caches
+    const shared = !req.identity && publicBundles(req);
+    
+    // Client-library formats are served bare so they load as files
+    if (bundleFormat) {
+      return sendCachedJson(req, res, renderBundles(bundleFormat, {
+        namespaces: [namespace],
+        locales: localeArray,
+        data: bundles.data,
+        variables: bundles.variables,
+        separators: { [namespace]: registered.conventions?.separator }
+      }), cacheControl, { shared });
+    }
+    
+    sendCachedJson(req, res, {
       success: true,
-      data: result
-    });
+      data: bundles.data[namespace],
+      sources: bundles.sources[namespace],
+      variables: bundles.variables[namespace],
+      dir: await getDirections(localeArray),
+      release: bundles.releases[namespace]
+    }, cacheControl, { shared });
   } catch (error) {
+    if (sendKnownError(res, error)) return;
+    
     logger.error('Error fetching translation bundles:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch translation bundles'
+      error: 'Failed to fetch translation bundles',
+      code: 'INTERNAL_ERROR'
     });
   }
 });
 
 // Get multiple namespaces
-app.get('/api/i18n', async (req, res) => {
+app.get('/api/i18n', validate({
+  query: z.object({ ...bundleQuery, namespaces: namespaceList.optional() })
+}), authorize(
+  'viewer',
+  req => targetsOf(listOf(req.query.namespaces), listOf(req.query.locales)),
+  { allowAnonymous: publicBundles }
+), async (req, res) => {
   try {
-    const { namespaces = 'ui,emails', locales = 'en', status = 'published' } = req.query;
+    const {
+      namespaces,
+      locales,
+      status = 'published',
+      fallback = 'true',
+      format = DEFAULT_BUNDLE_FORMAT
+    } = req.query;
     
-    const namespaceArray = namespaces.split(',');
-    const localeArray = locales.split(',');
-    const bundles = await Translation.getBundles(namespaceArray, localeArray, status);
+    const bundleFormat = getBundleFormat(format);
     
-    // Group by namespace and locale
-    const result = {};
-    namespaceArray.forEach(namespace => {
-      result[namespace] = {};
-      localeArray.forEach(locale => {
-        result[namespace][locale] = {};
-        bundles
-          .filter(b => b.namespace === namespace && b.locale === locale)
-          .forEach(bundle => {
-            result[namespace][locale][bundle.key] = bundle.value;
-          });
+    // Default to every registered namespace
+    const namespaceArray = namespaces ? namespaces.split(',') : await listNamespaceNames();
+    const unknown = await findUnknownNamespaces(namespaceArray);
+    if (unknown.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown namespaces: ${unknown.join(', ')}`,
+        code: 'UNKNOWN_NAMESPACE'
       });
+    }
+    
+    const localeArray = locales ? locales.split(',') : await listEnabledLocales();
+    const unknownLocales = await findUnknownLocales(localeArray.filter(code => !isPseudoLocale(code)));
+    if (unknownLocales.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown or disabled locales: ${unknownLocales.join(', ')}`,
+        code: 'UNKNOWN_LOCALE'
+      });
+    }
+    
+    const { data, sources, variables, releases } = await resolveBundles(namespaceArray, localeArray, {
+      status,
+      fallback: fallback !== 'false'
     });
+    const cacheControl = status === 'published' ? CACHE_CONTROL.published : CACHE_CONTROL.revalidate;
+    const shared = !req.identity && publicBundles(req);
     
-    res.json({
+    if (bundleFormat) {
+      const separators = {};
+      for (const namespace of namespaceArray) {
+        separators[namespace] = (await getNamespace(namespace)).conventions?.separator;
+      }
+      
+      return sendCachedJson(req, res, renderBundles(bundleFormat, {
+        namespaces: namespaceArray,
+        locales: localeArray,
+        data,
+        variables,
+        separators
+      }), cacheControl, { shared });
+    }
+    
+    sendCachedJson(req, res, {
       success: true,
-      data: result
-    });
+      data,
+      sources,
+      variables,
+      dir: await getDirections(localeArray),
+      releases
+    }, cacheControl, { shared });
   } catch (error) {
+    if (sendKnownError(res, error)) return;
+    
     logger.error('Error fetching translation bundles:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch translation bundles'
+      error: 'Failed to fetch translation bundles',
+      code: 'INTERNAL_ERROR'
     });
   }
 });
 
 // Create or update translation
-app.post('/api/i18n/keys', async (req, res) => {
+app.post('/api/i18n/keys', validate({
+  body: z.object({
+    namespace: namespaceName,
+    key: translationKey,
+    translations: z.record(localeCode, translationValue)
+      .refine(translations => Object.keys(translations).length > 0, 'At least one translation is required'),
+    context: z.string().max(500).optional(),
+    variables: messageVariables.optional()
+  })
+}), authorize(
+  'translator',
+  req => targetsOf(req.body.namespace, Object.keys(req.body.translations || {}))
+), async (req, res) => {
   try {
     const {
       namespace,
       key,
       translations,
       context,
-      variables = [],
-      createdBy = 'system'
+      variables = []
     } = req.body;
+    const createdBy = actorOf(req);
+    
+    const registered = await getNamespace(namespace);
+    if (!registered) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown namespace "${namespace}"`,
+        code: 'UNKNOWN_NAMESPACE'
+      });
+    }
+    
+    const keyErrors = registered.validateKey(key);
+    if (keyErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Key does not follow the namespace conventions',
+        code: 'INVALID_KEY',
+        details: keyErrors
+      });
+    }
+    
+    const unknownLocales = await findUnknownLocales(Object.keys(translations));
+    if (unknownLocales.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown or disabled locales: ${unknownLocales.join(', ')}`,
+        code: 'UNKNOWN_LOCALE'
+      });
+    }
+    
+    // Validate every locale before writing any of them
+    const invalid = {};
+    for (const [locale, value] of Object.entries(translations)) {
+      const { pluralCategories } = await getLocale(locale);
+      const { valid, errors } = validateMessage(value, { locale, variables, pluralCategories });
+      if (!valid) invalid[locale] = errors;
+    }
+    
+    if (Object.keys(invalid).length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid message format',
+        code: 'INVALID_MESSAGE',
+        details: invalid
+      });
+    }
     
     const results = [];
+    const created = [];
+    const changes = [];
+    const statuses = ['draft'];
     
     for (const [locale, value] of Object.entries(translations)) {
+      const previous = await Translation.findOne({ namespace, key, locale }).lean();
       const translation = await Translation.findOneAndUpdate(
         { namespace, key, locale },
         {
-          namespace,
-          key,
-          locale,
-          value,
-          context,
-          variables,
-          'metadata.createdBy': createdBy,
-          status: 'draft'
+          $set: {
+            value,
+            context,
+            variables,
+            'metadata.updatedBy': createdBy,
+            status: 'draft',
+            isActive: true
+          },
+          $setOnInsert: {
+            'metadata.createdBy': createdBy
+          }
         },
         { upsert: true, new: true }
       );
       
+      await recordRevision(translation, {
+        author: createdBy,
+        action: previous ? 'update' : 'create',
+        previous
+      });
+      
       results.push(translation);
+      if (!previous) created.push(translation);
+      changes.push({ key, locale, value, previousValue: previous?.value });
+      if (previous) statuses.push(previous.status);
     }
     
+    const outdated = await trackSourceChanges(namespace, changes);
+    const warnings = await checkTranslations(namespace, changes, { countUsage: true });
+    invalidateBundles(namespace, Object.keys(translations));
+    publishChange({ namespace, locales: Object.keys(translations), keys: [key], statuses });
+    await emitTranslationEvent('created', namespace, created, { actor: createdBy });
+    await emitTranslationEvent('updated', namespace, results.filter(row => !created.includes(row)), { actor: createdBy });
+    
     res.status(201).json({
       success: true,
-      data: results
+      data: results,
+      outdated,
+      warnings
     });
   } catch (error) {
+    if (sendKnownError(res, error)) return;
+    
     logger.error('Error creating/updating translations:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to create/update translations'
+      error: 'Failed to create/update translations',
+      code: 'INTERNAL_ERROR'
     });
   }
 });
 
 // Get translation by key
-app.get('/api/i18n/:namespace/:key', async (req, res) => {
+app.get('/api/i18n/:namespace/:key', validate({
+  params: z.object({ namespace: namespaceName, key: translationKey }),
+  query: z.object({ locales: localeList.optional() })
+}), authorize(
+  'viewer',
+  req => targetsOf(req.params.namespace, listOf(req.query.locales))
+), async (req, res) => {
   try {
     const { namespace, key } = req.params;
-    const { locales = 'en' } = req.query;
+    const { locales } = req.query;
+    
+    const localeArray = locales ? locales.split(',') : await listEnabledLocales();
+    const unknown = await findUnknownLocales(localeArray);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown or disabled locales: ${unknown.join(', ')}`,
+        code: 'UNKNOWN_LOCALE'
+      });
+    }
     
-    const localeArray = locales.split(',');
     const translations = await Translation.find({
       namespace,
       key,
@@ -203,19 +536,80 @@ app.get('/api/i18n/:namespace/:key', async (req, res) => {
       data: result
     });
   } catch (error) {
+    if (sendKnownError(res, error)) return;
+    
     logger.error('Error fetching translation:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch translation'
+      error: 'Failed to fetch translation',
+      code: 'INTERNAL_ERROR'
     });
   }
 });
 
 // Update translation
-app.put('/api/i18n/:namespace/:key/:locale', async (req, res) => {
+app.put('/api/i18n/:namespace/:key/:locale', validate({
+  params: z.object({ namespace: namespaceName, key: translationKey, locale: localeCode }),
+  body: z.object({
+    value: translationValue.optional(),
+    context: z.string().max(500).optional(),
+    variables: messageVariables.optional(),
+    status: translationStatus.optional()
+  })
+}), authorize(
+  'translator',
+  req => targetsOf(req.params.namespace, req.params.locale)
+), async (req, res) => {
   try {
     const { namespace, key, locale } = req.params;
-    const { value, context, variables, status, updatedBy = 'system' } = req.body;
+    const { value, context, variables, status } = req.body;
+    const updatedBy = actorOf(req);
+    
+    // Status only moves forward through the workflow transition endpoints
+    if (status !== undefined && status !== 'draft') {
+      return res.status(400).json({
+        success: false,
+        error: `Status cannot be set to "${status}" directly; use the review, publish or archive endpoints`,
+        code: 'INVALID_REQUEST'
+      });
+    }
+    
+    const registeredLocale = await getLocale(locale);
+    if (!registeredLocale?.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown or disabled locale "${locale}"`,
+        code: 'UNKNOWN_LOCALE'
+      });
+    }
+    
+    const previous = await Translation.findOne({ namespace, key, locale }).lean();
+    
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        error: 'Translation not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    if (value !== undefined) {
+      const declared = variables ?? previous.variables;
+      const { valid, errors } = validateMessage(value, {
+        locale,
+        variables: declared,
+        pluralCategories: registeredLocale.pluralCategories
+      });
+      
+      if (!valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid message format',
+          code: 'INVALID_MESSAGE',
+          details: errors
+        });
+      }
+    }
     
     const translation = await Translation.findOneAndUpdate(
       { namespace, key, locale },
@@ -223,8 +617,8 @@ app.put('/api/i18n/:namespace/:key/:locale', async (req, res) => {
         value,
         context,
         variables,
-        status: status || 'draft',
-        'metadata.createdBy': updatedBy
+        status: 'draft',
+        'metadata.updatedBy': updatedBy
       },
       { new: true }
     );
@@ -232,52 +626,153 @@ app.put('/api/i18n/:namespace/:key/:locale', async (req, res) => {
     if (!translation) {
       return res.status(404).json({
         success: false,
-        error: 'Translation not found'
+        error: 'Translation not found',
+        code: 'NOT_FOUND'
       });
     }
     
+    await recordRevision(translation, { author: updatedBy, action: 'update', previous });
+    const outdated = value === undefined
+      ? 0
+      : await trackSourceChanges(namespace, [{ key, locale, value, previousValue: previous.value }]);
+    const warnings = value === undefined
+      ? []
+      : await checkTranslations(namespace, [{ key, locale, value }], { countUsage: true });
+    invalidateBundles(namespace, [locale]);
+    publishChange({ namespace, locales: [locale], keys: [key], statuses: ['draft', previous.status] });
+    await emitTranslationEvent('updated', namespace, [translation], { actor: updatedBy });
+    
     res.json({
       success: true,
-      data: translation
+      data: translation,
+      outdated,
+      warnings
     });
   } catch (error) {
+    if (sendKnownError(res, error)) return;
+    
     logger.error('Error updating translation:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update translation'
+      error: 'Failed to update translation',
+      code: 'INTERNAL_ERROR'
     });
   }
 });
 
 // Publish translations
-app.post('/api/i18n/publish', async (req, res) => {
+app.post('/api/i18n/publish', validate({
+  body: z.object({
+    namespace: namespaceName,
+    keys: z.array(translationKey).min(1),
+    locales: z.array(localeCode).min(1).optional(),
+    release: z.boolean().optional(),
+    notes: z.string().max(1000).optional(),
+    requireReview: z.boolean().optional(),
+    lint: z.boolean().optional()
+  })
+}), authorize(
+  'publisher',
+  req => targetsOf(req.body.namespace, Array.isArray(req.body.locales) ? req.body.locales : null)
+), async (req, res) => {
   try {
-    const { namespace, keys, publishedBy = 'system' } = req.body;
+    const {
+      namespace,
+      keys,
+      locales,
+      release = true,
+      notes
+    } = req.body;
+    const publishedBy = actorOf(req);
+    // The body can turn the gates on but never off when the server requires them
+    const requireReview = req.body.requireReview || REQUIRE_REVIEW_TO_PUBLISH;
+    const lint = req.body.lint || LINT_BLOCKS_PUBLISH;
+    
+    // Publishers scoped to some locales pass `locales` to publish only those
+    const scope = { namespace, key: { $in: keys } };
+    if (Array.isArray(locales)) scope.locale = { $in: locales };
+    
+    const pending = await Translation.find({
+      ...scope,
+      status: { $in: requireReview ? ['reviewed'] : ['draft', 'reviewed'] }
+    }).lean();
+    
+    // Drafts left behind when only reviewed keys may be published
+    const skipped = requireReview
+      ? await Translation.find({ ...scope, status: 'draft' }).select('key locale').lean()
+      : [];
+    
+    // Nothing is published while the rows to publish have lint errors
+    const lintReport = lint && pending.length > 0
+      ? await runLint(namespace, { rows: pending, trigger: 'publish', createdBy: publishedBy })
+      : null;
+    if (lintReport && !lintReport.passed) {
+      return res.status(409).json({
+        success: false,
+        error: `Lint found ${lintReport.summary.error} errors; nothing was published`,
+        code: 'LINT_FAILED',
+        details: lintReport.issues.filter(issue => issue.severity === 'error'),
+        report: { id: lintReport._id, summary: lintReport.summary }
+      });
+    }
+    
+    const ids = pending.map(translation => translation._id);
     
     const result = await Translation.updateMany(
-      { 
-        namespace, 
-        key: { $in: keys },
-        status: { $in: ['draft', 'reviewed'] }
-      },
+      { _id: { $in: ids } },
       { 
         status: 'published',
         'metadata.publishedAt': new Date(),
-        'metadata.createdBy': publishedBy
+        'metadata.publishedBy': publishedBy
       }
     );
     
+    const published = await Translation.find({ _id: { $in: ids } });
+    await recordRevisions(published, {
+      author: publishedBy,
+      action: 'publish',
+      previous: new Map(pending.map(translation => [String(translation._id), translation]))
+    });
+    
+    invalidateBundles(namespace);
+    if (result.modifiedCount > 0) {
+      publishChange({
+        namespace,
+        locales: pending.map(translation => translation.locale),
+        keys: pending.map(translation => translation.key),
+        statuses: [...pending.map(translation => translation.status), 'published']
+      });
+    }
+    await syncMemory(namespace, keys);
+    
+    // Cut a release so clients see the publish and it can be rolled back
+    const snapshot = release && result.modifiedCount > 0
+      ? await createRelease(namespace, { notes, createdBy: publishedBy })
+      : null;
+    const warnings = await checkTranslations(namespace, published);
+    await emitTranslationEvent('published', namespace, published, {
+      actor: publishedBy,
+      release: snapshot?.version
+    });
+    
     res.json({
       success: true,
       data: {
-        modifiedCount: result.modifiedCount
+        modifiedCount: result.modifiedCount,
+        skipped: skipped.map(({ key, locale }) => ({ key, locale })),
+        release: snapshot,
+        warnings,
+        lint: lintReport && { id: lintReport._id, summary: lintReport.summary }
       }
     });
   } catch (error) {
+    if (sendKnownError(res, error)) return;
+    
     logger.error('Error publishing translations:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to publish translations'
+      error: 'Failed to publish translations',
+      code: 'INTERNAL_ERROR'
     });
   }
 });
@@ -287,7 +782,14 @@ app.post('/api/i18n/publish', async (req, res) => {
 // =============================================================================
 
 // Get tenant glossary
-app.get('/api/glossary/:tenantId', async (req, res) => {
+app.get('/api/glossary/:tenantId', validate({
+  params: z.object({ tenantId: tenantIdValue }),
+  query: z.object({
+    locale: localeCode.optional(),
+    category: z.enum(GLOSSARY_CATEGORIES).optional(),
+    ...paging
+  })
+}), authorize('viewer', req => [{ tenantId: req.params.tenantId }]), async (req, res) => {
   try {
     const { tenantId } = req.params;
     const { locale = 'en', category, limit = 100, offset = 0 } = req.query;
@@ -315,27 +817,26 @@ app.get('/api/glossary/:tenantId', async (req, res) => {
       count: result.length
     });
   } catch (error) {
+    if (sendKnownError(res, error)) return;
+    
     logger.error('Error fetching glossary:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to fetch glossary'
+      error: 'Failed to fetch glossary',
+      code: 'INTERNAL_ERROR'
     });
   }
 });
 
 // Search glossary terms
-app.get('/api/glossary/:tenantId/search', async (req, res) => {
+app.get('/api/glossary/:tenantId/search', validate({
+  params: z.object({ tenantId: tenantIdValue }),
+  query: z.object({ q: z.string().min(1).max(100), limit: integerString.optional() })
+}), authorize('viewer', req => [{ tenantId: req.params.tenantId }]), async (req, res) => {
   try {
     const { tenantId } = req.params;
     const { q, limit = 20 } = req.query;
     
-    if (!q) {
-      return res.status(400).json({
-        success: false,
-        error: 'Search query is required'
-      });
-    }
-    
     const results = await Glossary.searchTerms(tenantId, q, parseInt(limit));
     
     res.json({
@@ -344,25 +845,45 @@ app.get('/api/glossary/:tenantId/search', async (req, res) => {
       count: results.length
     });
   } catch (error) {
+    if (sendKnownError(res, error)) return;
+    
     logger.error('Error searching glossary:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to search glossary'
+      error: 'Failed to search glossary',
+      code: 'INTERNAL_ERROR'
     });
   }
 });
 
 // Create glossary term
-app.post('/api/glossary/:tenantId', async (req, res) => {
+app.post('/api/glossary/:tenantId', validate({
+  params: z.object({ tenantId: tenantIdValue }),
+  body: z.object({
+    term: z.string().min(1).max(100),
+    translations: glossaryTranslations.optional(),
+    category: z.enum(GLOSSARY_CATEGORIES).optional(),
+    businessId: objectId.optional()
+  })
+}), authorize('translator', req => [{ tenantId: req.params.tenantId }]), async (req, res) => {
   try {
     const { tenantId } = req.params;
     const {
       term,
       translations,
       category = 'business',
-      businessId,
-      createdBy = 'system'
+      businessId
     } = req.body;
+    const createdBy = actorOf(req);
+    
+    const unknown = await findUnknownLocales((translations || []).map(t => t.locale));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown or disabled locales: ${unknown.join(', ')}`,
+        code: 'UNKNOWN_LOCALE'
+      });
+    }
     
     const glossary = new Glossary({
       tenantId,
@@ -374,32 +895,55 @@ app.post('/api/glossary/:tenantId', async (req, res) => {
     });
     
     await glossary.save();
+    await emitWebhookEvent('glossary.changed', {
+      tenantId,
+      data: { action: 'created', actor: createdBy, term: glossary.toObject() }
+    });
     
     res.status(201).json({
       success: true,
       data: glossary
     });
   } catch (error) {
+    if (sendKnownError(res, error)) return;
+    
     logger.error('Error creating glossary term:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to create glossary term'
+      error: 'Failed to create glossary term',
+      code: 'INTERNAL_ERROR'
     });
   }
 });
 
 // Update glossary term
-app.put('/api/glossary/:tenantId/:termId', async (req, res) => {
+app.put('/api/glossary/:tenantId/:termId', validate({
+  params: z.object({ tenantId: tenantIdValue, termId: objectIdParam('Glossary term') }),
+  body: z.object({
+    translations: glossaryTranslations.optional(),
+    category: z.enum(GLOSSARY_CATEGORIES).optional()
+  })
+}), authorize('translator', req => [{ tenantId: req.params.tenantId }]), async (req, res) => {
   try {
     const { tenantId, termId } = req.params;
-    const { translations, category, updatedBy = 'system' } = req.body;
+    const { translations, category } = req.body;
+    const updatedBy = actorOf(req);
+    
+    const unknown = await findUnknownLocales((translations || []).map(t => t.locale));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown or disabled locales: ${unknown.join(', ')}`,
+        code: 'UNKNOWN_LOCALE'
+      });
+    }
     
     const glossary = await Glossary.findOneAndUpdate(
       { _id: termId, tenantId },
       {
         translations,
         category,
-        'metadata.createdBy': updatedBy
+        'metadata.updatedBy': updatedBy
       },
       { new: true }
     );
@@ -407,108 +951,229 @@ app.put('/api/glossary/:tenantId/:termId', async (req, res) => {
     if (!glossary) {
       return res.status(404).json({
         success: false,
-        error: 'Glossary term not found'
+        error: 'Glossary term not found',
+        code: 'NOT_FOUND'
       });
     }
     
+    await emitWebhookEvent('glossary.changed', {
+      tenantId,
+      data: { action: 'updated', actor: updatedBy, term: glossary.toObject() }
+    });
+    
     res.json({
       success: true,
       data: glossary
     });
   } catch (error) {
+    if (sendKnownError(res, error)) return;
+    
     logger.error('Error updating glossary term:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to update glossary term'
+      error: 'Failed to update glossary term',
+      code: 'INTERNAL_ERROR'
     });
   }
 });
 
 // =============================================================================
-// TRANSLATION STATISTICS ROUTES
+// MACHINE TRANSLATION ROUTES
 // =============================================================================
 
-// Get translation statistics
-app.get('/api/i18n/stats/:namespace', async (req, res) => {
+// Translate text using machine translation
+app.post('/api/i18n/translate', validate({
+  body: z.object({
+    text: z.string().max(2000).optional(),
+    sourceLocale: localeCode.optional(),
+    targetLocales: z.array(localeCode).min(1).optional(),
+    namespace: namespaceName,
+    key: translationKey.optional(),
+    tenantId: tenantIdValue.optional(),
+    provider: z.string().optional(),
+    context: z.string().max(500).optional(),
+    variables: messageVariables.optional(),
+    save: z.boolean().optional(),
+    overwrite: z.boolean().optional(),
+    useMemory: z.boolean().optional(),
+    memoryMinScore: z.number().min(0).max(100).optional()
+  })
+}), authorize(
+  'translator',
+  req => targetsOf(
+    req.body.namespace,
+    Array.isArray(req.body.targetLocales) ? req.body.targetLocales : null,
+    req.body.tenantId ? { tenantId: req.body.tenantId } : {}
+  )
+), async (req, res) => {
   try {
-    const { namespace } = req.params;
-    const { locale = 'en' } = req.query;
+    const {
+      sourceLocale = 'en',
+      namespace,
+      key,
+      tenantId,
+      provider: providerName,
+      save = false,
+      overwrite = false,
+      useMemory = true,
+      memoryMinScore = 100
+    } = req.body;
+    const createdBy = actorOf(req);
+    let { text, context, variables } = req.body;
     
-    const stats = await Translation.getTranslationStats(namespace, locale);
+    // Checked before any provider call so a bad request is never billed
+    if (save && !key) {
+      return res.status(400).json({
+        success: false,
+        error: 'A key is required to save machine translations',
+        code: 'INVALID_REQUEST'
+      });
+    }
     
-    res.json({
-      success: true,
-      data: stats
-    });
-  } catch (error) {
-    logger.error('Error fetching translation statistics:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch translation statistics'
-    });
-  }
-});
-
-// Get missing translations
-app.get('/api/i18n/missing/:namespace', async (req, res) => {
-  try {
-    const { namespace } = req.params;
-    const { locales = 'en,ar,es,fr' } = req.query;
+    const registered = await getNamespace(namespace);
+    if (!registered) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown namespace "${namespace}"`,
+        code: 'UNKNOWN_NAMESPACE'
+      });
+    }
     
-    const localeArray = locales.split(',');
-    const missing = await Translation.getMissingKeys(namespace, localeArray);
+    const keyErrors = key ? registered.validateKey(key) : [];
+    if (keyErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Key does not follow the namespace conventions',
+        code: 'INVALID_KEY',
+        details: keyErrors
+      });
+    }
     
-    res.json({
-      success: true,
-      data: missing
-    });
-  } catch (error) {
-    logger.error('Error fetching missing translations:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch missing translations'
+    // Default to every other enabled locale
+    const targetLocales = req.body.targetLocales
+      || (await listEnabledLocales()).filter(locale => locale !== sourceLocale);
+    const unknownLocales = await findUnknownLocales([sourceLocale, ...targetLocales]);
+    if (unknownLocales.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown or disabled locales: ${unknownLocales.join(', ')}`,
+        code: 'UNKNOWN_LOCALE'
+      });
+    }
+    
+    const provider = getProvider(providerName);
+    if (!provider) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown provider. Use one of: ${listProviders().join(', ')}`,
+        code: 'UNKNOWN_PROVIDER'
+      });
+    }
+    
+    // Translate a stored key from its source-locale row
+    if (text === undefined && key) {
+      const source = await Translation.findOne({ namespace, key, locale: sourceLocale }).lean();
+      if (!source) {
+        return res.status(404).json({
+          success: false,
+          error: 'Source translation not found',
+          code: 'NOT_FOUND'
+        });
+      }
+      text = source.value;
+      context = context ?? source.context;
+      variables = variables ?? source.variables;
+    }
+    
+    if (typeof text !== 'string' || text.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Text or a key with a source translation is required',
+        code: 'INVALID_REQUEST'
+      });
+    }
+    
+    // Ad-hoc text without declared variables is only checked for syntax
+    const { valid, errors } = validateMessage(text, { locale: sourceLocale, variables: variables || [] });
+    if (!valid && (variables || errors.some(e => e.code === 'INVALID_SYNTAX'))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid message format',
+        code: 'INVALID_MESSAGE',
+        details: errors
+      });
+    }
+    
+    const results = await machineTranslate({
+      text,
+      sourceLocale,
+      targetLocales,
+      tenantId,
+      provider,
+      memoryMinScore: useMemory ? memoryMinScore : undefined
     });
-  }
-});
-
-// =============================================================================
-// MACHINE TRANSLATION ROUTES
-// =============================================================================
-
-// Translate text using machine translation
-app.post('/api/i18n/translate', async (req, res) => {
-  try {
-    const { text, sourceLocale = 'en', targetLocales = ['ar', 'es', 'fr'], namespace = 'ui' } = req.body;
     
-    // Mock machine translation - in real implementation, integrate with DeepL/Google/AWS
     const translations = {};
-    targetLocales.forEach(locale => {
-      translations[locale] = `[${locale.toUpperCase()}] ${text}`;
+    Object.entries(results).forEach(([locale, result]) => {
+      if (!result.error) translations[locale] = result.value;
     });
     
+    let saved;
+    if (save) {
+      saved = await saveMachineTranslations({
+        namespace,
+        key,
+        results,
+        context,
+        variables,
+        tenantId,
+        createdBy,
+        overwrite
+      });
+    }
+    
     res.json({
       success: true,
       data: {
         source: text,
         sourceLocale,
-        translations
+        provider: provider.name,
+        translations,
+        details: results,
+        saved
       }
     });
   } catch (error) {
+    if (error instanceof ProviderError) {
+      logger.warn(`Machine translation provider failed: ${error.message}`);
+      return res.status(error.status || 502).json({
+        success: false,
+        error: error.message,
+        code: 'PROVIDER_ERROR'
+      });
+    }
+    
+    if (sendKnownError(res, error)) return;
+    
     logger.error('Error translating text:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to translate text'
+      error: 'Failed to translate text',
+      code: 'INTERNAL_ERROR'
     });
   }
 });
 
-// Error handling middleware
+// Error handling middleware; client errors such as bad JSON keep their 4xx
 app.use((err, req, res, next) => {
+  const apiError = toApiError(err);
+  if (apiError) return sendApiError(res, apiError);
+  
   logger.error('Unhandled error:', err);
   res.status(500).json({
     success: false,
-    error: 'Internal server error'
+    error: 'Internal server error',
+    code: 'INTERNAL_ERROR'
   });
 });
 
@@ -516,15 +1181,18 @@ app.use((err, req, res, next) => {
 app.use('*', (req, res) => {
   res.status(404).json({
     success: false,
-    error: 'Route not found'
+    error: 'Route not found',
+    code: 'NOT_FOUND'
   });
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.info(`Keephy Translations Service running on port ${PORT}`);
 });
 
+attachLiveSocket(server);
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
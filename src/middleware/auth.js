@@ -0,0 +1,146 @@
+/**
+ * Auth Middleware
+ * `authenticate` attaches `req.identity` from a bearer JWT or API key;
+ * `authorize` checks a role against the namespaces, locales and tenants a
+ * request touches. Actors recorded in metadata come from `actorOf(req)`.
+ */
+
+import logger from '../utils/logger.js';
+import { AuthError, verifyToken, verifyApiKey, isAllowed } from '../services/auth.js';
+
+const AUTH_DISABLED = process.env.AUTH_DISABLED === 'true';
+const PUBLIC_BUNDLES = process.env.AUTH_PUBLIC_BUNDLES !== 'false';
+const PUBLIC_USAGE = process.env.AUTH_PUBLIC_USAGE === 'true';
+
+// Identity used for local development when AUTH_DISABLED=true
+const DEVELOPMENT_IDENTITY = {
+  actor: 'system',
+  type: 'disabled',
+  grants: [{ role: 'admin', namespaces: [], locales: [], tenantIds: [] }]
+};
+
+/**
+ * Resolve `{ token }` or `{ apiKey }` credentials; null when none are given
+ */
+export const identify = async ({ token, apiKey } = {}) => {
+  if (AUTH_DISABLED) return DEVELOPMENT_IDENTITY;
+  if (apiKey) return verifyApiKey(apiKey);
+  if (token) return token.startsWith('kt_') ? verifyApiKey(token) : verifyToken(token);
+  return null;
+};
+
+export const credentialsOf = (req) => {
+  const [scheme, value] = (req.headers.authorization || '').split(' ');
+  if (/^bearer$/i.test(scheme) && value) return { token: value };
+  if (/^apikey$/i.test(scheme) && value) return { apiKey: value };
+  if (req.headers['x-api-key']) return { apiKey: req.headers['x-api-key'] };
+  return {};
+};
+
+const sendAuthError = (res, error) => {
+  if (error instanceof AuthError) {
+    return res.status(error.status).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  logger.error('Error authenticating request:', error);
+  res.status(500).json({
+    success: false,
+    error: 'Failed to authenticate request',
+    code: 'INTERNAL_ERROR'
+  });
+};
+
+export const authenticate = async (req, res, next) => {
+  try {
+    req.identity = await identify(credentialsOf(req));
+    next();
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
+
+/**
+ * Accept `?access_token=` for clients that cannot set headers, such as
+ * EventSource. Only mounted on streaming routes to keep tokens out of logs.
+ */
+export const allowQueryToken = async (req, res, next) => {
+  if (req.identity || !req.query.access_token) return next();
+  try {
+    req.identity = await identify({ token: req.query.access_token });
+    next();
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+};
+
+/**
+ * Require `role` for every target returned by `scope(req)`; see
+ * `isAllowed` for the target shape. `allowAnonymous(req)` lets
+ * unauthenticated requests through, e.g. for public bundles.
+ */
+export const authorize = (role, scope = () => [{}], { allowAnonymous = () => false } = {}) => (req, res, next) => {
+  if (!req.identity) {
+    if (allowAnonymous(req)) return next();
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      code: 'UNAUTHENTICATED'
+    });
+  }
+
+  if (!isAllowed(req.identity, role, scope(req))) {
+    return res.status(403).json({
+      success: false,
+      error: `The ${role} role is required for this namespace, locale or tenant`,
+      code: 'FORBIDDEN'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Targets for every namespace/locale pair. A list is checked value by
+ * value, `null` means every value and `undefined` leaves it unchecked.
+ */
+export const targetsOf = (namespaces, locales, extra = {}) => {
+  const targets = [];
+  (Array.isArray(namespaces) ? namespaces : [namespaces]).forEach(namespace => {
+    (Array.isArray(locales) ? locales : [locales]).forEach(locale => {
+      targets.push({ namespace, locale, ...extra });
+    });
+  });
+  return targets;
+};
+
+// Comma-separated query values, or null when the request means "all"
+export const listOf = (value) => (value ? String(value).split(',') : null);
+
+// Published bundles stay readable without credentials unless AUTH_PUBLIC_BUNDLES=false
+export const publicBundles = (req) => PUBLIC_BUNDLES && (req.query.status ?? 'published') === 'published';
+
+// Client SDKs may report key usage without credentials when AUTH_PUBLIC_USAGE=true
+export const publicUsage = () => PUBLIC_USAGE;
+
+// Global settings need a grant without namespace, locale or tenant limits
+export const unrestricted = () => [{ namespace: null, locale: null, tenantId: null }];
+
+export const actorOf = (req) => req.identity?.actor || 'system';
+
+export default {
+  identify,
+  credentialsOf,
+  authenticate,
+  allowQueryToken,
+  authorize,
+  targetsOf,
+  listOf,
+  publicBundles,
+  publicUsage,
+  unrestricted,
+  actorOf
+};
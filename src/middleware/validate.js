@@ -0,0 +1,177 @@
+/**
+ * Validation Middleware
+ * `validate({ params, query, body })` checks each part of the request against
+ * a zod schema before the handler runs. Failures are answered with 400 and one
+ * `{ field, code, message }` entry per problem; ids that cannot exist get 404.
+ * Request values are left as sent, so handlers keep their own defaults.
+ */
+
+import mongoose from 'mongoose';
+import { z } from 'zod';
+import { canonicalizeLocale } from '../models/Locale.js';
+import { RULE_SEVERITIES, getLintRule } from '../services/lint/index.js';
+
+const STATUSES = ['draft', 'reviewed', 'published', 'archived'];
+
+// zod issue codes to the field error codes used across the API
+const ISSUE_CODES = {
+  invalid_type: 'INVALID_TYPE',
+  invalid_literal: 'INVALID_VALUE',
+  invalid_enum_value: 'INVALID_VALUE',
+  invalid_union: 'INVALID_VALUE',
+  invalid_string: 'INVALID_FORMAT',
+  invalid_date: 'INVALID_FORMAT',
+  too_small: 'TOO_SMALL',
+  too_big: 'TOO_BIG',
+  custom: 'INVALID_VALUE'
+};
+
+const fieldErrorOf = (part, issue) => ({
+  field: [part, ...issue.path].join('.'),
+  code: issue.code === 'invalid_type' && issue.received === 'undefined'
+    ? 'REQUIRED'
+    : issue.params?.code || ISSUE_CODES[issue.code] || 'INVALID_VALUE',
+  message: issue.message
+});
+
+// Field errors for a failed zod parse, with paths under `part`
+export const fieldErrorsOf = (part, error) => error.issues.map(issue => fieldErrorOf(part, issue));
+
+export const validate = (schemas) => (req, res, next) => {
+  const details = [];
+
+  for (const part of ['params', 'query', 'body']) {
+    if (!schemas[part]) continue;
+
+    const result = schemas[part].safeParse(req[part] ?? {});
+    if (result.success) continue;
+
+    const missing = result.error.issues.find(issue => issue.params?.notFound);
+    if (missing) {
+      return res.status(404).json({
+        success: false,
+        error: `${missing.params.notFound} not found`,
+        code: 'NOT_FOUND'
+      });
+    }
+
+    details.push(...fieldErrorsOf(part, result.error));
+  }
+
+  if (details.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Request validation failed',
+      code: 'VALIDATION_FAILED',
+      details
+    });
+  }
+
+  next();
+};
+
+// Field schemas shared by the routes
+
+const isLocaleTag = (code) => canonicalizeLocale(code) !== null;
+
+const csvOf = (isValid, message) => z.string()
+  .min(1)
+  .refine(value => value.split(',').every(isValid), { message, params: { code: 'INVALID_FORMAT' } });
+
+export const namespaceName = z.string()
+  .max(50)
+  .regex(/^[a-z][a-z0-9_-]*$/, 'Must start with a lowercase letter and contain only a-z, 0-9, _ or -');
+
+export const localeCode = z.string()
+  .max(35)
+  .refine(isLocaleTag, { message: 'Must be a BCP 47 language tag', params: { code: 'INVALID_FORMAT' } });
+
+export const translationKey = z.string().min(1).max(200);
+
+export const tenantIdValue = z.string().min(1).max(100);
+
+export const namespaceList = csvOf(namespace => namespaceName.safeParse(namespace).success, 'Must be comma-separated namespace names');
+
+export const localeList = csvOf(isLocaleTag, 'Must be comma-separated BCP 47 language tags');
+
+export const translationStatus = z.enum(STATUSES);
+
+// Statuses a bundle can be read at
+export const bundleStatus = z.enum(['draft', 'reviewed', 'published']);
+
+// Query strings carry booleans and numbers as text
+export const booleanString = z.enum(['true', 'false']);
+
+export const integerString = z.string().regex(/^\d+$/, 'Must be a non-negative integer');
+
+export const paging = {
+  limit: integerString.optional(),
+  offset: integerString.optional()
+};
+
+/**
+ * A path id that answers 404 rather than 400 when it is not an ObjectId
+ */
+export const objectIdParam = (resource) => z.string().refine(mongoose.isValidObjectId, {
+  message: `${resource} not found`,
+  params: { notFound: resource }
+});
+
+export const objectId = z.string().refine(mongoose.isValidObjectId, {
+  message: 'Must be an ObjectId',
+  params: { code: 'INVALID_FORMAT' }
+});
+
+export const messageVariables = z.array(z.object({
+  name: z.string().min(1),
+  type: z.enum(['string', 'number', 'date', 'currency', 'plural']).optional(),
+  required: z.boolean().optional(),
+  description: z.string().optional()
+}));
+
+// Options each lint rule accepts; rules missing here take none
+const LINT_RULE_OPTIONS = {
+  untranslated: z.object({ ignore: z.array(z.string()) }),
+  length: z.object({ maxRatio: z.number().positive(), minSourceLength: z.number().int().min(0) })
+};
+
+const lintRuleOptions = (name) => (LINT_RULE_OPTIONS[name] || z.object({})).partial().strict();
+
+// Lint rule name to a severity or `{ severity, options }`
+export const lintRuleSettings = z.record(
+  z.string().refine(name => Boolean(getLintRule(name)), { message: 'Unknown lint rule', params: { code: 'INVALID_VALUE' } }),
+  z.union([
+    z.enum(RULE_SEVERITIES),
+    z.object({
+      severity: z.enum(RULE_SEVERITIES).optional(),
+      options: z.record(z.unknown()).optional()
+    })
+  ])
+).superRefine((settings, ctx) => {
+  Object.entries(settings).forEach(([name, setting]) => {
+    if (!getLintRule(name) || !setting?.options) return;
+
+    const result = lintRuleOptions(name).safeParse(setting.options);
+    result.error?.issues.forEach(issue => ctx.addIssue({ ...issue, path: [name, 'options', ...issue.path] }));
+  });
+});
+
+export default {
+  validate,
+  fieldErrorsOf,
+  namespaceName,
+  localeCode,
+  translationKey,
+  tenantIdValue,
+  namespaceList,
+  localeList,
+  translationStatus,
+  bundleStatus,
+  booleanString,
+  integerString,
+  paging,
+  objectIdParam,
+  objectId,
+  messageVariables,
+  lintRuleSettings
+};
@@ -0,0 +1,74 @@
+/**
+ * API Key Model
+ * Service credentials with role grants. Only a SHA-256 hash of the key is
+ * stored; the plaintext is returned once when the key is created.
+ */
+
+import mongoose from 'mongoose';
+
+export const ROLES = ['viewer', 'translator', 'reviewer', 'publisher', 'admin'];
+
+// A role limited to namespaces, locales and tenants; empty lists mean all
+export const grantSchema = new mongoose.Schema({
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true
+  },
+  namespaces: [String],
+  locales: [String],
+  tenantIds: [String]
+}, { _id: false });
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+  // Public part of the key used to look it up
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  hash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  grants: {
+    type: [grantSchema],
+    validate: {
+      validator: (grants) => grants.length > 0,
+      message: 'At least one grant is required'
+    }
+  },
+  tenantId: {
+    type: String,
+    maxlength: 100
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  metadata: {
+    createdBy: {
+      type: String,
+      required: true
+    },
+    revokedBy: String,
+    revokedAt: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Compound indexes
+apiKeySchema.index({ isActive: 1, createdAt: -1 });
+
+export default mongoose.model('ApiKey', apiKeySchema);
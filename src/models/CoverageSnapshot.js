@@ -0,0 +1,66 @@
+/**
+ * Coverage Snapshot Model
+ * Daily copy of one namespace x locale coverage cell, for progress charts
+ */
+
+import mongoose from 'mongoose';
+
+const coverageSnapshotSchema = new mongoose.Schema({
+  // UTC day the snapshot stands for, as YYYY-MM-DD
+  date: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  namespace: {
+    type: String,
+    required: true
+  },
+  locale: {
+    type: String,
+    required: true
+  },
+  sourceLocale: String,
+  total: { type: Number, default: 0 },
+  translated: { type: Number, default: 0 },
+  missing: { type: Number, default: 0 },
+  draft: { type: Number, default: 0 },
+  reviewed: { type: Number, default: 0 },
+  published: { type: Number, default: 0 },
+  outdated: { type: Number, default: 0 },
+  // Null when the namespace had no source keys
+  percentReviewed: { type: Number, default: 0 },
+  percentPublished: { type: Number, default: 0 },
+  words: {
+    total: { type: Number, default: 0 },
+    translated: { type: Number, default: 0 },
+    published: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Compound indexes
+coverageSnapshotSchema.index({ date: 1, namespace: 1, locale: 1 }, { unique: true });
+coverageSnapshotSchema.index({ namespace: 1, locale: 1, date: 1 });
+
+// Static methods
+coverageSnapshotSchema.statics.getHistory = function({ namespaces, locales, from, to } = {}) {
+  const filter = {};
+  if (namespaces) filter.namespace = { $in: namespaces };
+  if (locales) filter.locale = { $in: locales };
+  if (from || to) {
+    filter.date = {};
+    if (from) filter.date.$gte = from;
+    if (to) filter.date.$lte = to;
+  }
+
+  return this.find(filter)
+    .select('-_id -__v -createdAt -updatedAt')
+    .sort({ namespace: 1, locale: 1, date: 1 })
+    .lean();
+};
+
+export default mongoose.model('CoverageSnapshot', coverageSnapshotSchema);
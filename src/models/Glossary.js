@@ -5,6 +5,8 @@
 
 import mongoose from 'mongoose';
 
+export const GLOSSARY_CATEGORIES = ['business', 'industry', 'technical', 'marketing', 'legal', 'custom'];
+
 const glossarySchema = new mongoose.Schema({
   tenantId: {
     type: String,
@@ -25,7 +27,7 @@ const glossarySchema = new mongoose.Schema({
     locale: {
       type: String,
       required: true,
-      maxlength: 10
+      maxlength: 35
     },
     value: {
       type: String,
@@ -43,7 +45,7 @@ const glossarySchema = new mongoose.Schema({
   }],
   category: {
     type: String,
-    enum: ['business', 'industry', 'technical', 'marketing', 'legal', 'custom'],
+    enum: GLOSSARY_CATEGORIES,
     default: 'business'
   },
   metadata: {
@@ -51,6 +53,7 @@ const glossarySchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    updatedBy: String,
     lastUsed: Date,
     usageCount: {
       type: Number,
@@ -129,10 +132,9 @@ glossarySchema.methods.addTranslation = function(locale, value, context = '', is
   return this.save();
 };
 
-glossarySchema.methods.incrementUsage = function() {
-  this.metadata.usageCount += 1;
-  this.metadata.lastUsed = new Date();
-  return this.save();
+// Atomic so concurrent checks never lose counts
+glossarySchema.methods.incrementUsage = function(count = 1) {
+  return this.constructor.recordUsage(new Map([[String(this._id), count]]));
 };
 
 // Static methods
@@ -145,6 +147,16 @@ glossarySchema.statics.getTenantGlossary = function(tenantId, locale) {
   .lean();
 };
 
+// Add usage counts from a Map of entry id to count in one write
+glossarySchema.statics.recordUsage = function(counts, usedAt = new Date()) {
+  return this.bulkWrite([...counts].map(([id, count]) => ({
+    updateOne: {
+      filter: { _id: id },
+      update: { $inc: { 'metadata.usageCount': count }, $set: { 'metadata.lastUsed': usedAt } }
+    }
+  })), { ordered: false });
+};
+
 glossarySchema.statics.searchTerms = function(tenantId, query, limit = 20) {
   return this.find({
     tenantId,
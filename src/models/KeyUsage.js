@@ -0,0 +1,63 @@
+/**
+ * Key Usage Model
+ * Render and miss counters reported by client SDKs per namespace, key and
+ * locale. Kept apart from Translation so telemetry writes never touch the
+ * rows bundles are built from.
+ */
+
+import mongoose from 'mongoose';
+
+const keyUsageSchema = new mongoose.Schema({
+  namespace: {
+    type: String,
+    required: true,
+    maxlength: 50
+  },
+  key: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+  locale: {
+    type: String,
+    required: true,
+    maxlength: 35
+  },
+  // Times the key was rendered
+  count: {
+    type: Number,
+    default: 0
+  },
+  firstSeenAt: Date,
+  lastSeenAt: Date,
+  // Times the key was requested but had no value
+  missingCount: {
+    type: Number,
+    default: 0
+  },
+  lastMissingAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Compound indexes
+keyUsageSchema.index({ namespace: 1, key: 1, locale: 1 }, { unique: true });
+keyUsageSchema.index({ namespace: 1, missingCount: 1 });
+
+// Static methods
+keyUsageSchema.statics.getKeyActivity = function(namespace) {
+  return this.aggregate([
+    { $match: { namespace, count: { $gt: 0 } } },
+    {
+      $group: {
+        _id: '$key',
+        count: { $sum: '$count' },
+        lastSeenAt: { $max: '$lastSeenAt' }
+      }
+    }
+  ]);
+};
+
+export default mongoose.model('KeyUsage', keyUsageSchema);
@@ -0,0 +1,93 @@
+/**
+ * Lint Report Model
+ * Stored result of a lint run over a namespace, kept for later review
+ */
+
+import mongoose from 'mongoose';
+
+export const LINT_SEVERITIES = ['error', 'warning', 'info'];
+
+export const LINT_TRIGGERS = ['report', 'publish'];
+
+const lintIssueSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  locale: {
+    type: String,
+    required: true
+  },
+  rule: {
+    type: String,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: LINT_SEVERITIES,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const lintReportSchema = new mongoose.Schema({
+  namespace: {
+    type: String,
+    required: true
+  },
+  locales: [String],
+  sourceLocale: String,
+  status: String,
+  trigger: {
+    type: String,
+    enum: LINT_TRIGGERS,
+    default: 'report'
+  },
+  // Rule name to `{ severity, options }` as resolved for this run
+  rules: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  summary: {
+    checked: { type: Number, default: 0 },
+    error: { type: Number, default: 0 },
+    warning: { type: Number, default: 0 },
+    info: { type: Number, default: 0 }
+  },
+  passed: {
+    type: Boolean,
+    default: true
+  },
+  issues: [lintIssueSchema],
+  metadata: {
+    createdBy: String
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Compound indexes
+lintReportSchema.index({ namespace: 1, createdAt: -1 });
+lintReportSchema.index({ namespace: 1, locales: 1, createdAt: -1 });
+
+// Static methods
+lintReportSchema.statics.listForNamespace = function(namespace, { locale, trigger, limit = 20, offset = 0 } = {}) {
+  const filter = { namespace };
+  if (locale) filter.locales = locale;
+  if (trigger) filter.trigger = trigger;
+
+  // Issues can be long; they are read from a single report
+  return this.find(filter)
+    .select('-issues')
+    .sort({ createdAt: -1 })
+    .skip(offset)
+    .limit(limit)
+    .lean();
+};
+
+export default mongoose.model('LintReport', lintReportSchema);
@@ -0,0 +1,123 @@
+/**
+ * Locale Model
+ * Registry of supported locales with direction, plural rules and fallback
+ */
+
+import mongoose from 'mongoose';
+
+// Locales that were hard-coded before the registry, created on first start
+export const DEFAULT_LOCALES = ['en', 'ar', 'es', 'fr'];
+
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+/**
+ * Canonical BCP 47 form of a tag, or null when it is not well formed
+ */
+export const canonicalizeLocale = (code) => {
+  try {
+    return Intl.getCanonicalLocales(code)[0] || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Defaults derived from CLDR data bundled with the runtime
+const describeLocale = (code) => {
+  const locale = new Intl.Locale(code);
+  const textInfo = locale.textInfo || locale.getTextInfo?.();
+
+  return {
+    name: new Intl.DisplayNames(['en'], { type: 'language' }).of(code),
+    nativeName: new Intl.DisplayNames([code], { type: 'language' }).of(code),
+    direction: textInfo?.direction || 'ltr',
+    pluralCategories: {
+      cardinal: new Intl.PluralRules(code, { type: 'cardinal' }).resolvedOptions().pluralCategories,
+      ordinal: new Intl.PluralRules(code, { type: 'ordinal' }).resolvedOptions().pluralCategories
+    }
+  };
+};
+
+const localeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    maxlength: 35,
+    validate: {
+      validator: (code) => canonicalizeLocale(code) === code,
+      message: props => `"${props.value}" is not a canonical BCP 47 language tag`
+    }
+  },
+  name: {
+    type: String,
+    maxlength: 100
+  },
+  nativeName: {
+    type: String,
+    maxlength: 100
+  },
+  direction: {
+    type: String,
+    enum: ['ltr', 'rtl'],
+    default: 'ltr'
+  },
+  pluralCategories: {
+    cardinal: [{ type: String, enum: PLURAL_CATEGORIES }],
+    ordinal: [{ type: String, enum: PLURAL_CATEGORIES }]
+  },
+  fallback: {
+    type: String,
+    maxlength: 35
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  metadata: {
+    createdBy: {
+      type: String,
+      required: true
+    },
+    updatedBy: String
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Compound indexes
+localeSchema.index({ enabled: 1, code: 1 });
+
+// Pre-validate middleware: fill CLDR defaults for anything not given
+localeSchema.pre('validate', function(next) {
+  const code = canonicalizeLocale(this.code);
+  if (!code) return next();
+
+  const defaults = describeLocale(code);
+  if (!this.name) this.name = defaults.name;
+  if (!this.nativeName) this.nativeName = defaults.nativeName;
+  if (this.isNew && !this.isModified('direction')) this.direction = defaults.direction;
+  if (!this.pluralCategories?.cardinal?.length) this.set('pluralCategories.cardinal', defaults.pluralCategories.cardinal);
+  if (!this.pluralCategories?.ordinal?.length) this.set('pluralCategories.ordinal', defaults.pluralCategories.ordinal);
+
+  next();
+});
+
+// Static methods
+localeSchema.statics.getEnabled = function() {
+  return this.find({ enabled: true }).sort({ code: 1 }).lean();
+};
+
+localeSchema.statics.ensureDefaults = async function() {
+  const count = await this.estimatedDocumentCount();
+  if (count > 0) return [];
+
+  const locales = [];
+  for (const code of DEFAULT_LOCALES) {
+    locales.push(await this.create({ code, 'metadata.createdBy': 'system' }));
+  }
+  return locales;
+};
+
+export default mongoose.model('Locale', localeSchema);
@@ -0,0 +1,140 @@
+/**
+ * Namespace Model
+ * Registry of translation namespaces and their ownership and conventions
+ */
+
+import mongoose from 'mongoose';
+
+// Namespaces that existed before the registry, created on first start
+export const DEFAULT_NAMESPACES = ['ui', 'emails', 'notifications', 'reports', 'forms', 'errors', 'validation'];
+
+const namespaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: 50,
+    match: /^[a-z][a-z0-9_-]*$/
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  owner: {
+    type: String,
+    maxlength: 100
+  },
+  sourceLocale: {
+    type: String,
+    default: 'en',
+    maxlength: 35
+  },
+  requiredLocales: [{
+    type: String,
+    maxlength: 35
+  }],
+  // Tenant whose glossary translations of this namespace are checked against
+  glossaryTenantId: {
+    type: String,
+    maxlength: 100
+  },
+  // Rule name to a severity or `{ severity, options }`, see services/lint
+  lintRules: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  conventions: {
+    // Regular expression every key must match, e.g. ^[a-z]+(\.[a-zA-Z0-9]+)*$
+    keyPattern: {
+      type: String,
+      validate: {
+        validator: (pattern) => {
+          try {
+            new RegExp(pattern);
+            return true;
+          } catch (error) {
+            return false;
+          }
+        },
+        message: 'keyPattern must be a valid regular expression'
+      }
+    },
+    separator: {
+      type: String,
+      default: '.',
+      maxlength: 1
+    },
+    case: {
+      type: String,
+      enum: ['any', 'camel', 'snake', 'kebab'],
+      default: 'any'
+    },
+    maxDepth: {
+      type: Number,
+      min: 1
+    }
+  },
+  metadata: {
+    createdBy: {
+      type: String,
+      required: true
+    },
+    updatedBy: String
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Compound indexes
+namespaceSchema.index({ isActive: 1, name: 1 });
+namespaceSchema.index({ owner: 1 });
+
+const CASE_PATTERNS = {
+  camel: /^[a-z][a-zA-Z0-9]*$/,
+  snake: /^[a-z][a-z0-9_]*$/,
+  kebab: /^[a-z][a-z0-9-]*$/
+};
+
+// Methods
+namespaceSchema.methods.validateKey = function(key) {
+  const { keyPattern, separator = '.', case: keyCase = 'any', maxDepth } = this.conventions || {};
+  const errors = [];
+  const segments = key.split(separator);
+
+  if (keyPattern && !new RegExp(keyPattern).test(key)) {
+    errors.push(`Key "${key}" does not match the pattern ${keyPattern}`);
+  }
+  if (CASE_PATTERNS[keyCase] && segments.some(segment => !CASE_PATTERNS[keyCase].test(segment))) {
+    errors.push(`Key "${key}" segments must be ${keyCase} case`);
+  }
+  if (maxDepth && segments.length > maxDepth) {
+    errors.push(`Key "${key}" is nested deeper than ${maxDepth} levels`);
+  }
+
+  return errors;
+};
+
+// Static methods
+namespaceSchema.statics.getActive = function() {
+  return this.find({ isActive: true }).sort({ name: 1 }).lean();
+};
+
+namespaceSchema.statics.ensureDefaults = async function() {
+  const count = await this.estimatedDocumentCount();
+  if (count > 0) return [];
+
+  return this.insertMany(DEFAULT_NAMESPACES.map(name => ({
+    name,
+    'metadata.createdBy': 'system'
+  })));
+};
+
+export default mongoose.model('Namespace', namespaceSchema);
@@ -0,0 +1,113 @@
+/**
+ * Release Model
+ * Immutable, numbered snapshot of a namespace's published bundles
+ */
+
+import mongoose from 'mongoose';
+
+const releaseSchema = new mongoose.Schema({
+  namespace: {
+    type: String,
+    required: true,
+    immutable: true,
+    index: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1,
+    immutable: true
+  },
+  entries: {
+    type: [{
+      _id: false,
+      key: String,
+      locale: String,
+      value: String,
+      variables: [{
+        _id: false,
+        name: String,
+        type: { type: String },
+        required: Boolean,
+        description: String
+      }]
+    }],
+    immutable: true
+  },
+  locales: {
+    type: [String],
+    immutable: true
+  },
+  keyCount: {
+    type: Number,
+    default: 0,
+    immutable: true
+  },
+  checksum: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  changelog: {
+    type: {
+      _id: false,
+      baseVersion: Number,
+      added: [{ _id: false, key: String, locale: String }],
+      changed: [{ _id: false, key: String, locale: String }],
+      removed: [{ _id: false, key: String, locale: String }]
+    },
+    immutable: true
+  },
+  notes: {
+    type: String,
+    maxlength: 2000,
+    immutable: true
+  },
+  isCurrent: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  metadata: {
+    createdBy: {
+      type: String,
+      required: true,
+      immutable: true
+    },
+    activatedBy: String,
+    activatedAt: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Compound indexes
+releaseSchema.index({ namespace: 1, version: -1 }, { unique: true });
+releaseSchema.index({ namespace: 1, isCurrent: 1 });
+
+// Static methods
+releaseSchema.statics.getCurrent = function(namespace) {
+  return this.findOne({ namespace, isCurrent: true }).lean();
+};
+
+releaseSchema.statics.getCurrentForNamespaces = function(namespaces) {
+  return this.find({ namespace: { $in: namespaces }, isCurrent: true }).lean();
+};
+
+releaseSchema.statics.getLatestVersion = async function(namespace) {
+  const latest = await this.findOne({ namespace }).sort({ version: -1 }).select('version').lean();
+  return latest ? latest.version : 0;
+};
+
+releaseSchema.statics.listReleases = function(namespace, limit = 50, offset = 0) {
+  return this.find({ namespace })
+    .select('-entries')
+    .sort({ version: -1 })
+    .limit(limit)
+    .skip(offset)
+    .lean();
+};
+
+export default mongoose.model('Release', releaseSchema);
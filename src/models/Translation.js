@@ -6,10 +6,11 @@
 import mongoose from 'mongoose';
 
 const translationSchema = new mongoose.Schema({
+  // Checked against the Namespace registry by the routes
   namespace: {
     type: String,
     required: true,
-    enum: ['ui', 'emails', 'notifications', 'reports', 'forms', 'errors', 'validation'],
+    maxlength: 50,
     index: true
   },
   key: {
@@ -17,10 +18,11 @@ const translationSchema = new mongoose.Schema({
     required: true,
     maxlength: 200
   },
+  // Checked against the Locale registry by the routes
   locale: {
     type: String,
     required: true,
-    maxlength: 10,
+    maxlength: 35,
     index: true
   },
   value: {
@@ -43,9 +45,17 @@ const translationSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    updatedBy: String,
     reviewedBy: String,
     reviewedAt: Date,
+    publishedBy: String,
     publishedAt: Date,
+    rejectedBy: String,
+    rejectedAt: Date,
+    rejectionReason: {
+      type: String,
+      maxlength: 1000
+    },
     source: {
       type: String,
       enum: ['manual', 'machine', 'import', 'api'],
@@ -57,6 +67,9 @@ const translationSchema = new mongoose.Schema({
       max: 1,
       default: 1
     },
+    // Hash of the source-locale value this row was translated from
+    sourceHash: String,
+    outdatedAt: Date,
     tags: [String],
     notes: String
   },
@@ -73,6 +86,11 @@ const translationSchema = new mongoose.Schema({
     },
     description: String
   }],
+  // Set when the source-locale value changed after this row was written
+  outdated: {
+    type: Boolean,
+    default: false
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -94,6 +112,7 @@ const translationSchema = new mongoose.Schema({
 // Compound indexes
 translationSchema.index({ namespace: 1, key: 1, locale: 1 }, { unique: true });
 translationSchema.index({ namespace: 1, locale: 1 });
+translationSchema.index({ namespace: 1, locale: 1, outdated: 1 });
 translationSchema.index({ status: 1, isActive: 1 });
 translationSchema.index({ 'metadata.createdBy': 1 });
 translationSchema.index({ createdAt: -1 });
@@ -110,9 +129,10 @@ translationSchema.pre('save', function(next) {
 });
 
 // Methods
-translationSchema.methods.publish = function() {
+translationSchema.methods.publish = function(publishedBy) {
   this.status = 'published';
   this.metadata.publishedAt = new Date();
+  if (publishedBy) this.metadata.publishedBy = publishedBy;
   return this.save();
 };
 
@@ -129,6 +149,14 @@ translationSchema.methods.review = function(reviewedBy) {
   return this.save();
 };
 
+translationSchema.methods.reject = function(rejectedBy, reason) {
+  this.status = 'draft';
+  this.metadata.rejectedBy = rejectedBy;
+  this.metadata.rejectedAt = new Date();
+  this.metadata.rejectionReason = reason;
+  return this.save();
+};
+
 // Static methods
 translationSchema.statics.getBundle = function(namespace, locale, status = 'published') {
   return this.find({
@@ -164,7 +192,10 @@ translationSchema.statics.getMissingKeys = function(namespace, locales) {
     {
       $group: {
         _id: '$key',
-        locales: { $addToSet: '$locale' }
+        locales: { $addToSet: '$locale' },
+        outdatedLocales: {
+          $addToSet: { $cond: ['$outdated', '$locale', '$$REMOVE'] }
+        }
       }
     },
     {
@@ -173,17 +204,34 @@ translationSchema.statics.getMissingKeys = function(namespace, locales) {
         locales: 1,
         missing: {
           $setDifference: [locales, '$locales']
+        },
+        outdated: {
+          $setIntersection: [locales, '$outdatedLocales']
         }
       }
     },
     {
       $match: {
-        missing: { $ne: [] }
+        $or: [
+          { missing: { $ne: [] } },
+          { outdated: { $ne: [] } }
+        ]
       }
     }
   ]);
 };
 
+translationSchema.statics.getOutdated = function(namespace, locale) {
+  return this.find({
+    namespace,
+    locale,
+    outdated: true,
+    isActive: true
+  })
+  .sort({ 'metadata.outdatedAt': 1, key: 1 })
+  .lean();
+};
+
 translationSchema.statics.getTranslationStats = function(namespace, locale) {
   return this.aggregate([
     {
@@ -196,7 +244,8 @@ translationSchema.statics.getTranslationStats = function(namespace, locale) {
     {
       $group: {
         _id: '$status',
-        count: { $sum: 1 }
+        count: { $sum: 1 },
+        outdated: { $sum: { $cond: ['$outdated', 1, 0] } }
       }
     }
   ]);
@@ -0,0 +1,78 @@
+/**
+ * Translation Memory Model
+ * Published source/target pairs indexed by source-locale text
+ */
+
+import mongoose from 'mongoose';
+
+const translationMemorySchema = new mongoose.Schema({
+  namespace: {
+    type: String,
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  sourceLocale: {
+    type: String,
+    required: true,
+    maxlength: 35
+  },
+  targetLocale: {
+    type: String,
+    required: true,
+    maxlength: 35
+  },
+  sourceText: {
+    type: String,
+    required: true
+  },
+  targetText: {
+    type: String,
+    required: true
+  },
+  // Lower-cased, whitespace-collapsed source used for matching
+  normalizedSource: {
+    type: String,
+    required: true
+  },
+  sourceHash: {
+    type: String,
+    required: true
+  },
+  // Distinct source words, used to narrow fuzzy candidates
+  tokens: [String]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Compound indexes
+translationMemorySchema.index({ namespace: 1, key: 1, targetLocale: 1 }, { unique: true });
+translationMemorySchema.index({ sourceLocale: 1, targetLocale: 1, sourceHash: 1 });
+translationMemorySchema.index({ sourceLocale: 1, targetLocale: 1, tokens: 1 });
+
+// Null searches every namespace
+const namespaceFilter = (namespaces) => (namespaces ? { namespace: { $in: namespaces } } : {});
+
+// Static methods
+translationMemorySchema.statics.findExact = function(sourceLocale, targetLocale, sourceHash, namespaces = null) {
+  return this.find({ sourceLocale, targetLocale, sourceHash, ...namespaceFilter(namespaces) })
+    .sort({ updatedAt: -1 })
+    .lean();
+};
+
+// Entries sharing the most words come first, so the limit keeps the likeliest matches
+translationMemorySchema.statics.findCandidates = function(sourceLocale, targetLocale, tokens, namespaces = null, limit = 200) {
+  return this.aggregate([
+    { $match: { sourceLocale, targetLocale, tokens: { $in: tokens }, ...namespaceFilter(namespaces) } },
+    { $addFields: { overlap: { $size: { $setIntersection: ['$tokens', tokens] } } } },
+    { $sort: { overlap: -1, updatedAt: -1 } },
+    { $limit: limit },
+    { $project: { overlap: 0 } }
+  ]);
+};
+
+export default mongoose.model('TranslationMemory', translationMemorySchema);
@@ -0,0 +1,101 @@
+/**
+ * Translation Revision Model
+ * Append-only history of every change made to a translation
+ */
+
+import mongoose from 'mongoose';
+
+const translationRevisionSchema = new mongoose.Schema({
+  translation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Translation',
+    required: true,
+    immutable: true
+  },
+  namespace: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  key: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  locale: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1,
+    immutable: true
+  },
+  value: {
+    type: String,
+    immutable: true
+  },
+  context: {
+    type: String,
+    immutable: true
+  },
+  variables: {
+    type: [{
+      _id: false,
+      name: String,
+      type: { type: String },
+      required: Boolean,
+      description: String
+    }],
+    immutable: true
+  },
+  status: {
+    type: String,
+    immutable: true
+  },
+  action: {
+    type: String,
+    enum: ['baseline', 'create', 'update', 'review', 'reject', 'publish', 'archive', 'restore', 'import', 'machine', 'revert'],
+    required: true,
+    immutable: true
+  },
+  author: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  revertedFrom: {
+    type: Number,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Compound indexes
+translationRevisionSchema.index({ translation: 1, revision: -1 }, { unique: true });
+translationRevisionSchema.index({ namespace: 1, key: 1, locale: 1, revision: -1 });
+translationRevisionSchema.index({ author: 1, createdAt: -1 });
+
+// Static methods
+translationRevisionSchema.statics.getLatest = function(translationId) {
+  return this.findOne({ translation: translationId }).sort({ revision: -1 }).lean();
+};
+
+translationRevisionSchema.statics.getHistory = function(namespace, key, locale, limit = 50, offset = 0) {
+  return this.find({ namespace, key, locale })
+    .sort({ revision: -1 })
+    .limit(limit)
+    .skip(offset)
+    .lean();
+};
+
+translationRevisionSchema.statics.getRevision = function(namespace, key, locale, revision) {
+  return this.findOne({ namespace, key, locale, revision }).lean();
+};
+
+export default mongoose.model('TranslationRevision', translationRevisionSchema);
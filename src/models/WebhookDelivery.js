@@ -0,0 +1,74 @@
+/**
+ * Webhook Delivery Model
+ * One attempt series per event and subscription, kept as a delivery log
+ */
+
+import mongoose from 'mongoose';
+
+export const DELIVERY_STATUSES = ['pending', 'delivering', 'succeeded', 'retrying', 'failed'];
+
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  // Claim expiry so a crashed worker's delivery is picked up again
+  lockedUntil: Date,
+  lastAttemptAt: Date,
+  deliveredAt: Date,
+  responseStatus: Number,
+  responseBody: {
+    type: String,
+    maxlength: 2000
+  },
+  lastError: {
+    type: String,
+    maxlength: 1000
+  },
+  durationMs: Number,
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Compound indexes
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Static methods
+webhookDeliverySchema.statics.listForSubscription = function(subscription, { status, limit = 50, offset = 0 } = {}) {
+  const filter = { subscription };
+  if (status) filter.status = status;
+
+  return this.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(offset)
+    .limit(limit)
+    .lean();
+};
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
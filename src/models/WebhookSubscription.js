@@ -0,0 +1,100 @@
+/**
+ * Webhook Subscription Model
+ * Outbound endpoints notified of translation and glossary lifecycle events
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+export const WEBHOOK_EVENTS = [
+  'translation.created',
+  'translation.updated',
+  'translation.reviewed',
+  'translation.published',
+  'translation.archived',
+  'glossary.changed'
+];
+
+export const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+    maxlength: 2000,
+    validate: {
+      validator: (url) => {
+        try {
+          return ['http:', 'https:'].includes(new URL(url).protocol);
+        } catch (error) {
+          return false;
+        }
+      },
+      message: props => `"${props.value}" is not an http(s) URL`
+    }
+  },
+  // Shared HMAC secret; only returned when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    default: generateSecret,
+    select: false
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: WEBHOOK_EVENTS
+    }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'At least one event is required'
+    }
+  },
+  // Empty filters match every namespace or tenant
+  namespaces: [{
+    type: String,
+    maxlength: 50
+  }],
+  tenantIds: [{
+    type: String,
+    maxlength: 100
+  }],
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  metadata: {
+    createdBy: {
+      type: String,
+      required: true
+    },
+    updatedBy: String
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Compound indexes
+webhookSubscriptionSchema.index({ isActive: 1, events: 1 });
+
+// Static methods
+webhookSubscriptionSchema.statics.findMatching = function(event, { namespace, tenantId } = {}) {
+  const filter = {
+    isActive: true,
+    events: event,
+    $and: [
+      { $or: [{ namespaces: { $size: 0 } }, { namespaces: namespace }] },
+      { $or: [{ tenantIds: { $size: 0 } }, { tenantIds: tenantId }] }
+    ]
+  };
+
+  return this.find(filter).select('+secret');
+};
+
+export default mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
@@ -0,0 +1,178 @@
+/**
+ * Auth Routes
+ * Current identity and API key management
+ */
+
+import express from 'express';
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+import { sendKnownError } from '../utils/errors.js';
+import ApiKey, { ROLES } from '../models/ApiKey.js';
+import { createApiKey, isAllowed } from '../services/auth.js';
+import { authorize, actorOf } from '../middleware/auth.js';
+import {
+  validate,
+  namespaceName,
+  localeCode,
+  tenantIdValue,
+  booleanString,
+  objectIdParam
+} from '../middleware/validate.js';
+
+const router = express.Router();
+
+const apiKeyBody = z.object({
+  name: z.string().min(1).max(100),
+  grants: z.array(z.object({
+    role: z.enum(ROLES),
+    namespaces: z.array(namespaceName).optional(),
+    locales: z.array(localeCode).optional(),
+    tenantIds: z.array(tenantIdValue).optional()
+  })).min(1),
+  tenantId: tenantIdValue.optional(),
+  expiresAt: z.string().datetime({ offset: true }).optional()
+});
+
+// Targets covered by a grant; empty lists stand for every value
+const grantTargets = ({ namespaces = [], locales = [], tenantIds = [] }) => {
+  const targets = [];
+  (namespaces.length ? namespaces : [null]).forEach(namespace => {
+    (locales.length ? locales : [null]).forEach(locale => {
+      (tenantIds.length ? tenantIds : [null]).forEach(tenantId => {
+        targets.push({ namespace, locale, tenantId });
+      });
+    });
+  });
+  return targets;
+};
+
+// Whether every grant of a key is within the caller's own access
+const withinGrants = (identity, grants, tenantId) => grants.every(grant => isAllowed(identity, grant.role, grantTargets({
+  ...grant,
+  tenantIds: grant.tenantIds?.length ? grant.tenantIds : (tenantId ? [tenantId] : [])
+})));
+
+// Who the request is authenticated as
+router.get('/me', authorize('viewer'), (req, res) => {
+  res.json({
+    success: true,
+    data: req.identity
+  });
+});
+
+// List API keys
+router.get('/keys', validate({ query: z.object({ includeRevoked: booleanString.optional() }) }), authorize('admin'), async (req, res) => {
+  try {
+    const { includeRevoked = 'false' } = req.query;
+
+    const filter = {};
+    if (includeRevoked !== 'true') filter.isActive = true;
+
+    // Scoped admins only see keys they could have created themselves
+    const keys = (await ApiKey.find(filter).sort({ createdAt: -1 }).lean())
+      .filter(apiKey => withinGrants(req.identity, apiKey.grants, apiKey.tenantId));
+
+    res.json({
+      success: true,
+      data: keys,
+      count: keys.length
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error fetching API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API keys',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Create an API key; the plaintext key is only returned here
+router.post('/keys', validate({ body: apiKeyBody }), authorize('admin'), async (req, res) => {
+  try {
+    const { name, grants, tenantId, expiresAt } = req.body;
+
+    // Keys cannot carry more access than the admin creating them
+    if (!withinGrants(req.identity, grants, tenantId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Grants must be within your own roles, namespaces, locales and tenants',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    const { key, apiKey } = await createApiKey({
+      name,
+      grants,
+      tenantId,
+      expiresAt,
+      createdBy: actorOf(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { ...apiKey, key }
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Revoke an API key
+router.delete('/keys/:id', validate({ params: z.object({ id: objectIdParam('API key') }) }), authorize('admin'), async (req, res) => {
+  try {
+    const existing = await ApiKey.findById(req.params.id).lean();
+
+    // Keys outside the caller's grants answer as missing so they cannot be probed
+    if (!existing || !withinGrants(req.identity, existing.grants, existing.tenantId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const apiKey = await ApiKey.findByIdAndUpdate(
+      req.params.id,
+      {
+        isActive: false,
+        'metadata.revokedBy': actorOf(req),
+        'metadata.revokedAt': new Date()
+      },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: apiKey
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,99 @@
+/**
+ * Bulk Routes
+ * Many-key upserts for seeding and syncing namespaces
+ */
+
+import express from 'express';
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+import { sendKnownError } from '../utils/errors.js';
+import { authorize, actorOf } from '../middleware/auth.js';
+import {
+  validate,
+  fieldErrorsOf,
+  namespaceName,
+  localeCode,
+  translationKey,
+  messageVariables
+} from '../middleware/validate.js';
+import { bulkUpsert, expandItems, BULK_MODES, MAX_BULK_ROWS } from '../services/bulkUpsert.js';
+
+const router = express.Router();
+
+// Same shape as a single POST /keys body
+const bulkItem = z.object({
+  namespace: namespaceName,
+  key: translationKey,
+  translations: z.record(localeCode, z.string().max(2000)),
+  context: z.string().max(500).optional(),
+  variables: messageVariables.optional()
+});
+
+// Items are checked one by one so a bad entry can be reported without failing the batch
+const bulkBody = z.object({
+  items: z.array(z.unknown()).min(1),
+  mode: z.enum(BULK_MODES).optional(),
+  atomic: z.boolean().optional()
+});
+
+// Every namespace/locale pair written must be within the caller's grants
+const bulkTargets = (req) => expandItems(req.body.items).map(({ namespace, locale }) => ({ namespace, locale }));
+
+// Upsert keys across namespaces and locales
+router.post('/keys/bulk', validate({ body: bulkBody }), authorize('translator', bulkTargets), async (req, res) => {
+  try {
+    const {
+      items,
+      mode = 'merge',
+      atomic = true
+    } = req.body;
+    const createdBy = actorOf(req);
+
+    const rowCount = expandItems(items).length;
+    if (rowCount > MAX_BULK_ROWS) {
+      return res.status(413).json({
+        success: false,
+        error: `At most ${MAX_BULK_ROWS} key/locale rows can be written per request; got ${rowCount}`,
+        code: 'PAYLOAD_TOO_LARGE'
+      });
+    }
+
+    const itemErrors = {};
+    items.forEach((item, index) => {
+      const parsed = bulkItem.safeParse(item);
+      if (!parsed.success) itemErrors[index] = fieldErrorsOf(`body.items.${index}`, parsed.error);
+    });
+
+    const result = await bulkUpsert(items, {
+      mode,
+      atomic: atomic !== false && atomic !== 'false',
+      itemErrors,
+      createdBy
+    });
+
+    if (!result.committed) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed; nothing was written',
+        code: 'INVALID_REQUEST',
+        data: result
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error bulk upserting translations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to bulk upsert translations',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
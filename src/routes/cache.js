@@ -0,0 +1,32 @@
+/**
+ * Cache Routes
+ * Visibility into the in-process bundle cache
+ */
+
+import express from 'express';
+import logger from '../utils/logger.js';
+import { authorize, unrestricted } from '../middleware/auth.js';
+import { getBundleCacheStats, clearBundleCache } from '../services/bundleCache.js';
+
+const router = express.Router();
+
+// Hit/miss counters and current size
+router.get('/cache/stats', authorize('viewer'), (req, res) => {
+  res.json({
+    success: true,
+    data: getBundleCacheStats()
+  });
+});
+
+// Drop every cached bundle
+router.delete('/cache', authorize('admin', unrestricted), (req, res) => {
+  const removed = clearBundleCache();
+  logger.info(`Bundle cache cleared (${removed} entries)`);
+
+  res.json({
+    success: true,
+    data: { removed }
+  });
+});
+
+export default router;
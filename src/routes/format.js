@@ -0,0 +1,167 @@
+/**
+ * Format Routes
+ * Server-side formatting of published messages with variable values
+ */
+
+import express from 'express';
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+import { sendKnownError } from '../utils/errors.js';
+import { findUnknownNamespaces } from '../services/namespaces.js';
+import { findUnknownLocales } from '../services/locales.js';
+import { renderMessages } from '../services/messageRenderer.js';
+import { authorize, targetsOf, publicBundles } from '../middleware/auth.js';
+import { validate, namespaceName, localeCode, translationKey } from '../middleware/validate.js';
+
+const router = express.Router();
+
+const MAX_BATCH_ITEMS = 500;
+
+const isTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const formatOptions = {
+  values: z.record(z.unknown()).optional(),
+  currency: z.string().regex(/^[A-Z]{3}$/, 'Must be an ISO 4217 currency code').optional(),
+  timeZone: z.string().refine(isTimeZone, { message: 'Must be an IANA time zone', params: { code: 'INVALID_FORMAT' } }).optional()
+};
+
+const messageFields = {
+  namespace: namespaceName,
+  key: translationKey
+};
+
+// Reject unregistered namespaces or locales before resolving anything
+const rejectUnknown = async (res, items) => {
+  const unknownNamespaces = await findUnknownNamespaces([...new Set(items.map(item => item.namespace))]);
+  if (unknownNamespaces.length > 0) {
+    res.status(404).json({
+      success: false,
+      error: `Unknown namespaces: ${unknownNamespaces.join(', ')}`,
+      code: 'UNKNOWN_NAMESPACE'
+    });
+    return true;
+  }
+
+  const unknownLocales = await findUnknownLocales([...new Set(items.map(item => item.locale))]);
+  if (unknownLocales.length > 0) {
+    res.status(400).json({
+      success: false,
+      error: `Unknown or disabled locales: ${unknownLocales.join(', ')}`,
+      code: 'UNKNOWN_LOCALE'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// Batch items fall back to the request's locale
+const batchItems = (body) => body.items.map(item => ({ ...item, locale: item.locale || body.locale }));
+
+// Format one published message
+router.post('/format', validate({
+  body: z.object({
+    ...messageFields,
+    locale: localeCode,
+    fallback: z.boolean().optional(),
+    ...formatOptions
+  })
+}), authorize(
+  'viewer',
+  req => targetsOf(req.body.namespace, req.body.locale),
+  { allowAnonymous: publicBundles }
+), async (req, res) => {
+  try {
+    const { namespace, key, locale, values, currency, timeZone, fallback = true } = req.body;
+
+    if (await rejectUnknown(res, [{ namespace, locale }])) return;
+
+    const [result] = await renderMessages([{ namespace, key, locale, values }], { fallback, currency, timeZone });
+
+    if (result.code === 'NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: 'Translation not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: result.error,
+        code: result.code
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error formatting message:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to format message',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Format many messages in one call; failures are reported per item
+router.post('/format/batch', validate({
+  body: z.object({
+    locale: localeCode.optional(),
+    fallback: z.boolean().optional(),
+    currency: formatOptions.currency,
+    timeZone: formatOptions.timeZone,
+    items: z.array(z.object({
+      ...messageFields,
+      locale: localeCode.optional(),
+      ...formatOptions
+    })).min(1).max(MAX_BATCH_ITEMS)
+  }).refine(body => body.locale || body.items.every(item => item.locale), {
+    message: 'Every item needs a locale when the request has none',
+    path: ['locale'],
+    params: { code: 'REQUIRED' }
+  })
+}), authorize(
+  'viewer',
+  req => batchItems(req.body).map(({ namespace, locale }) => ({ namespace, locale })),
+  { allowAnonymous: publicBundles }
+), async (req, res) => {
+  try {
+    const { fallback = true, currency, timeZone } = req.body;
+    const items = batchItems(req.body);
+
+    if (await rejectUnknown(res, items)) return;
+
+    const results = await renderMessages(items, { fallback, currency, timeZone });
+
+    res.json({
+      success: true,
+      data: results,
+      count: results.length,
+      errors: results.filter(result => result.error).length
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error formatting messages:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to format messages',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,192 @@
+/**
+ * Import / Export Routes
+ * File exchange with translation vendors and mobile teams
+ */
+
+import express from 'express';
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+import { sendKnownError } from '../utils/errors.js';
+import { authorize, targetsOf, listOf, actorOf } from '../middleware/auth.js';
+import { isAllowed } from '../services/auth.js';
+import {
+  validate,
+  namespaceName,
+  localeCode,
+  localeList,
+  translationStatus,
+  booleanString
+} from '../middleware/validate.js';
+import { getFormat, listFormats } from '../services/formats/index.js';
+import { buildExport, planImport, applyImport, ImportParseError } from '../services/importExport.js';
+import { getDefaultLocale } from '../services/localeFallback.js';
+import { getNamespace } from '../services/namespaces.js';
+import { findUnknownLocales } from '../services/locales.js';
+
+const router = express.Router();
+
+// Export a namespace
+router.get('/export/:namespace', validate({
+  params: z.object({ namespace: namespaceName }),
+  query: z.object({
+    format: z.enum(listFormats()).optional(),
+    locales: localeList.optional(),
+    sourceLocale: localeCode.optional(),
+    status: translationStatus.optional()
+  })
+}), authorize('viewer', req => targetsOf(req.params.namespace, listOf(req.query.locales))), async (req, res) => {
+  try {
+    const { namespace } = req.params;
+    const {
+      format: formatName = 'xliff12',
+      locales,
+      status = 'published'
+    } = req.query;
+
+    const registered = await getNamespace(namespace);
+    if (!registered) {
+      return res.status(404).json({
+        success: false,
+        error: 'Namespace not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const sourceLocale = req.query.sourceLocale || registered.sourceLocale || getDefaultLocale();
+
+    const format = getFormat(formatName);
+
+    const localeArray = locales ? locales.split(',') : [sourceLocale];
+    const unknown = await findUnknownLocales([...new Set([sourceLocale, ...localeArray])]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown or disabled locales: ${unknown.join(', ')}`,
+        code: 'UNKNOWN_LOCALE'
+      });
+    }
+
+    if (!format.multiLocale && localeArray.length > 1) {
+      return res.status(400).json({
+        success: false,
+        error: `Format ${format.name} holds a single locale per file`,
+        code: 'INVALID_REQUEST'
+      });
+    }
+
+    const content = await buildExport({
+      namespace,
+      format,
+      sourceLocale,
+      locales: localeArray,
+      status
+    });
+
+    const suffix = format.multiLocale ? localeArray.join('_') : localeArray[0];
+    res.set('Content-Type', format.contentType);
+    res.set('Content-Disposition', `attachment; filename="${namespace}.${suffix}.${format.extension}"`);
+    res.send(content);
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error exporting translations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export translations',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Import a file into a namespace; dry run unless dryRun is false
+router.post('/import/:namespace', validate({
+  params: z.object({ namespace: namespaceName }),
+  body: z.object({
+    format: z.enum(listFormats()),
+    content: z.string().min(1),
+    locale: localeCode.optional(),
+    locales: z.array(localeCode).min(1).optional(),
+    dryRun: z.union([z.boolean(), booleanString]).optional()
+  })
+}), authorize(
+  'translator',
+  req => targetsOf(req.params.namespace, req.body.locale ? [req.body.locale] : (Array.isArray(req.body.locales) ? req.body.locales : null))
+), async (req, res) => {
+  try {
+    const { namespace } = req.params;
+    const {
+      format: formatName,
+      content,
+      locale,
+      locales,
+      dryRun = true
+    } = req.body;
+    const createdBy = actorOf(req);
+
+    if (!await getNamespace(namespace)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Namespace not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const format = getFormat(formatName);
+
+    // A single `locale` limits multi-locale files to that locale as well
+    const plan = await planImport({ namespace, format, content, locale, locales: locales || (locale && [locale]) });
+
+    // Files can hold more locales than the request names, so check what was parsed
+    const planLocales = [...new Set(
+      [...plan.added, ...plan.changed, ...plan.unchanged, ...plan.invalid].map(row => row.locale).filter(Boolean)
+    )];
+    const forbidden = planLocales.filter(code => !isAllowed(req.identity, 'translator', targetsOf(namespace, code)));
+    if (forbidden.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: `The file holds locales outside your grants: ${forbidden.join(', ')}`,
+        code: 'FORBIDDEN'
+      });
+    }
+    
+    const summary = {
+      added: plan.added.length,
+      changed: plan.changed.length,
+      unchanged: plan.unchanged.length,
+      invalid: plan.invalid.length
+    };
+
+    const result = dryRun === false || dryRun === 'false'
+      ? await applyImport(namespace, plan, { createdBy })
+      : null;
+
+    res.json({
+      success: true,
+      data: {
+        dryRun: result === null,
+        summary,
+        ...plan,
+        result
+      }
+    });
+  } catch (error) {
+    if (error instanceof ImportParseError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        code: 'INVALID_FILE'
+      });
+    }
+    
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error importing translations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import translations',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
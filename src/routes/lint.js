@@ -0,0 +1,178 @@
+/**
+ * Lint Routes
+ * Run the translation QA rules over a namespace and review stored reports
+ */
+
+import express from 'express';
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+import { sendKnownError } from '../utils/errors.js';
+import LintReport, { LINT_TRIGGERS } from '../models/LintReport.js';
+import { getNamespace } from '../services/namespaces.js';
+import { findUnknownLocales } from '../services/locales.js';
+import { listLintRules, runLint } from '../services/lint/index.js';
+import { isAllowed } from '../services/auth.js';
+import { authorize, targetsOf, actorOf } from '../middleware/auth.js';
+import {
+  validate,
+  namespaceName,
+  localeCode,
+  translationKey,
+  translationStatus,
+  paging,
+  objectIdParam,
+  lintRuleSettings
+} from '../middleware/validate.js';
+
+const router = express.Router();
+
+const namespaceParams = z.object({ namespace: namespaceName });
+
+// Available rules and their default severities
+router.get('/lint/rules', authorize('viewer'), (req, res) => {
+  const rules = listLintRules();
+
+  res.json({
+    success: true,
+    data: rules,
+    count: rules.length
+  });
+});
+
+// Lint a namespace and store the report
+router.post('/lint/:namespace', validate({
+  params: namespaceParams,
+  body: z.object({
+    locales: z.array(localeCode).min(1).optional(),
+    keys: z.array(translationKey).min(1).optional(),
+    status: translationStatus.optional(),
+    rules: lintRuleSettings.optional()
+  })
+}), authorize(
+  'translator',
+  req => targetsOf(req.params.namespace, Array.isArray(req.body.locales) ? req.body.locales : null)
+), async (req, res) => {
+  try {
+    const { namespace } = req.params;
+    const { locales, keys, status, rules } = req.body;
+
+    if (!(await getNamespace(namespace))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Namespace not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const unknown = locales ? await findUnknownLocales(locales) : [];
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown or disabled locales: ${unknown.join(', ')}`,
+        code: 'UNKNOWN_LOCALE'
+      });
+    }
+
+    const report = await runLint(namespace, {
+      locales,
+      keys,
+      status,
+      rules,
+      createdBy: actorOf(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error linting translations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to lint translations',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// List stored reports for a namespace, newest first and without their issues
+router.get('/lint/:namespace/reports', validate({
+  params: namespaceParams,
+  query: z.object({
+    locale: localeCode.optional(),
+    trigger: z.enum(LINT_TRIGGERS).optional(),
+    ...paging
+  })
+}), authorize('viewer', req => targetsOf(req.params.namespace, req.query.locale || null)), async (req, res) => {
+  try {
+    const { namespace } = req.params;
+    const { locale, trigger, limit = 20, offset = 0 } = req.query;
+
+    const reports = await LintReport.listForNamespace(namespace, {
+      locale,
+      trigger,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      data: reports,
+      count: reports.length
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error fetching lint reports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch lint reports',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Get a stored report with its issues
+router.get('/lint/:namespace/reports/:reportId', validate({
+  params: z.object({ namespace: namespaceName, reportId: objectIdParam('Lint report') })
+}), authorize('viewer', req => targetsOf(req.params.namespace)), async (req, res) => {
+  try {
+    const { namespace, reportId } = req.params;
+
+    const report = await LintReport.findOne({ _id: reportId, namespace }).lean();
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lint report not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    // Locale-scoped callers may only read reports on their locales
+    if (!isAllowed(req.identity, 'viewer', targetsOf(namespace, report.locales))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not allowed to read this report',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error fetching lint report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch lint report',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
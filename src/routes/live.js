@@ -0,0 +1,214 @@
+/**
+ * Live Routes
+ * Bundle change feed over Server-Sent Events, with a WebSocket variant
+ * attached to the HTTP server at /api/i18n/live/ws
+ */
+
+import express from 'express';
+import { z } from 'zod';
+import { WebSocketServer } from 'ws';
+import logger from '../utils/logger.js';
+import {
+  identify,
+  credentialsOf,
+  allowQueryToken,
+  authorize,
+  targetsOf,
+  listOf,
+  publicBundles
+} from '../middleware/auth.js';
+import { validate, namespaceList, localeList } from '../middleware/validate.js';
+import { isAllowed } from '../services/auth.js';
+import { openSubscription, currentEventId } from '../services/liveUpdates.js';
+import { listNamespaceNames, findUnknownNamespaces } from '../services/namespaces.js';
+import { listEnabledLocales, findUnknownLocales } from '../services/locales.js';
+
+const router = express.Router();
+
+const HEARTBEAT_MS = parseInt(process.env.LIVE_HEARTBEAT_MS || '25000');
+const RETRY_MS = parseInt(process.env.LIVE_RETRY_MS || '5000');
+const SOCKET_PATH = '/api/i18n/live/ws';
+
+const STATUSES = ['draft', 'reviewed', 'published'];
+const INCLUDES = ['keys', 'values'];
+
+const subscriptionTargets = (query) => targetsOf(listOf(query.namespaces), listOf(query.locales));
+
+/**
+ * Validate subscription query parameters shared by both transports.
+ * Returns `{ subscription }` or `{ status, error, code }`.
+ */
+const parseSubscription = async (query) => {
+  const { namespaces, locales, status = 'published', include = 'keys' } = query;
+
+  const namespaceArray = namespaces ? namespaces.split(',') : await listNamespaceNames();
+  const unknownNamespaces = await findUnknownNamespaces(namespaceArray);
+  if (unknownNamespaces.length > 0) {
+    return { status: 404, error: `Unknown namespaces: ${unknownNamespaces.join(', ')}`, code: 'UNKNOWN_NAMESPACE' };
+  }
+
+  const localeArray = locales ? locales.split(',') : await listEnabledLocales();
+  const unknownLocales = await findUnknownLocales(localeArray);
+  if (unknownLocales.length > 0) {
+    return { status: 400, error: `Unknown or disabled locales: ${unknownLocales.join(', ')}`, code: 'UNKNOWN_LOCALE' };
+  }
+
+  if (!STATUSES.includes(status)) {
+    return { status: 400, error: `Status must be one of: ${STATUSES.join(', ')}`, code: 'INVALID_REQUEST' };
+  }
+
+  if (!INCLUDES.includes(include)) {
+    return { status: 400, error: `Include must be one of: ${INCLUDES.join(', ')}`, code: 'INVALID_REQUEST' };
+  }
+
+  return {
+    subscription: {
+      namespaces: namespaceArray,
+      locales: localeArray,
+      status,
+      include
+    }
+  };
+};
+
+// Subscribe to bundle changes; resumes from Last-Event-ID
+router.get('/live', validate({
+  query: z.object({
+    namespaces: namespaceList.optional(),
+    locales: localeList.optional(),
+    status: z.enum(STATUSES).optional(),
+    include: z.enum(INCLUDES).optional(),
+    lastEventId: z.string().optional()
+  })
+}), allowQueryToken, authorize(
+  'viewer',
+  req => subscriptionTargets(req.query),
+  { allowAnonymous: publicBundles }
+), async (req, res) => {
+  try {
+    const { subscription, status, error, code } = await parseSubscription(req.query);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+        code
+      });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const send = ({ id, event, data }) => {
+      if (id) res.write(`id: ${id}\n`);
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    send({ event: 'ready', data: { ...subscription, lastEventId: currentEventId() } });
+
+    let closed = false;
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      closed = true;
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    unsubscribe = await openSubscription({
+      ...subscription,
+      lastEventId: req.get('Last-Event-ID') || req.query.lastEventId
+    }, send);
+    if (closed) unsubscribe();
+  } catch (error) {
+    logger.error('Error opening live update stream:', error);
+    if (res.headersSent) return res.end();
+    res.status(500).json({
+      success: false,
+      error: 'Failed to open live update stream',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * Serve the same feed over WebSocket. Subscription options and
+ * `lastEventId` are passed in the query string; messages are JSON
+ * `{ id, event, data }` frames and liveness uses ping/pong. Credentials
+ * come from the Authorization header or `access_token`.
+ */
+export const attachLiveSocket = (server) => {
+  const wss = new WebSocketServer({ server, path: SOCKET_PATH });
+
+  wss.on('error', (error) => {
+    logger.error('Live update socket server error:', error);
+  });
+
+  wss.on('connection', async (socket, req) => {
+    let unsubscribe = () => {};
+    let alive = true;
+
+    // Malformed frames surface here; without a listener they crash the process
+    socket.on('error', (error) => {
+      logger.warn('Live update socket error:', error);
+      socket.terminate();
+    });
+
+    socket.on('pong', () => {
+      alive = true;
+    });
+
+    const heartbeat = setInterval(() => {
+      if (!alive) return socket.terminate();
+      alive = false;
+      socket.ping();
+    }, HEARTBEAT_MS);
+
+    socket.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+
+    try {
+      const query = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+
+      let identity;
+      try {
+        identity = await identify(query.access_token ? { token: query.access_token } : credentialsOf(req));
+      } catch (error) {
+        return socket.close(1008, 'Invalid credentials');
+      }
+      if (identity
+        ? !isAllowed(identity, 'viewer', subscriptionTargets(query))
+        : !publicBundles({ query })) {
+        return socket.close(1008, identity ? 'Forbidden' : 'Authentication required');
+      }
+
+      const { subscription, error } = await parseSubscription(query);
+      if (error) {
+        return socket.close(1008, error.slice(0, 120));
+      }
+
+      const send = (message) => {
+        if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+      };
+
+      send({ event: 'ready', data: { ...subscription, lastEventId: currentEventId() } });
+      unsubscribe = await openSubscription({ ...subscription, lastEventId: query.lastEventId }, send);
+      if (socket.readyState !== socket.OPEN) unsubscribe();
+    } catch (error) {
+      logger.error('Error opening live update socket:', error);
+      socket.close(1011, 'Failed to open live update stream');
+    }
+  });
+
+  return wss;
+};
+
+export default router;
@@ -0,0 +1,236 @@
+/**
+ * Locale Routes
+ * CRUD for the locale registry
+ */
+
+import express from 'express';
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+import { sendKnownError } from '../utils/errors.js';
+import Locale, { canonicalizeLocale } from '../models/Locale.js';
+import { authorize, unrestricted, actorOf } from '../middleware/auth.js';
+import { validate, localeCode, booleanString } from '../middleware/validate.js';
+import { invalidateLocales } from '../services/locales.js';
+import { isPseudoLocale } from '../services/pseudoLocale.js';
+import { clearBundleCache } from '../services/bundleCache.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'nativeName', 'direction', 'pluralCategories', 'fallback', 'enabled'];
+
+const pluralCategories = z.array(z.enum(['zero', 'one', 'two', 'few', 'many', 'other'])).min(1);
+
+const localeFields = {
+  name: z.string().max(100).optional(),
+  nativeName: z.string().max(100).optional(),
+  direction: z.enum(['ltr', 'rtl']).optional(),
+  pluralCategories: z.object({
+    cardinal: pluralCategories.optional(),
+    ordinal: pluralCategories.optional()
+  }).optional(),
+  fallback: localeCode.optional(),
+  enabled: z.boolean().optional()
+};
+
+const codeParams = z.object({ code: localeCode });
+
+// List locales
+router.get('/', validate({ query: z.object({ enabled: booleanString.optional() }) }), authorize('viewer'), async (req, res) => {
+  try {
+    const { enabled } = req.query;
+
+    const filter = {};
+    if (enabled !== undefined) filter.enabled = enabled === 'true';
+
+    const locales = await Locale.find(filter).sort({ code: 1 }).lean();
+
+    res.json({
+      success: true,
+      data: locales,
+      count: locales.length
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error fetching locales:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch locales',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Get a locale
+router.get('/:code', validate({ params: codeParams }), authorize('viewer'), async (req, res) => {
+  try {
+    const locale = await Locale.findOne({ code: req.params.code }).lean();
+
+    if (!locale) {
+      return res.status(404).json({
+        success: false,
+        error: 'Locale not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: locale
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error fetching locale:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch locale',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Register a locale
+router.post('/', validate({ body: z.object({ code: localeCode, ...localeFields }) }), authorize('admin', unrestricted), async (req, res) => {
+  try {
+    const { code } = req.body;
+    const createdBy = actorOf(req);
+
+    const canonical = canonicalizeLocale(code);
+
+    if (isPseudoLocale(canonical)) {
+      return res.status(409).json({
+        success: false,
+        error: `"${canonical}" is a reserved pseudo-locale`,
+        code: 'CONFLICT'
+      });
+    }
+
+    if (req.body.fallback && !await Locale.exists({ code: req.body.fallback })) {
+      return res.status(400).json({
+        success: false,
+        error: `Fallback locale "${req.body.fallback}" is not registered`,
+        code: 'INVALID_REQUEST'
+      });
+    }
+
+    const locale = new Locale({
+      code: canonical,
+      'metadata.createdBy': createdBy
+    });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) locale[field] = req.body[field];
+    });
+
+    await locale.save();
+    invalidateLocales();
+
+    res.status(201).json({
+      success: true,
+      data: locale
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error creating locale:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create locale',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Update a locale
+router.put('/:code', validate({ params: codeParams, body: z.object(localeFields) }), authorize('admin', unrestricted), async (req, res) => {
+  try {
+    const updatedBy = actorOf(req);
+
+    if (req.body.fallback) {
+      if (req.body.fallback === req.params.code || !await Locale.exists({ code: req.body.fallback })) {
+        return res.status(400).json({
+          success: false,
+          error: `Fallback locale "${req.body.fallback}" is not a registered parent`,
+          code: 'INVALID_REQUEST'
+        });
+      }
+    }
+
+    const update = { 'metadata.updatedBy': updatedBy };
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    });
+
+    const locale = await Locale.findOneAndUpdate(
+      { code: req.params.code },
+      update,
+      { new: true, runValidators: true }
+    );
+
+    if (!locale) {
+      return res.status(404).json({
+        success: false,
+        error: 'Locale not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    // Fallback parents feed every cached bundle
+    invalidateLocales();
+    clearBundleCache();
+
+    res.json({
+      success: true,
+      data: locale
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error updating locale:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update locale',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Disable a locale; its translations are kept
+router.delete('/:code', validate({ params: codeParams }), authorize('admin', unrestricted), async (req, res) => {
+  try {
+    const updatedBy = actorOf(req);
+
+    const locale = await Locale.findOneAndUpdate(
+      { code: req.params.code },
+      { enabled: false, 'metadata.updatedBy': updatedBy },
+      { new: true }
+    );
+
+    if (!locale) {
+      return res.status(404).json({
+        success: false,
+        error: 'Locale not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    invalidateLocales();
+    clearBundleCache();
+
+    res.json({
+      success: true,
+      data: locale
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error disabling locale:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable locale',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
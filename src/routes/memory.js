@@ -0,0 +1,109 @@
+/**
+ * Translation Memory Routes
+ * Exact and fuzzy suggestions from previously published translations
+ */
+
+import express from 'express';
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+import { sendKnownError } from '../utils/errors.js';
+import { authorize, targetsOf } from '../middleware/auth.js';
+import { isAllowed } from '../services/auth.js';
+import { validate, namespaceName, localeCode } from '../middleware/validate.js';
+import { suggest, rebuildMemory } from '../services/translationMemory.js';
+import { getDefaultLocale } from '../services/localeFallback.js';
+import { findUnknownLocales } from '../services/locales.js';
+
+const router = express.Router();
+
+// Namespaces the identity may read in a locale; null when it may read all of them
+const readableNamespaces = (identity, locale) => {
+  if (isAllowed(identity, 'viewer', targetsOf(null, locale))) return null;
+
+  const named = [...new Set(identity.grants.flatMap(grant => grant.namespaces))];
+  return named.filter(namespace => isAllowed(identity, 'viewer', targetsOf(namespace, locale)));
+};
+
+// Suggest translations for a source string
+router.post('/memory/suggestions', validate({
+  body: z.object({
+    text: z.string().min(1).max(2000),
+    sourceLocale: localeCode.optional(),
+    targetLocale: localeCode,
+    minScore: z.number().min(0).max(100).optional(),
+    limit: z.number().int().min(1).max(50).optional()
+  })
+}), authorize('viewer', req => [{ locale: req.body.targetLocale }]), async (req, res) => {
+  try {
+    const {
+      text,
+      sourceLocale = getDefaultLocale(),
+      targetLocale,
+      minScore = 70,
+      limit = 5
+    } = req.body;
+
+    const unknown = await findUnknownLocales([sourceLocale, targetLocale]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown or disabled locales: ${unknown.join(', ')}`,
+        code: 'UNKNOWN_LOCALE'
+      });
+    }
+
+    // Memory spans namespaces, so entries are limited to the ones the caller can read
+    const suggestions = await suggest(text, {
+      sourceLocale,
+      targetLocale,
+      namespaces: readableNamespaces(req.identity, targetLocale),
+      minScore: parseInt(minScore),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: suggestions,
+      count: suggestions.length
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error fetching memory suggestions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch memory suggestions',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Rebuild the memory for namespaces from their published rows
+router.post('/memory/rebuild', validate({
+  body: z.object({
+    namespaces: z.array(namespaceName).min(1),
+    sourceLocale: localeCode.optional()
+  })
+}), authorize('admin', req => targetsOf(req.body.namespaces, null)), async (req, res) => {
+  try {
+    const { namespaces, sourceLocale } = req.body;
+
+    const result = await rebuildMemory(namespaces, { sourceLocale });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error rebuilding translation memory:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rebuild translation memory',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
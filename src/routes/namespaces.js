@@ -0,0 +1,257 @@
+/**
+ * Namespace Routes
+ * CRUD for the namespace registry
+ */
+
+import express from 'express';
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+import { sendKnownError } from '../utils/errors.js';
+import Namespace from '../models/Namespace.js';
+import { authorize, actorOf } from '../middleware/auth.js';
+import {
+  validate,
+  namespaceName,
+  localeCode,
+  tenantIdValue,
+  booleanString,
+  lintRuleSettings
+} from '../middleware/validate.js';
+import { invalidateNamespaces } from '../services/namespaces.js';
+import { findUnknownLocales } from '../services/locales.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['description', 'owner', 'sourceLocale', 'requiredLocales', 'glossaryTenantId', 'lintRules', 'conventions'];
+
+const isPattern = (pattern) => {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const namespaceFields = {
+  description: z.string().max(500).optional(),
+  owner: z.string().max(100).optional(),
+  sourceLocale: localeCode.optional(),
+  requiredLocales: z.array(localeCode).optional(),
+  glossaryTenantId: tenantIdValue.optional(),
+  lintRules: lintRuleSettings.optional(),
+  conventions: z.object({
+    keyPattern: z.string().refine(isPattern, 'Must be a valid regular expression').optional(),
+    separator: z.string().length(1).optional(),
+    case: z.enum(['any', 'camel', 'snake', 'kebab']).optional(),
+    maxDepth: z.number().int().min(1).optional()
+  }).optional()
+};
+
+const nameParams = z.object({ name: namespaceName });
+
+// Pointing a namespace at a tenant's glossary needs admin rights on that tenant too
+const namespaceTargets = (name, { glossaryTenantId }) => [
+  { namespace: name },
+  ...(glossaryTenantId ? [{ tenantId: glossaryTenantId }] : [])
+];
+
+// List namespaces
+router.get('/', validate({
+  query: z.object({ includeInactive: booleanString.optional(), owner: z.string().optional() })
+}), authorize('viewer'), async (req, res) => {
+  try {
+    const { includeInactive = 'false', owner } = req.query;
+
+    const filter = {};
+    if (includeInactive !== 'true') filter.isActive = true;
+    if (owner) filter.owner = owner;
+
+    const namespaces = await Namespace.find(filter).sort({ name: 1 }).lean();
+
+    res.json({
+      success: true,
+      data: namespaces,
+      count: namespaces.length
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error fetching namespaces:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch namespaces',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Get a namespace
+router.get('/:name', validate({ params: nameParams }), authorize('viewer', req => [{ namespace: req.params.name }]), async (req, res) => {
+  try {
+    const namespace = await Namespace.findOne({ name: req.params.name }).lean();
+
+    if (!namespace) {
+      return res.status(404).json({
+        success: false,
+        error: 'Namespace not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: namespace
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error fetching namespace:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch namespace',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Register a namespace
+router.post('/', validate({ body: z.object({ name: namespaceName, ...namespaceFields }) }), authorize('admin', req => namespaceTargets(req.body.name, req.body)), async (req, res) => {
+  try {
+    const { name } = req.body;
+    const createdBy = actorOf(req);
+
+    const unknown = await findUnknownLocales([req.body.sourceLocale, ...(req.body.requiredLocales || [])].filter(Boolean));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown or disabled locales: ${unknown.join(', ')}`,
+        code: 'UNKNOWN_LOCALE'
+      });
+    }
+
+    const namespace = new Namespace({
+      name,
+      'metadata.createdBy': createdBy
+    });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) namespace[field] = req.body[field];
+    });
+
+    await namespace.save();
+    invalidateNamespaces();
+
+    res.status(201).json({
+      success: true,
+      data: namespace
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error creating namespace:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create namespace',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Update a namespace
+router.put('/:name', validate({
+  params: nameParams,
+  body: z.object({ ...namespaceFields, isActive: z.boolean().optional() })
+}), authorize('admin', req => namespaceTargets(req.params.name, req.body)), async (req, res) => {
+  try {
+    const { isActive } = req.body;
+    const updatedBy = actorOf(req);
+
+    const unknown = await findUnknownLocales([req.body.sourceLocale, ...(req.body.requiredLocales || [])].filter(Boolean));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown or disabled locales: ${unknown.join(', ')}`,
+        code: 'UNKNOWN_LOCALE'
+      });
+    }
+
+    const update = { 'metadata.updatedBy': updatedBy };
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined && field !== 'conventions') update[field] = req.body[field];
+    });
+    // Conventions are merged field by field so a partial update keeps the rest
+    Object.entries(req.body.conventions || {}).forEach(([field, value]) => {
+      if (value !== undefined) update[`conventions.${field}`] = value;
+    });
+    if (isActive !== undefined) update.isActive = isActive;
+
+    const namespace = await Namespace.findOneAndUpdate(
+      { name: req.params.name },
+      update,
+      { new: true, runValidators: true }
+    );
+
+    if (!namespace) {
+      return res.status(404).json({
+        success: false,
+        error: 'Namespace not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    invalidateNamespaces();
+
+    res.json({
+      success: true,
+      data: namespace
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error updating namespace:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update namespace',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Deactivate a namespace; its translations are kept
+router.delete('/:name', validate({ params: nameParams }), authorize('admin', req => [{ namespace: req.params.name }]), async (req, res) => {
+  try {
+    const updatedBy = actorOf(req);
+
+    const namespace = await Namespace.findOneAndUpdate(
+      { name: req.params.name },
+      { isActive: false, 'metadata.updatedBy': updatedBy },
+      { new: true }
+    );
+
+    if (!namespace) {
+      return res.status(404).json({
+        success: false,
+        error: 'Namespace not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    invalidateNamespaces();
+
+    res.json({
+      success: true,
+      data: namespace
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error deactivating namespace:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate namespace',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,169 @@
+/**
+ * Release Routes
+ * Numbered, immutable snapshots of published bundles and rollback
+ */
+
+import express from 'express';
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+import { sendKnownError } from '../utils/errors.js';
+import Release from '../models/Release.js';
+import { authorize, actorOf } from '../middleware/auth.js';
+import {
+  validate,
+  namespaceName,
+  localeList,
+  booleanString,
+  integerString,
+  paging
+} from '../middleware/validate.js';
+import { createRelease, activateRelease } from '../services/releases.js';
+import { resolveBundles } from '../services/bundles.js';
+import { getNamespace } from '../services/namespaces.js';
+
+const router = express.Router();
+
+const namespaceParams = z.object({ namespace: namespaceName });
+const versionParams = z.object({ namespace: namespaceName, version: integerString });
+
+// List releases for a namespace
+router.get('/releases/:namespace', validate({ params: namespaceParams, query: z.object(paging) }), authorize('viewer', req => [{ namespace: req.params.namespace }]), async (req, res) => {
+  try {
+    const { namespace } = req.params;
+    const { limit = 50, offset = 0 } = req.query;
+
+    const releases = await Release.listReleases(namespace, parseInt(limit), parseInt(offset));
+
+    res.json({
+      success: true,
+      data: releases,
+      count: releases.length
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error fetching releases:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch releases',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Cut a release from the currently published rows
+router.post('/releases/:namespace', validate({
+  params: namespaceParams,
+  body: z.object({ notes: z.string().max(1000).optional() })
+}), authorize('publisher', req => [{ namespace: req.params.namespace, locale: null }]), async (req, res) => {
+  try {
+    const { namespace } = req.params;
+    const { notes } = req.body;
+    const createdBy = actorOf(req);
+
+    if (!await getNamespace(namespace)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Namespace not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const release = await createRelease(namespace, { notes, createdBy });
+
+    res.status(201).json({
+      success: true,
+      data: release
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error creating release:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create release',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Get a release with its changelog, and its bundles when locales are given
+router.get('/releases/:namespace/:version', validate({
+  params: versionParams,
+  query: z.object({ locales: localeList.optional(), fallback: booleanString.optional() })
+}), authorize('viewer', req => [{ namespace: req.params.namespace }]), async (req, res) => {
+  try {
+    const { namespace } = req.params;
+    const version = parseInt(req.params.version);
+    const { locales, fallback = 'true' } = req.query;
+
+    const release = await Release.findOne({ namespace, version }).select('-entries').lean();
+    if (!release) {
+      return res.status(404).json({
+        success: false,
+        error: 'Release not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    let bundles;
+    if (locales) {
+      const { data, sources } = await resolveBundles([namespace], locales.split(','), {
+        release: version,
+        fallback: fallback !== 'false'
+      });
+      bundles = { data: data[namespace], sources: sources[namespace] };
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...release,
+        ...bundles
+      }
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error fetching release:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch release',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Make an earlier release current again; draft rows are left untouched
+router.post('/releases/:namespace/:version/rollback', validate({ params: versionParams }), authorize('publisher', req => [{ namespace: req.params.namespace, locale: null }]), async (req, res) => {
+  try {
+    const { namespace } = req.params;
+    const version = parseInt(req.params.version);
+    const activatedBy = actorOf(req);
+
+    const release = await activateRelease(namespace, version, activatedBy);
+    if (!release) {
+      return res.status(404).json({
+        success: false,
+        error: 'Release not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: release
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error rolling back release:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to roll back release',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
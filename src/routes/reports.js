@@ -0,0 +1,412 @@
+/**
+ * Report Routes
+ * Per-locale status counts, missing keys and the translator work queue
+ * for a namespace, and coverage across namespaces
+ */
+
+import express from 'express';
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+import { sendKnownError } from '../utils/errors.js';
+import Translation from '../models/Translation.js';
+import { getNamespace, findUnknownNamespaces } from '../services/namespaces.js';
+import { listEnabledLocales, findUnknownLocales } from '../services/locales.js';
+import CoverageSnapshot from '../models/CoverageSnapshot.js';
+import { authorize, targetsOf, listOf, unrestricted } from '../middleware/auth.js';
+import {
+  validate,
+  namespaceName,
+  namespaceList,
+  localeCode,
+  localeList,
+  tenantIdValue,
+  translationStatus,
+  integerString
+} from '../middleware/validate.js';
+import { getSourceLocale } from '../services/staleness.js';
+import { glossaryReport } from '../services/glossaryCheck.js';
+import { coverageMatrix, releaseReadiness, takeSnapshot } from '../services/coverage.js';
+
+const router = express.Router();
+
+// Resolve the `locales` query against the registry, defaulting to every enabled locale
+const resolveLocales = async (locales) => {
+  const localeArray = locales ? locales.split(',') : await listEnabledLocales();
+  return { localeArray, unknown: await findUnknownLocales(localeArray) };
+};
+
+const coverageQuery = {
+  namespaces: namespaceList.optional(),
+  locales: localeList.optional()
+};
+
+const coverageTargets = req => targetsOf(listOf(req.query.namespaces), listOf(req.query.locales));
+
+// Answer 404/400 for unregistered namespaces or locales in a coverage query
+const rejectUnknown = async (res, { namespaces, locales }) => {
+  const unknownNamespaces = namespaces ? await findUnknownNamespaces(namespaces) : [];
+  if (unknownNamespaces.length > 0) {
+    res.status(404).json({
+      success: false,
+      error: `Unknown namespaces: ${unknownNamespaces.join(', ')}`,
+      code: 'UNKNOWN_NAMESPACE'
+    });
+    return true;
+  }
+
+  const unknownLocales = locales ? await findUnknownLocales(locales) : [];
+  if (unknownLocales.length > 0) {
+    res.status(400).json({
+      success: false,
+      error: `Unknown or disabled locales: ${unknownLocales.join(', ')}`,
+      code: 'UNKNOWN_LOCALE'
+    });
+    return true;
+  }
+
+  return false;
+};
+
+// Get translation statistics; a single `locale` keeps the original array shape
+router.get('/stats/:namespace', validate({
+  params: z.object({ namespace: namespaceName }),
+  query: z.object({ locale: localeCode.optional(), locales: localeList.optional() })
+}), authorize('viewer', req => targetsOf(req.params.namespace, listOf(req.query.locale || req.query.locales))), async (req, res) => {
+  try {
+    const { namespace } = req.params;
+    const { locale, locales } = req.query;
+
+    if (!await getNamespace(namespace)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Namespace not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const { localeArray, unknown } = await resolveLocales(locale || locales);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown or disabled locales: ${unknown.join(', ')}`,
+        code: 'UNKNOWN_LOCALE'
+      });
+    }
+
+    if (locale) {
+      return res.json({
+        success: true,
+        data: await Translation.getTranslationStats(namespace, locale)
+      });
+    }
+
+    const stats = {};
+    for (const code of localeArray) {
+      stats[code] = await Translation.getTranslationStats(namespace, code);
+    }
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error fetching translation statistics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch translation statistics',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Get missing translations
+router.get('/missing/:namespace', validate({
+  params: z.object({ namespace: namespaceName }),
+  query: z.object({ locales: localeList.optional() })
+}), authorize('viewer', req => targetsOf(req.params.namespace, listOf(req.query.locales))), async (req, res) => {
+  try {
+    const { namespace } = req.params;
+
+    if (!await getNamespace(namespace)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Namespace not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const { localeArray, unknown } = await resolveLocales(req.query.locales);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown or disabled locales: ${unknown.join(', ')}`,
+        code: 'UNKNOWN_LOCALE'
+      });
+    }
+
+    const missing = await Translation.getMissingKeys(namespace, localeArray);
+
+    res.json({
+      success: true,
+      data: missing,
+      locales: localeArray
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error fetching missing translations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch missing translations',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Work queue for one locale: outdated rows and keys it has never had
+router.get('/needs-update/:namespace/:locale', validate({
+  params: z.object({ namespace: namespaceName, locale: localeCode })
+}), authorize('viewer', req => targetsOf(req.params.namespace, req.params.locale)), async (req, res) => {
+  try {
+    const { namespace, locale } = req.params;
+
+    if (!await getNamespace(namespace)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Namespace not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const unknown = await findUnknownLocales([locale]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown or disabled locales: ${unknown.join(', ')}`,
+        code: 'UNKNOWN_LOCALE'
+      });
+    }
+
+    const sourceLocale = await getSourceLocale(namespace);
+    const [sourceRows, targetRows, outdatedRows] = await Promise.all([
+      Translation.find({ namespace, locale: sourceLocale, isActive: true }).select('key value context').lean(),
+      Translation.find({ namespace, locale }).select('key').lean(),
+      locale === sourceLocale ? [] : Translation.getOutdated(namespace, locale)
+    ]);
+
+    const sources = new Map(sourceRows.map(row => [row.key, row]));
+    const translated = new Set(targetRows.map(row => row.key));
+
+    const outdated = outdatedRows.map(row => ({
+      key: row.key,
+      value: row.value,
+      status: row.status,
+      source: sources.get(row.key)?.value,
+      outdatedAt: row.metadata?.outdatedAt
+    }));
+
+    const missing = locale === sourceLocale
+      ? []
+      : sourceRows
+        .filter(row => !translated.has(row.key))
+        .map(row => ({ key: row.key, source: row.value, context: row.context }));
+
+    res.json({
+      success: true,
+      data: {
+        sourceLocale,
+        outdated,
+        missing
+      },
+      count: outdated.length + missing.length
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error fetching translations needing update:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch translations needing update',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Rows of a locale that do not use the tenant glossary's required renderings
+router.get('/glossary-check/:namespace/:locale', validate({
+  params: z.object({ namespace: namespaceName, locale: localeCode }),
+  query: z.object({ tenantId: tenantIdValue.optional(), status: translationStatus.optional() })
+}), authorize(
+  'viewer',
+  req => targetsOf(req.params.namespace, req.params.locale, req.query.tenantId ? { tenantId: req.query.tenantId } : {})
+), async (req, res) => {
+  try {
+    const { namespace, locale } = req.params;
+    const { tenantId, status } = req.query;
+
+    const registered = await getNamespace(namespace);
+    if (!registered) {
+      return res.status(404).json({
+        success: false,
+        error: 'Namespace not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (!tenantId && !registered.glossaryTenantId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Pass a tenantId or set glossaryTenantId on the namespace',
+        code: 'INVALID_REQUEST'
+      });
+    }
+
+    const unknown = await findUnknownLocales([locale]);
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown or disabled locales: ${unknown.join(', ')}`,
+        code: 'UNKNOWN_LOCALE'
+      });
+    }
+
+    const report = await glossaryReport(namespace, locale, { tenantId, status });
+
+    res.json({
+      success: true,
+      data: report,
+      count: report.findings.length
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error checking glossary usage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check glossary usage',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Namespace x locale coverage matrix
+router.get('/coverage', validate({ query: z.object(coverageQuery) }), authorize('viewer', coverageTargets), async (req, res) => {
+  try {
+    const namespaces = listOf(req.query.namespaces);
+    const locales = listOf(req.query.locales);
+    if (await rejectUnknown(res, { namespaces, locales })) return;
+
+    const coverage = await coverageMatrix({
+      namespaces: namespaces || undefined,
+      locales: locales || undefined
+    });
+
+    res.json({
+      success: true,
+      data: coverage
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error fetching coverage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch coverage',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Release-ready verdict for required locales, by default each namespace's requiredLocales
+router.get('/coverage/readiness', validate({
+  query: z.object({
+    ...coverageQuery,
+    minPublished: integerString.refine(value => parseInt(value) <= 100, 'Must be at most 100').optional()
+  })
+}), authorize('viewer', coverageTargets), async (req, res) => {
+  try {
+    const namespaces = listOf(req.query.namespaces);
+    const locales = listOf(req.query.locales);
+    if (await rejectUnknown(res, { namespaces, locales })) return;
+
+    const readiness = await releaseReadiness({
+      namespaces: namespaces || undefined,
+      locales: locales || undefined,
+      minPublished: req.query.minPublished === undefined ? undefined : parseInt(req.query.minPublished)
+    });
+
+    res.json({
+      success: true,
+      data: readiness
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error checking release readiness:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check release readiness',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Daily coverage snapshots, oldest first, for progress charts
+router.get('/coverage/history', validate({
+  query: z.object({
+    ...coverageQuery,
+    from: z.string().date().optional(),
+    to: z.string().date().optional()
+  })
+}), authorize('viewer', coverageTargets), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const snapshots = await CoverageSnapshot.getHistory({
+      namespaces: listOf(req.query.namespaces),
+      locales: listOf(req.query.locales),
+      from,
+      to
+    });
+
+    res.json({
+      success: true,
+      data: snapshots,
+      count: snapshots.length
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error fetching coverage history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch coverage history',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Store today's snapshot now instead of waiting for the daily run
+router.post('/coverage/snapshots', authorize('admin', unrestricted), async (req, res) => {
+  try {
+    const snapshot = await takeSnapshot();
+
+    res.status(201).json({
+      success: true,
+      data: snapshot
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error storing coverage snapshot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to store coverage snapshot',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
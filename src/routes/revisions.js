@@ -0,0 +1,179 @@
+/**
+ * Revision Routes
+ * History, diff and revert for a single translation
+ */
+
+import express from 'express';
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+import { sendKnownError } from '../utils/errors.js';
+import Translation from '../models/Translation.js';
+import TranslationRevision from '../models/TranslationRevision.js';
+import { authorize, targetsOf, actorOf } from '../middleware/auth.js';
+import {
+  validate,
+  namespaceName,
+  localeCode,
+  translationKey,
+  integerString,
+  paging
+} from '../middleware/validate.js';
+import { recordRevision, diffRevisions } from '../services/revisions.js';
+import { invalidateBundles } from '../services/bundleCache.js';
+import { trackSourceChanges } from '../services/staleness.js';
+import { publishChange } from '../services/liveUpdates.js';
+import { emitTranslationEvent } from '../services/webhooks.js';
+
+const router = express.Router();
+
+const rowParams = {
+  namespace: namespaceName,
+  key: translationKey,
+  locale: localeCode
+};
+
+// List revisions for a key and locale, newest first
+router.get('/revisions/:namespace/:key/:locale', validate({
+  params: z.object(rowParams),
+  query: z.object(paging)
+}), authorize('viewer', req => targetsOf(req.params.namespace, req.params.locale)), async (req, res) => {
+  try {
+    const { namespace, key, locale } = req.params;
+    const { limit = 50, offset = 0 } = req.query;
+
+    const revisions = await TranslationRevision.getHistory(
+      namespace,
+      key,
+      locale,
+      parseInt(limit),
+      parseInt(offset)
+    );
+
+    res.json({
+      success: true,
+      data: revisions,
+      count: revisions.length
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error fetching revisions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch revisions',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Diff two revisions; `to` defaults to the latest
+router.get('/revisions/:namespace/:key/:locale/diff', validate({
+  params: z.object(rowParams),
+  query: z.object({ from: integerString, to: integerString.optional() })
+}), authorize('viewer', req => targetsOf(req.params.namespace, req.params.locale)), async (req, res) => {
+  try {
+    const { namespace, key, locale } = req.params;
+    const { from, to } = req.query;
+
+    const [fromRevision, toRevision] = await Promise.all([
+      TranslationRevision.getRevision(namespace, key, locale, parseInt(from)),
+      to
+        ? TranslationRevision.getRevision(namespace, key, locale, parseInt(to))
+        : TranslationRevision.findOne({ namespace, key, locale }).sort({ revision: -1 }).lean()
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: diffRevisions(fromRevision, toRevision)
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error diffing revisions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to diff revisions',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Restore an earlier revision as a draft, recorded as a new revision
+router.post('/revisions/:namespace/:key/:locale/:revision/revert', validate({
+  params: z.object({ ...rowParams, revision: integerString })
+}), authorize('translator', req => targetsOf(req.params.namespace, req.params.locale)), async (req, res) => {
+  try {
+    const { namespace, key, locale } = req.params;
+    const revertedBy = actorOf(req);
+
+    const target = await TranslationRevision.getRevision(namespace, key, locale, parseInt(req.params.revision));
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    // Fields the revision did not have are removed, not kept from the current row
+    const set = { value: target.value, status: 'draft', isActive: true, 'metadata.updatedBy': revertedBy };
+    const unset = {};
+    ['context', 'variables'].forEach(field => {
+      if (target[field] === undefined || target[field] === null) unset[field] = 1;
+      else set[field] = target[field];
+    });
+
+    const previous = await Translation.findOne({ namespace, key, locale }).lean();
+    const translation = await Translation.findOneAndUpdate(
+      { namespace, key, locale },
+      Object.keys(unset).length > 0 ? { $set: set, $unset: unset } : { $set: set },
+      { new: true }
+    );
+
+    if (!translation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Translation not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const revision = await recordRevision(translation, {
+      author: revertedBy,
+      action: 'revert',
+      previous,
+      revertedFrom: target.revision
+    });
+    await trackSourceChanges(namespace, [{ key, locale, value: translation.value, previousValue: previous.value }]);
+    invalidateBundles(namespace, [locale]);
+    publishChange({ namespace, locales: [locale], keys: [key], statuses: ['draft', previous.status] });
+    await emitTranslationEvent('updated', namespace, [translation], { actor: revertedBy });
+
+    res.json({
+      success: true,
+      data: {
+        translation,
+        revision
+      }
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error reverting revision:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revert revision',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
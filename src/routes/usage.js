@@ -0,0 +1,220 @@
+/**
+ * Usage Routes
+ * Key usage telemetry from client SDKs, unused and undefined key reports,
+ * and archiving keys nobody renders any more or restoring them
+ */
+
+import express from 'express';
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+import { sendKnownError } from '../utils/errors.js';
+import { getNamespace } from '../services/namespaces.js';
+import {
+  recordUsage,
+  findUnusedKeys,
+  findUndefinedKeys,
+  archiveUnusedKeys,
+  restoreKeys
+} from '../services/keyUsage.js';
+import { authorize, targetsOf, publicUsage, actorOf } from '../middleware/auth.js';
+import {
+  validate,
+  namespaceName,
+  localeCode,
+  translationKey,
+  integerString
+} from '../middleware/validate.js';
+
+const router = express.Router();
+
+const MAX_USAGE_REPORTS = 1000;
+
+const usageReport = z.object({
+  namespace: namespaceName,
+  key: translationKey,
+  locale: localeCode,
+  count: z.number().int().min(1).max(1000000).optional()
+});
+
+const namespaceParams = z.object({ namespace: namespaceName });
+
+const daysString = integerString.refine(value => parseInt(value) >= 1, 'Must be at least 1');
+
+const reportsOf = (body) => [...(body.hits || []), ...(body.missing || [])];
+
+// Answer 404 for namespaces that are not registered
+const rejectUnknownNamespace = async (res, namespace) => {
+  if (await getNamespace(namespace)) return false;
+
+  res.status(404).json({
+    success: false,
+    error: 'Namespace not found',
+    code: 'NOT_FOUND'
+  });
+  return true;
+};
+
+// Ingest batched key hits and misses
+router.post('/usage', validate({
+  body: z.object({
+    hits: z.array(usageReport).optional(),
+    missing: z.array(usageReport).optional()
+  }).refine(body => reportsOf(body).length <= MAX_USAGE_REPORTS, {
+    message: `At most ${MAX_USAGE_REPORTS} reports can be sent per request`,
+    params: { code: 'TOO_BIG' }
+  })
+}), authorize(
+  'viewer',
+  req => reportsOf(req.body).map(({ namespace, locale }) => ({ namespace, locale })),
+  { allowAnonymous: publicUsage }
+), async (req, res) => {
+  try {
+    const result = await recordUsage(req.body);
+
+    res.status(202).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error recording key usage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record key usage',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Keys not rendered in the last `days` days
+router.get('/usage/:namespace/unused', validate({
+  params: namespaceParams,
+  query: z.object({ days: daysString.optional() })
+}), authorize('viewer', req => targetsOf(req.params.namespace, null)), async (req, res) => {
+  try {
+    const { namespace } = req.params;
+    const { days = 30 } = req.query;
+
+    if (await rejectUnknownNamespace(res, namespace)) return;
+
+    const unused = await findUnusedKeys(namespace, { days: parseInt(days) });
+
+    res.json({
+      success: true,
+      data: unused,
+      count: unused.length
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error fetching unused keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch unused keys',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Keys clients requested that are not defined in the namespace
+router.get('/usage/:namespace/undefined', validate({
+  params: namespaceParams,
+  query: z.object({ days: daysString.optional() })
+}), authorize('viewer', req => targetsOf(req.params.namespace, null)), async (req, res) => {
+  try {
+    const { namespace } = req.params;
+    const { days } = req.query;
+
+    if (await rejectUnknownNamespace(res, namespace)) return;
+
+    const requested = await findUndefinedKeys(namespace, {
+      since: days === undefined ? undefined : new Date(Date.now() - parseInt(days) * 24 * 60 * 60 * 1000)
+    });
+
+    res.json({
+      success: true,
+      data: requested,
+      count: requested.length
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error fetching undefined keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch undefined keys',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Archive every locale of keys unused for `days` days
+router.post('/usage/:namespace/archive-unused', validate({
+  params: namespaceParams,
+  body: z.object({
+    days: z.number().int().min(1),
+    dryRun: z.boolean().optional(),
+    release: z.boolean().optional()
+  })
+}), authorize('publisher', req => targetsOf(req.params.namespace, null)), async (req, res) => {
+  try {
+    const { namespace } = req.params;
+    const { days, dryRun = false, release = true } = req.body;
+
+    if (await rejectUnknownNamespace(res, namespace)) return;
+
+    const result = await archiveUnusedKeys(namespace, {
+      days,
+      dryRun,
+      release,
+      actor: actorOf(req)
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error archiving unused keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to archive unused keys',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Restore archived keys as drafts
+router.post('/usage/:namespace/restore', validate({
+  params: namespaceParams,
+  body: z.object({
+    keys: z.array(translationKey).min(1).max(1000)
+  })
+}), authorize('publisher', req => targetsOf(req.params.namespace, null)), async (req, res) => {
+  try {
+    const { namespace } = req.params;
+
+    if (await rejectUnknownNamespace(res, namespace)) return;
+
+    const result = await restoreKeys(namespace, req.body.keys, { actor: actorOf(req) });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error restoring archived keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore archived keys',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,313 @@
+/**
+ * Webhook Routes
+ * Subscription CRUD, the delivery log and redelivery
+ */
+
+import express from 'express';
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+import { sendKnownError } from '../utils/errors.js';
+import WebhookSubscription, { WEBHOOK_EVENTS, generateSecret } from '../models/WebhookSubscription.js';
+import WebhookDelivery, { DELIVERY_STATUSES } from '../models/WebhookDelivery.js';
+import { authorize, unrestricted, actorOf } from '../middleware/auth.js';
+import {
+  validate,
+  namespaceName,
+  tenantIdValue,
+  booleanString,
+  objectIdParam,
+  paging
+} from '../middleware/validate.js';
+import { redeliver, assertDeliverableUrl } from '../services/webhooks.js';
+
+const router = express.Router();
+
+// Subscriptions see every namespace, so they are managed by unrestricted admins only
+router.use(authorize('admin', unrestricted));
+
+const EDITABLE_FIELDS = ['url', 'events', 'namespaces', 'tenantIds', 'description', 'isActive'];
+
+const isHttpUrl = (url) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+const subscriptionFields = z.object({
+  url: z.string().max(2000).refine(isHttpUrl, 'Must be an http or https URL'),
+  events: z.array(z.enum(WEBHOOK_EVENTS)).min(1),
+  namespaces: z.array(namespaceName).optional(),
+  tenantIds: z.array(tenantIdValue).optional(),
+  description: z.string().max(500).optional(),
+  isActive: z.boolean().optional()
+});
+
+const subscriptionParams = z.object({ id: objectIdParam('Webhook subscription') });
+const deliveryParams = z.object({ deliveryId: objectIdParam('Delivery') });
+
+const notFound = (res, what = 'Webhook subscription') => res.status(404).json({
+  success: false,
+  error: `${what} not found`,
+  code: 'NOT_FOUND'
+});
+
+// List subscriptions
+router.get('/', validate({
+  query: z.object({
+    includeInactive: booleanString.optional(),
+    event: z.enum(WEBHOOK_EVENTS).optional(),
+    namespace: namespaceName.optional()
+  })
+}), async (req, res) => {
+  try {
+    const { includeInactive = 'false', event, namespace } = req.query;
+
+    const filter = {};
+    if (includeInactive !== 'true') filter.isActive = true;
+    if (event) filter.events = event;
+    if (namespace) filter.namespaces = namespace;
+
+    const subscriptions = await WebhookSubscription.find(filter).sort({ createdAt: -1 }).lean();
+
+    res.json({
+      success: true,
+      data: subscriptions,
+      count: subscriptions.length
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error fetching webhook subscriptions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook subscriptions',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Get a delivery with its payload
+router.get('/deliveries/:deliveryId', validate({ params: deliveryParams }), async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.deliveryId).lean();
+    if (!delivery) return notFound(res, 'Delivery');
+
+    res.json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error fetching webhook delivery:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook delivery',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Send a logged delivery again
+router.post('/deliveries/:deliveryId/redeliver', validate({ params: deliveryParams }), async (req, res) => {
+  try {
+    const delivery = await redeliver(req.params.deliveryId);
+    if (!delivery) return notFound(res, 'Delivery');
+
+    res.status(202).json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error redelivering webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to redeliver webhook',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Get a subscription
+router.get('/:id', validate({ params: subscriptionParams }), async (req, res) => {
+  try {
+    const subscription = await WebhookSubscription.findById(req.params.id).lean();
+    if (!subscription) return notFound(res);
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error fetching webhook subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook subscription',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Create a subscription; the signing secret is only returned here
+router.post('/', validate({
+  body: subscriptionFields.extend({ secret: z.string().min(16).max(200).optional() })
+}), async (req, res) => {
+  try {
+    const { secret } = req.body;
+    const createdBy = actorOf(req);
+    await assertDeliverableUrl(req.body.url);
+
+    const subscription = new WebhookSubscription({
+      secret: secret || generateSecret(),
+      'metadata.createdBy': createdBy
+    });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) subscription[field] = req.body[field];
+    });
+
+    await subscription.save();
+
+    res.status(201).json({
+      success: true,
+      data: subscription.toObject()
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error creating webhook subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create webhook subscription',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Update a subscription
+router.put('/:id', validate({ params: subscriptionParams, body: subscriptionFields.partial() }), async (req, res) => {
+  try {
+    const updatedBy = actorOf(req);
+    if (req.body.url !== undefined) await assertDeliverableUrl(req.body.url);
+
+    const update = { 'metadata.updatedBy': updatedBy };
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    });
+
+    const subscription = await WebhookSubscription.findByIdAndUpdate(
+      req.params.id,
+      update,
+      { new: true, runValidators: true }
+    );
+    if (!subscription) return notFound(res);
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error updating webhook subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update webhook subscription',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Replace the signing secret
+router.post('/:id/rotate-secret', validate({ params: subscriptionParams }), async (req, res) => {
+  try {
+    const updatedBy = actorOf(req);
+
+    const subscription = await WebhookSubscription.findByIdAndUpdate(
+      req.params.id,
+      { secret: generateSecret(), 'metadata.updatedBy': updatedBy },
+      { new: true }
+    ).select('+secret');
+    if (!subscription) return notFound(res);
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error rotating webhook secret:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate webhook secret',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Deactivate a subscription; its delivery log is kept
+router.delete('/:id', validate({ params: subscriptionParams }), async (req, res) => {
+  try {
+    const updatedBy = actorOf(req);
+
+    const subscription = await WebhookSubscription.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false, 'metadata.updatedBy': updatedBy },
+      { new: true }
+    );
+    if (!subscription) return notFound(res);
+
+    res.json({
+      success: true,
+      data: subscription
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error deactivating webhook subscription:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to deactivate webhook subscription',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Delivery log for a subscription, newest first
+router.get('/:id/deliveries', validate({
+  params: subscriptionParams,
+  query: z.object({ status: z.enum(DELIVERY_STATUSES).optional(), ...paging })
+}), async (req, res) => {
+  try {
+    const { status, limit = 50, offset = 0 } = req.query;
+
+    const deliveries = await WebhookDelivery.listForSubscription(req.params.id, {
+      status,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      success: true,
+      data: deliveries,
+      count: deliveries.length
+    });
+  } catch (error) {
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch webhook deliveries',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
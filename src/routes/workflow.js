@@ -0,0 +1,87 @@
+/**
+ * Workflow Routes
+ * Review, reject, publish and archive transitions for a single translation
+ */
+
+import express from 'express';
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+import { sendKnownError } from '../utils/errors.js';
+import Translation from '../models/Translation.js';
+import { transition, WorkflowError } from '../services/workflow.js';
+import { authorize, targetsOf, actorOf } from '../middleware/auth.js';
+import { validate, namespaceName, localeCode, translationKey } from '../middleware/validate.js';
+import { createRelease } from '../services/releases.js';
+import { checkTranslations } from '../services/glossaryCheck.js';
+
+const router = express.Router();
+
+// Role each action requires on the translation's namespace and locale
+const ACTION_ROLES = {
+  review: 'reviewer',
+  reject: 'reviewer',
+  publish: 'publisher',
+  archive: 'publisher'
+};
+
+const authorizeAction = (req, res, next) => authorize(
+  ACTION_ROLES[req.params.action],
+  () => targetsOf(req.params.namespace, req.params.locale)
+)(req, res, next);
+
+// Apply a workflow transition
+router.post('/:namespace/:key/:locale/:action(review|reject|publish|archive)', validate({
+  params: z.object({ namespace: namespaceName, key: translationKey, locale: localeCode, action: z.string() }),
+  body: z.object({ reason: z.string().max(1000).optional(), release: z.boolean().optional() })
+}), authorizeAction, async (req, res) => {
+  try {
+    const { namespace, key, locale, action } = req.params;
+    const { reason, release = true } = req.body;
+    const actor = actorOf(req);
+
+    const translation = await Translation.findOne({ namespace, key, locale });
+    if (!translation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Translation not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    await transition(translation, action, actor, { reason });
+    const warnings = action === 'publish'
+      ? await checkTranslations(namespace, [{ key, locale, value: translation.value }])
+      : [];
+
+    // Published bundles are served from releases, so cut one when they change
+    const snapshot = release && (action === 'publish' || action === 'archive')
+      ? await createRelease(namespace, { notes: `${action} ${key} (${locale})`, createdBy: actor })
+      : null;
+
+    res.json({
+      success: true,
+      data: translation,
+      release: snapshot,
+      warnings
+    });
+  } catch (error) {
+    if (error instanceof WorkflowError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    if (sendKnownError(res, error)) return;
+
+    logger.error('Error applying workflow transition:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to apply workflow transition',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,160 @@
+/**
+ * Authentication
+ * Resolves JWTs and API keys to an identity `{ actor, type, tenantId, grants }`
+ * and checks role grants scoped by namespace, locale and tenant
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import ApiKey, { ROLES } from '../models/ApiKey.js';
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const JWT_PUBLIC_KEY = process.env.JWT_PUBLIC_KEY?.replace(/\\n/g, '\n');
+const JWT_ISSUER = process.env.JWT_ISSUER;
+const JWT_AUDIENCE = process.env.JWT_AUDIENCE;
+const JWT_ACTOR_CLAIM = process.env.JWT_ACTOR_CLAIM || 'sub';
+const JWT_ROLES_CLAIM = process.env.JWT_ROLES_CLAIM || 'roles';
+const JWT_TENANT_CLAIM = process.env.JWT_TENANT_CLAIM || 'tenantId';
+
+const API_KEY_PREFIX = 'kt';
+
+/**
+ * Raised when presented credentials are invalid or expired
+ */
+export class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = 401;
+    this.code = 'INVALID_CREDENTIALS';
+  }
+}
+
+const rankOf = (role) => ROLES.indexOf(role);
+
+// Accept "translator" shorthand as well as full grant objects
+const normalizeGrants = (grants) => (Array.isArray(grants) ? grants : [grants])
+  .filter(Boolean)
+  .map(grant => (typeof grant === 'string' ? { role: grant } : grant))
+  .filter(grant => ROLES.includes(grant.role))
+  .map(({ role, namespaces = [], locales = [], tenantIds = [] }) => ({ role, namespaces, locales, tenantIds }));
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Verify a bearer JWT signed with JWT_SECRET (HS256) or JWT_PUBLIC_KEY (RS256/ES256)
+ */
+export const verifyToken = (token) => {
+  if (!JWT_SECRET && !JWT_PUBLIC_KEY) {
+    throw new AuthError('JWT authentication is not configured');
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(token, JWT_PUBLIC_KEY || JWT_SECRET, {
+      algorithms: JWT_PUBLIC_KEY ? ['RS256', 'ES256'] : ['HS256'],
+      issuer: JWT_ISSUER,
+      audience: JWT_AUDIENCE
+    });
+  } catch (error) {
+    throw new AuthError(`Invalid token: ${error.message}`);
+  }
+
+  const actor = claims[JWT_ACTOR_CLAIM];
+  if (!actor) throw new AuthError(`Token has no ${JWT_ACTOR_CLAIM} claim`);
+
+  return {
+    actor: String(actor),
+    type: 'jwt',
+    tenantId: claims[JWT_TENANT_CLAIM],
+    grants: normalizeGrants(claims[JWT_ROLES_CLAIM] || [])
+  };
+};
+
+/**
+ * Verify an API key of the form `kt_<prefix>_<secret>`
+ */
+export const verifyApiKey = async (key) => {
+  const [scheme, prefix, secret] = String(key).split('_');
+  if (scheme !== API_KEY_PREFIX || !prefix || !secret) {
+    throw new AuthError('Malformed API key');
+  }
+
+  const record = await ApiKey.findOne({ prefix, isActive: true }).select('+hash');
+  const expected = Buffer.from(record?.hash || '', 'hex');
+  const actual = Buffer.from(hashKey(key), 'hex');
+  if (!record || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new AuthError('Invalid API key');
+  }
+  if (record.expiresAt && record.expiresAt <= new Date()) {
+    throw new AuthError('API key has expired');
+  }
+
+  ApiKey.updateOne({ _id: record._id }, { lastUsedAt: new Date() }).catch(() => {});
+
+  return {
+    actor: `apikey:${record.name}`,
+    type: 'apiKey',
+    tenantId: record.tenantId,
+    grants: normalizeGrants(record.grants.map(grant => grant.toObject()))
+  };
+};
+
+/**
+ * Create an API key. The plaintext key is only available in the result.
+ */
+export const createApiKey = async ({ name, grants, tenantId, expiresAt, createdBy }) => {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const key = `${API_KEY_PREFIX}_${prefix}_${crypto.randomBytes(24).toString('base64url').replace(/_/g, '-')}`;
+
+  const record = await ApiKey.create({
+    name,
+    prefix,
+    hash: hashKey(key),
+    grants: normalizeGrants(grants),
+    tenantId,
+    expiresAt,
+    'metadata.createdBy': createdBy
+  });
+
+  const { hash, ...apiKey } = record.toObject();
+  return { key, apiKey };
+};
+
+// A scope list without values matches everything; `null` asks for all values
+const covers = (allowed, value) => {
+  if (value === undefined) return true;
+  if (allowed.length === 0) return true;
+  return value !== null && allowed.includes(value);
+};
+
+/**
+ * Whether `identity` holds `role` (or a higher one) for every target.
+ * Targets are `{ namespace?, locale?, tenantId? }`: an omitted field is not
+ * checked and `null` means every value, which needs an unrestricted grant.
+ * Grants without tenantIds are limited to the identity's own tenant.
+ */
+export const isAllowed = (identity, role, targets = [{}]) => {
+  if (!identity) return false;
+
+  const grants = identity.grants
+    .filter(grant => rankOf(grant.role) >= rankOf(role))
+    .map(grant => ({
+      ...grant,
+      tenantIds: grant.tenantIds.length > 0 || !identity.tenantId ? grant.tenantIds : [identity.tenantId]
+    }));
+
+  return targets.every(target => grants.some(grant => (
+    covers(grant.namespaces, target.namespace)
+    && covers(grant.locales, target.locale)
+    && covers(grant.tenantIds, target.tenantId)
+  )));
+};
+
+export default {
+  AuthError,
+  verifyToken,
+  verifyApiKey,
+  createApiKey,
+  isAllowed
+};
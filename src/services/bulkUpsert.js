@@ -0,0 +1,305 @@
+/**
+ * Bulk Upsert
+ * Validates and writes many keys across namespaces and locales in one
+ * bulkWrite, inside a transaction for atomic requests when the deployment supports one
+ */
+
+import Translation from '../models/Translation.js';
+import { validateMessage } from './messageFormat.js';
+import { invalidateBundles } from './bundleCache.js';
+import { recordRevisions } from './revisions.js';
+import { trackSourceChanges } from './staleness.js';
+import { publishChange } from './liveUpdates.js';
+import { emitTranslationEvent } from './webhooks.js';
+import { checkTranslations } from './glossaryCheck.js';
+import { getNamespace } from './namespaces.js';
+import { getLocale } from './locales.js';
+import { cleanVariables, sameVariables } from './importExport.js';
+import { inTransaction } from '../utils/transactions.js';
+
+export const BULK_MODES = ['merge', 'overwrite', 'onlyNew'];
+
+export const MAX_BULK_ROWS = parseInt(process.env.BULK_MAX_ROWS || '10000');
+
+const rowId = (row) => `${row.namespace}\u0000${row.key}\u0000${row.locale}`;
+
+// Expand `{ namespace, key, translations: { locale: value } }` items into rows
+export const expandItems = (items) => {
+  const rows = [];
+  items.forEach((item, index) => {
+    const translations = item?.translations && typeof item.translations === 'object' ? item.translations : {};
+    const locales = Object.keys(translations);
+    if (locales.length === 0) {
+      rows.push({ index, namespace: item?.namespace, key: item?.key, value: undefined });
+      return;
+    }
+    locales.forEach(locale => rows.push({
+      index,
+      namespace: item.namespace,
+      key: item.key,
+      locale,
+      value: translations[locale],
+      context: item.context,
+      variables: item.variables
+    }));
+  });
+  return rows;
+};
+
+// Omitted variables keep the stored ones
+const variablesOf = (row, current) => row.variables ?? current?.variables ?? [];
+
+const validateRow = async (row, current) => {
+  if (!row.namespace || !row.key || !row.locale || typeof row.value !== 'string') {
+    return [{ code: 'INCOMPLETE_ENTRY', message: 'Each item needs a namespace, key and at least one locale value' }];
+  }
+
+  const namespace = await getNamespace(row.namespace);
+  if (!namespace) {
+    return [{ code: 'UNKNOWN_NAMESPACE', message: `Unknown namespace "${row.namespace}"` }];
+  }
+
+  const keyErrors = namespace.validateKey(row.key);
+  if (keyErrors.length > 0) {
+    return keyErrors.map(message => ({ code: 'INVALID_KEY', message }));
+  }
+
+  const locale = await getLocale(row.locale);
+  if (!locale?.enabled) {
+    return [{ code: 'UNKNOWN_LOCALE', message: `Locale "${row.locale}" is not registered or is disabled` }];
+  }
+
+  const { errors } = validateMessage(row.value, {
+    locale: row.locale,
+    variables: variablesOf(row, current),
+    pluralCategories: locale.pluralCategories
+  });
+  return errors;
+};
+
+// Decide what a mode does with a row given the stored one, if any
+const planRow = (row, current, mode) => {
+  if (!current) return 'created';
+  if (mode === 'onlyNew') return 'skipped';
+  // Writing to an archived row restores it
+  if (current.isActive === false) return 'updated';
+
+  const sameValue = current.value === row.value;
+  if (mode === 'overwrite') {
+    const sameContext = (current.context || '') === (row.context || '');
+    return sameValue && sameContext && sameVariables(current.variables, variablesOf(row, current)) ? 'unchanged' : 'updated';
+  }
+
+  const sameContext = row.context === undefined || (current.context || '') === row.context;
+  const sameVars = row.variables === undefined || sameVariables(current.variables, row.variables);
+  return sameValue && sameContext && sameVars ? 'unchanged' : 'updated';
+};
+
+const operationFor = (row, mode, createdBy) => {
+  const filter = { namespace: row.namespace, key: row.key, locale: row.locale };
+
+  if (mode === 'onlyNew') {
+    return {
+      updateOne: {
+        filter,
+        update: {
+          $setOnInsert: {
+            value: row.value,
+            context: row.context,
+            variables: cleanVariables(row.variables),
+            status: 'draft',
+            'metadata.source': 'api',
+            'metadata.createdBy': createdBy,
+            'metadata.updatedBy': createdBy
+          }
+        },
+        upsert: true
+      }
+    };
+  }
+
+  const set = {
+    value: row.value,
+    status: 'draft',
+    isActive: true,
+    'metadata.source': 'api',
+    'metadata.updatedBy': createdBy
+  };
+  const unset = {};
+
+  if (mode === 'overwrite') {
+    if (row.context === undefined) unset.context = 1;
+    else set.context = row.context;
+  } else if (row.context !== undefined) {
+    set.context = row.context;
+  }
+  if (row.variables !== undefined) set.variables = cleanVariables(row.variables);
+
+  const update = { $set: set, $setOnInsert: { 'metadata.createdBy': createdBy } };
+  if (Object.keys(unset).length > 0) update.$unset = unset;
+
+  return { updateOne: { filter, update, upsert: true } };
+};
+
+// Atomic writes run in a transaction, or as one ordered batch without one;
+// the rest are unordered so one failed row does not stop the others
+const writeRows = async (operations, { atomic }) => {
+  if (atomic) {
+    const { transactional } = await inTransaction(session => Translation.bulkWrite(operations, { session, ordered: true }));
+    return { transactional, failed: [] };
+  }
+
+  try {
+    await Translation.bulkWrite(operations, { ordered: false });
+    return { transactional: false, failed: [] };
+  } catch (error) {
+    if (!error.writeErrors) throw error;
+    const writeErrors = Array.isArray(error.writeErrors) ? error.writeErrors : [error.writeErrors];
+    return {
+      transactional: false,
+      failed: writeErrors.map(writeError => ({ index: writeError.index, message: writeError.errmsg || writeError.message }))
+    };
+  }
+};
+
+// Count results per status, in request order
+const summarize = ({ committed, transactional, results, warnings = [] }) => {
+  const summary = {};
+  results.forEach(({ status }) => {
+    summary[status] = (summary[status] || 0) + 1;
+  });
+  results.sort((a, b) => a.index - b.index);
+  return { committed, transactional, summary, results, warnings };
+};
+
+/**
+ * Upsert many rows. `mode` decides what happens to existing rows:
+ * `merge` updates the value and any fields given, `overwrite` replaces
+ * value and context, and `onlyNew` leaves them untouched. Variables are
+ * only replaced when given, and values are checked against the ones kept.
+ * Merged or overwritten archived rows are restored as active drafts.
+ * With `atomic` nothing is written when any row is invalid.
+ * `itemErrors` maps item indexes that failed schema checks to their
+ * errors; each such item is reported once as invalid and never expanded.
+ * Returns `{ committed, transactional, summary, results, warnings }` where
+ * results hold one `{ index, namespace, key, locale, status, errors? }` per
+ * row and warnings are glossary findings for the written rows.
+ */
+export const bulkUpsert = async (items, { mode = 'merge', atomic = true, itemErrors = {}, createdBy = 'system' } = {}) => {
+  const results = [];
+  items.forEach((item, index) => {
+    if (!itemErrors[index]) return;
+    results.push({ index, namespace: item?.namespace, key: item?.key, status: 'invalid', errors: itemErrors[index] });
+  });
+
+  // Later duplicates in the request win
+  const incoming = new Map();
+  expandItems(items)
+    .filter(row => !itemErrors[row.index])
+    .forEach(row => incoming.set(row.locale ? rowId(row) : `incomplete:${row.index}`, row));
+
+  // Stored rows are read first so values are checked against the variables they will keep
+  const complete = [...incoming.values()].filter(row => row.namespace && row.key && row.locale);
+  const namespaces = [...new Set(complete.map(row => row.namespace))];
+  const existingRows = namespaces.length === 0 ? [] : await Translation.find({
+    $or: namespaces.map(namespace => ({
+      namespace,
+      key: { $in: [...new Set(complete.filter(row => row.namespace === namespace).map(row => row.key))] }
+    }))
+  }).lean();
+  const existing = new Map(existingRows.map(row => [rowId(row), row]));
+
+  const valid = [];
+  for (const row of incoming.values()) {
+    const errors = await validateRow(row, existing.get(rowId(row)));
+    if (errors.length > 0) {
+      results.push({ index: row.index, namespace: row.namespace, key: row.key, locale: row.locale, status: 'invalid', errors });
+    } else {
+      valid.push(row);
+    }
+  }
+
+  const invalidCount = results.length;
+  if (atomic && invalidCount > 0) {
+    return summarize({ committed: false, transactional: false, results });
+  }
+
+  const writes = [];
+  valid.forEach(row => {
+    const status = planRow(row, existing.get(rowId(row)), mode);
+    results.push({ index: row.index, namespace: row.namespace, key: row.key, locale: row.locale, status });
+    if (status === 'created' || status === 'updated') writes.push({ row, status });
+  });
+
+  if (writes.length === 0) {
+    return summarize({ committed: true, transactional: false, results });
+  }
+
+  const { transactional, failed } = await writeRows(
+    writes.map(({ row }) => operationFor(row, mode, createdBy)),
+    { atomic }
+  );
+
+  failed.forEach(({ index, message }) => {
+    const result = results.find(r => rowId(r) === rowId(writes[index].row));
+    result.status = 'failed';
+    result.errors = [{ code: 'WRITE_FAILED', message }];
+  });
+  const failedIds = new Set(failed.map(({ index }) => rowId(writes[index].row)));
+  const written = writes.filter(({ row }) => !failedIds.has(rowId(row)));
+
+  // Revisions, source tracking and cache invalidation follow the commit
+  const warnings = [];
+  for (const namespace of new Set(written.map(({ row }) => row.namespace))) {
+    const rows = written.filter(({ row }) => row.namespace === namespace);
+    const after = await Translation.find({
+      namespace,
+      key: { $in: [...new Set(rows.map(({ row }) => row.key))] },
+      locale: { $in: [...new Set(rows.map(({ row }) => row.locale))] }
+    });
+    const statusById = new Map(rows.map(({ row, status }) => [rowId(row), status]));
+    const previous = new Map(existingRows.map(row => [String(row._id), row]));
+
+    await recordRevisions(after.filter(row => statusById.get(rowId(row)) === 'created'), {
+      author: createdBy,
+      action: 'create'
+    });
+    await recordRevisions(after.filter(row => statusById.get(rowId(row)) === 'updated'), {
+      author: createdBy,
+      action: 'update',
+      previous
+    });
+
+    await trackSourceChanges(namespace, rows.map(({ row }) => ({
+      key: row.key,
+      locale: row.locale,
+      value: row.value,
+      previousValue: existing.get(rowId(row))?.value
+    })));
+    const findings = await checkTranslations(namespace, rows.map(({ row }) => ({
+      key: row.key,
+      locale: row.locale,
+      value: row.value
+    })), { countUsage: true });
+    warnings.push(...findings.map(finding => ({ namespace, ...finding })));
+    invalidateBundles(namespace, [...new Set(rows.map(({ row }) => row.locale))]);
+    publishChange({
+      namespace,
+      locales: rows.map(({ row }) => row.locale),
+      keys: rows.map(({ row }) => row.key),
+      statuses: ['draft', ...rows.map(({ row }) => existing.get(rowId(row))?.status).filter(Boolean)]
+    });
+
+    await emitTranslationEvent('created', namespace, after.filter(row => statusById.get(rowId(row)) === 'created'), { actor: createdBy });
+    await emitTranslationEvent('updated', namespace, after.filter(row => statusById.get(rowId(row)) === 'updated'), { actor: createdBy });
+  }
+
+  return summarize({ committed: true, transactional, results, warnings });
+};
+
+export default {
+  BULK_MODES,
+  MAX_BULK_ROWS,
+  expandItems,
+  bulkUpsert
+};
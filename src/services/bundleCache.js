@@ -0,0 +1,107 @@
+/**
+ * Bundle Cache
+ * In-process cache of resolved bundles keyed by namespace, locale, status,
+ * fallback mode and release. Writers invalidate the namespaces they touch;
+ * the TTL bounds staleness when several instances share the database.
+ */
+
+const MAX_ENTRIES = parseInt(process.env.BUNDLE_CACHE_MAX_ENTRIES || '1000');
+const TTL_MS = parseInt(process.env.BUNDLE_CACHE_TTL_MS || '300000');
+
+const entries = new Map();
+
+const counters = {
+  hits: 0,
+  misses: 0,
+  invalidations: 0,
+  evictions: 0
+};
+
+export const bundleCacheKey = ({ namespace, locale, status, fallback, release }) => [
+  namespace,
+  locale,
+  status,
+  fallback ? 'fallback' : 'exact',
+  release ?? 'current'
+].join('|');
+
+export const getCachedBundle = (key) => {
+  const entry = entries.get(key);
+
+  if (!entry || entry.expiresAt <= Date.now()) {
+    if (entry) entries.delete(key);
+    counters.misses += 1;
+    return undefined;
+  }
+
+  // Refresh recency so the least recently used entry is evicted first
+  entries.delete(key);
+  entries.set(key, entry);
+  counters.hits += 1;
+  return entry.value;
+};
+
+/**
+ * Store a resolved bundle. `locales` is the fallback chain it was built
+ * from; `immutable` marks pinned releases that row writes cannot change.
+ */
+export const setCachedBundle = (key, value, { namespace, locales, immutable = false }) => {
+  entries.delete(key);
+  entries.set(key, {
+    value,
+    namespace,
+    locales: new Set(locales),
+    immutable,
+    expiresAt: Date.now() + TTL_MS
+  });
+
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+    counters.evictions += 1;
+  }
+};
+
+/**
+ * Drop cached bundles for a namespace, optionally only those whose
+ * fallback chain includes one of `locales`
+ */
+export const invalidateBundles = (namespace, locales) => {
+  let removed = 0;
+
+  entries.forEach((entry, key) => {
+    if (entry.immutable || entry.namespace !== namespace) return;
+    if (locales && !locales.some(locale => entry.locales.has(locale))) return;
+    entries.delete(key);
+    removed += 1;
+  });
+
+  counters.invalidations += removed;
+  return removed;
+};
+
+export const clearBundleCache = () => {
+  const removed = entries.size;
+  entries.clear();
+  counters.invalidations += removed;
+  return removed;
+};
+
+export const getBundleCacheStats = () => {
+  const lookups = counters.hits + counters.misses;
+  return {
+    ...counters,
+    size: entries.size,
+    maxEntries: MAX_ENTRIES,
+    ttlMs: TTL_MS,
+    hitRate: lookups === 0 ? 0 : counters.hits / lookups
+  };
+};
+
+export default {
+  bundleCacheKey,
+  getCachedBundle,
+  setCachedBundle,
+  invalidateBundles,
+  clearBundleCache,
+  getBundleCacheStats
+};
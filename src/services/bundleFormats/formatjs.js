@@ -0,0 +1,25 @@
+/**
+ * FormatJS
+ * react-intl message descriptors with declared variables in the
+ * description. Several namespaces share one map with namespaced ids.
+ */
+
+const descriptors = (values, variables, prefix = '') => {
+  const messages = {};
+  Object.entries(values).forEach(([key, value]) => {
+    const id = `${prefix}${key}`;
+    messages[id] = { id, defaultMessage: value };
+    if (variables[key]) {
+      messages[id].description = { variables: variables[key] };
+    }
+  });
+  return messages;
+};
+
+export default {
+  name: 'formatjs',
+  render: ({ values, variables }) => descriptors(values, variables),
+  combine: (parts) => Object.assign({}, ...parts.map(({ namespace, values, variables }) => (
+    descriptors(values, variables, `${namespace}.`)
+  )))
+};
@@ -0,0 +1,12 @@
+/**
+ * i18next
+ * Nested resources keyed by namespace, as i18next `resources` or a single
+ * namespace file for i18next-http-backend. Values stay ICU for i18next-icu.
+ */
+
+import { nestKeys } from './nest.js';
+
+export default {
+  name: 'i18next',
+  render: ({ values, separator }) => nestKeys(values, separator)
+};
@@ -0,0 +1,60 @@
+/**
+ * Bundle Formats
+ * Client-library shapes for resolved bundles. Every format exposes
+ * `render({ namespace, locale, values, variables, separator })` for one
+ * namespace and locale, and optionally `combine(parts)` to merge several
+ * namespaces (the default nests them under their names).
+ */
+
+import i18next from './i18next.js';
+import formatjs from './formatjs.js';
+import vueI18n from './vueI18n.js';
+import raw from './raw.js';
+
+// The default enveloped response rather than a file shape
+export const DEFAULT_BUNDLE_FORMAT = 'json';
+
+const FORMATS = {
+  [i18next.name]: i18next,
+  [formatjs.name]: formatjs,
+  [vueI18n.name]: vueI18n,
+  [raw.name]: raw
+};
+
+export const getBundleFormat = (name) => FORMATS[name];
+
+export const listBundleFormats = () => [DEFAULT_BUNDLE_FORMAT, ...Object.keys(FORMATS)];
+
+/**
+ * Render resolved bundles without the response envelope:
+ * `{ [locale]: output }`, or the bare output when a single namespace and
+ * a single locale were requested so it can be served as a file.
+ */
+export const renderBundles = (format, { namespaces, locales, data, variables, separators = {} }) => {
+  const output = {};
+
+  locales.forEach(locale => {
+    const parts = namespaces.map(namespace => ({
+      namespace,
+      locale,
+      values: data[namespace][locale],
+      variables: variables[namespace][locale],
+      separator: separators[namespace]
+    }));
+
+    if (parts.length === 1) {
+      output[locale] = format.render(parts[0]);
+    } else if (format.combine) {
+      output[locale] = format.combine(parts);
+    } else {
+      output[locale] = {};
+      parts.forEach(part => {
+        output[locale][part.namespace] = format.render(part);
+      });
+    }
+  });
+
+  return namespaces.length === 1 && locales.length === 1 ? output[locales[0]] : output;
+};
+
+export default FORMATS;
@@ -0,0 +1,43 @@
+/**
+ * Key Nesting
+ * Turns separator-delimited keys into nested objects for client libraries
+ * that look messages up by path
+ */
+
+/**
+ * Nest `{ 'a.b': value }` into `{ a: { b: value } }`. A key that collides
+ * with an existing leaf or branch (`a` and `a.b`) is kept flat at the root,
+ * where i18next still finds it by its full key. Nodes have no prototype,
+ * so segments such as `__proto__` stay plain keys.
+ */
+export const nestKeys = (values, separator = '.') => {
+  const tree = Object.create(null);
+
+  Object.keys(values).sort().forEach(key => {
+    const path = separator ? key.split(separator) : [key];
+    const leaf = path.pop();
+    let node = tree;
+
+    for (const segment of path) {
+      if (!Object.hasOwn(node, segment)) {
+        node[segment] = Object.create(null);
+      } else if (typeof node[segment] !== 'object') {
+        tree[key] = values[key];
+        return;
+      }
+      node = node[segment];
+    }
+
+    if (Object.hasOwn(node, leaf)) {
+      tree[key] = values[key];
+      return;
+    }
+    node[leaf] = values[key];
+  });
+
+  return tree;
+};
+
+export default {
+  nestKeys
+};
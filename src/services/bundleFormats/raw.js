@@ -0,0 +1,9 @@
+/**
+ * Raw
+ * The flat `{ key: value }` map as shipped in locale files
+ */
+
+export default {
+  name: 'raw',
+  render: ({ values }) => values
+};
@@ -0,0 +1,82 @@
+/**
+ * vue-i18n
+ * Nested messages in vue-i18n syntax: `{name}` arguments, `|` separated
+ * plural choices and `{'@'}` literals for its special characters
+ */
+
+import { TYPE } from '@formatjs/icu-messageformat-parser';
+import { parseMessage, getPluralCategories } from '../messageFormat.js';
+import { CATEGORIES } from '../formats/plurals.js';
+import { nestKeys } from './nest.js';
+
+class UnsupportedMessage extends Error {}
+
+const escapeLiteral = (text) => text.replace(/[{}@$|]/g, char => `{'${char}'}`);
+
+const serialize = (elements) => elements.map(element => {
+  switch (element.type) {
+    case TYPE.literal:
+      return escapeLiteral(element.value);
+    case TYPE.argument:
+    case TYPE.number:
+    case TYPE.date:
+    case TYPE.time:
+      return `{${element.value}}`;
+    case TYPE.pound:
+      // vue-i18n passes the plural count as the named `count` argument
+      return '{count}';
+    default:
+      throw new UnsupportedMessage();
+  }
+}).join('');
+
+// Choices in the order vue-i18n's default rule (or a CLDR-ordered custom rule) picks them
+const pluralChoices = (plural, locale) => {
+  const { options } = plural;
+  const other = options.other.value;
+  const categories = getPluralCategories(locale);
+
+  if (categories.every(category => category === 'one' || category === 'other')) {
+    const zero = options['=0'] || options.zero;
+    const one = (options.one || options['=1'])?.value || other;
+    return zero ? [zero.value, one, other] : [one, other];
+  }
+
+  return CATEGORIES
+    .filter(category => categories.includes(category))
+    .map(category => (options[category] || (category === 'zero' && options['=0']))?.value || other);
+};
+
+/**
+ * Convert one ICU message. Messages vue-i18n cannot express (select,
+ * nested or multiple plurals) are returned unchanged.
+ */
+export const toVueMessage = (value, locale) => {
+  try {
+    const ast = parseMessage(value);
+    const plurals = ast.filter(element => element.type === TYPE.plural);
+    if (plurals.length === 0) return serialize(ast);
+    if (plurals.length > 1 || plurals[0].pluralType !== 'cardinal') return value;
+
+    const position = ast.indexOf(plurals[0]);
+    const prefix = serialize(ast.slice(0, position));
+    const suffix = serialize(ast.slice(position + 1));
+    return pluralChoices(plurals[0], locale)
+      .map(choice => `${prefix}${serialize(choice)}${suffix}`)
+      .join(' | ');
+  } catch (error) {
+    if (error instanceof UnsupportedMessage || error.location) return value;
+    throw error;
+  }
+};
+
+export default {
+  name: 'vue-i18n',
+  render: ({ values, locale, separator }) => {
+    const converted = {};
+    Object.entries(values).forEach(([key, value]) => {
+      converted[key] = toVueMessage(value, locale);
+    });
+    return nestKeys(converted, separator);
+  }
+};
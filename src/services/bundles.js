@@ -0,0 +1,189 @@
+/**
+ * Bundle Resolver
+ * Builds translation bundles per namespace and locale, filling gaps per key
+ * from each locale's fallback chain. Published bundles are served from the
+ * namespace's current release when it has one.
+ */
+
+import Translation from '../models/Translation.js';
+import Release from '../models/Release.js';
+import { getFallbackChain } from './localeFallback.js';
+import { getFallbackParents } from './locales.js';
+import { bundleCacheKey, getCachedBundle, setCachedBundle } from './bundleCache.js';
+import { getSourceLocale } from './staleness.js';
+import { isPseudoLocale, pseudoBundle } from './pseudoLocale.js';
+
+/**
+ * Load bundle rows, reading published content from release snapshots.
+ * Returns null when a pinned release version does not exist.
+ */
+const loadRows = async (namespaces, locales, { status, release }) => {
+  const releases = {};
+  namespaces.forEach(namespace => {
+    releases[namespace] = null;
+  });
+
+  if (status !== 'published') {
+    return { rows: await Translation.getBundles(namespaces, locales, status), releases };
+  }
+
+  let snapshots;
+  if (release !== undefined) {
+    const pinned = await Release.findOne({ namespace: namespaces[0], version: release }).lean();
+    if (!pinned) return null;
+    snapshots = [pinned];
+  } else {
+    snapshots = await Release.getCurrentForNamespaces(namespaces);
+  }
+
+  const rows = [];
+  snapshots.forEach(snapshot => {
+    releases[snapshot.namespace] = snapshot.version;
+    snapshot.entries
+      .filter(entry => locales.includes(entry.locale))
+      .forEach(entry => rows.push({ ...entry, namespace: snapshot.namespace }));
+  });
+
+  const live = namespaces.filter(namespace => releases[namespace] === null);
+  if (live.length > 0) {
+    rows.push(...await Translation.getBundles(live, locales, status));
+  }
+
+  return { rows, releases };
+};
+
+const resolveStoredBundles = async (namespaces, locales, { status, fallback, release }) => {
+  const data = {};
+  const sources = {};
+  const variables = {};
+  const releases = {};
+  const pending = [];
+
+  namespaces.forEach(namespace => {
+    data[namespace] = {};
+    sources[namespace] = {};
+    variables[namespace] = {};
+
+    locales.forEach(locale => {
+      const cacheKey = bundleCacheKey({ namespace, locale, status, fallback, release });
+      const cached = getCachedBundle(cacheKey);
+
+      if (cached) {
+        data[namespace][locale] = cached.values;
+        sources[namespace][locale] = cached.origins;
+        variables[namespace][locale] = cached.variables;
+        releases[namespace] = cached.release;
+      } else {
+        pending.push({ namespace, locale, cacheKey });
+      }
+    });
+  });
+
+  if (pending.length === 0) {
+    return { data, sources, variables, releases };
+  }
+
+  const parents = fallback ? await getFallbackParents() : {};
+  const chains = {};
+  pending.forEach(({ locale }) => {
+    chains[locale] = fallback ? getFallbackChain(locale, parents) : [locale];
+  });
+
+  const pendingNamespaces = [...new Set(pending.map(({ namespace }) => namespace))];
+  const lookupLocales = [...new Set(Object.values(chains).flat())];
+  const loaded = await loadRows(pendingNamespaces, lookupLocales, { status, release });
+  if (!loaded) return null;
+
+  // Index rows by namespace and locale
+  const index = {};
+  loaded.rows.forEach(row => {
+    index[row.namespace] = index[row.namespace] || {};
+    index[row.namespace][row.locale] = index[row.namespace][row.locale] || {};
+    index[row.namespace][row.locale][row.key] = row;
+  });
+
+  pending.forEach(({ namespace, locale, cacheKey }) => {
+    const values = {};
+    const origins = {};
+    const declared = {};
+
+    // Walk the chain from least to most specific so closer locales win
+    [...chains[locale]].reverse().forEach(candidate => {
+      const bundle = index[namespace]?.[candidate] || {};
+      Object.entries(bundle).forEach(([key, row]) => {
+        values[key] = row.value;
+        origins[key] = candidate;
+        if (row.variables?.length > 0) {
+          declared[key] = row.variables.map(({ name, type, required, description }) => ({ name, type, required, description }));
+        } else {
+          delete declared[key];
+        }
+      });
+    });
+
+    data[namespace][locale] = values;
+    sources[namespace][locale] = origins;
+    variables[namespace][locale] = declared;
+    releases[namespace] = loaded.releases[namespace];
+
+    setCachedBundle(cacheKey, { values, origins, variables: declared, release: releases[namespace] }, {
+      namespace,
+      locales: chains[locale],
+      immutable: release !== undefined
+    });
+  });
+
+  return { data, sources, variables, releases };
+};
+
+/**
+ * Resolve bundles for the requested namespaces and locales.
+ * Returns `data[namespace][locale][key] = value` alongside
+ * `sources[namespace][locale][key] = locale the value came from`,
+ * `variables[namespace][locale][key] = declared variables of that value`
+ * (keys without variables are omitted) and
+ * `releases[namespace] = release version served, or null for live rows`.
+ * Pass `release` with a single namespace to read a specific release.
+ * Pseudo-locales are generated from each namespace's source locale.
+ * Bundle objects are shared with the cache and must not be mutated.
+ */
+export const resolveBundles = async (namespaces, locales, { status = 'published', fallback = true, release } = {}) => {
+  const pseudo = locales.filter(isPseudoLocale);
+  if (pseudo.length === 0) {
+    return resolveStoredBundles(namespaces, locales, { status, fallback, release });
+  }
+
+  const sourceLocales = {};
+  for (const namespace of namespaces) {
+    sourceLocales[namespace] = await getSourceLocale(namespace);
+  }
+
+  const stored = [...new Set([...locales.filter(locale => !isPseudoLocale(locale)), ...Object.values(sourceLocales)])];
+  const bundles = await resolveStoredBundles(namespaces, stored, { status, fallback, release });
+  if (!bundles) return null;
+
+  const data = {};
+  const sources = {};
+  const variables = {};
+  namespaces.forEach(namespace => {
+    const source = sourceLocales[namespace];
+    data[namespace] = {};
+    sources[namespace] = {};
+    variables[namespace] = {};
+
+    locales.forEach(locale => {
+      const from = isPseudoLocale(locale) ? source : locale;
+      data[namespace][locale] = isPseudoLocale(locale)
+        ? pseudoBundle(bundles.data[namespace][source], locale)
+        : bundles.data[namespace][locale];
+      sources[namespace][locale] = bundles.sources[namespace][from];
+      variables[namespace][locale] = bundles.variables[namespace][from];
+    });
+  });
+
+  return { data, sources, variables, releases: bundles.releases };
+};
+
+export default {
+  resolveBundles
+};
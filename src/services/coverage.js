@@ -0,0 +1,197 @@
+/**
+ * Coverage
+ * Namespace x locale readiness matrix, release-ready verdicts over it and
+ * the daily snapshots that chart its progress. Cells only count keys that
+ * exist in the namespace's source locale; rows for other keys are orphans.
+ */
+
+import logger from '../utils/logger.js';
+import Translation from '../models/Translation.js';
+import CoverageSnapshot from '../models/CoverageSnapshot.js';
+import { getNamespace, listNamespaceNames } from './namespaces.js';
+import { listEnabledLocales } from './locales.js';
+import { getSourceLocale } from './staleness.js';
+
+const SNAPSHOT_CHECK_MS = parseInt(process.env.COVERAGE_SNAPSHOT_CHECK_MS || '3600000');
+
+// Simple `{name}` arguments carry no words to translate
+const SIMPLE_ARGUMENT = /\{\s*[\w.]+\s*\}/g;
+
+/**
+ * Words in a source value, segmented for its locale so scripts without
+ * spaces are counted too
+ */
+export const countWords = (text, locale) => {
+  if (typeof text !== 'string' || text.length === 0) return 0;
+
+  const segmenter = new Intl.Segmenter(locale, { granularity: 'word' });
+  let count = 0;
+  for (const segment of segmenter.segment(text.replace(SIMPLE_ARGUMENT, ' '))) {
+    if (segment.isWordLike) count += 1;
+  }
+  return count;
+};
+
+// Null when there is nothing to measure, so an empty namespace never reads as complete
+const percent = (part, whole) => (whole === 0 ? null : Math.round((part / whole) * 1000) / 10);
+
+const emptyCell = (total, words) => ({
+  total,
+  translated: 0,
+  missing: total,
+  draft: 0,
+  reviewed: 0,
+  published: 0,
+  outdated: 0,
+  percentReviewed: 0,
+  percentPublished: 0,
+  words: { total: words, translated: 0, published: 0 }
+});
+
+const namespaceCoverage = async (namespace, locales) => {
+  const sourceLocale = await getSourceLocale(namespace);
+
+  const sourceRows = await Translation.find({ namespace, locale: sourceLocale, isActive: true })
+    .select('key value')
+    .lean();
+  const words = new Map(sourceRows.map(row => [row.key, countWords(row.value, sourceLocale)]));
+  const totalWords = [...words.values()].reduce((sum, count) => sum + count, 0);
+
+  const cells = {};
+  locales.forEach(locale => { cells[locale] = emptyCell(words.size, totalWords); });
+
+  const rows = await Translation.find({
+    namespace,
+    locale: { $in: locales },
+    isActive: true,
+    status: { $ne: 'archived' }
+  }).select('key locale status outdated').lean();
+
+  rows.forEach(({ key, locale, status, outdated }) => {
+    if (!words.has(key)) return;
+
+    const cell = cells[locale];
+    cell.translated += 1;
+    cell[status] += 1;
+    cell.words.translated += words.get(key);
+    if (status === 'published') cell.words.published += words.get(key);
+    if (outdated) cell.outdated += 1;
+  });
+
+  Object.values(cells).forEach(cell => {
+    cell.missing = cell.total - cell.translated;
+    // Published rows have been through review, so they count as reviewed too
+    cell.percentReviewed = percent(cell.reviewed + cell.published, cell.total);
+    cell.percentPublished = percent(cell.published, cell.total);
+  });
+
+  return { sourceLocale, cells };
+};
+
+/**
+ * Coverage of every namespace x locale pair, defaulting to all active
+ * namespaces and enabled locales
+ */
+export const coverageMatrix = async ({ namespaces, locales } = {}) => {
+  const namespaceArray = namespaces || await listNamespaceNames();
+  const localeArray = locales || await listEnabledLocales();
+
+  const matrix = {};
+  for (const namespace of namespaceArray) {
+    matrix[namespace] = await namespaceCoverage(namespace, localeArray);
+  }
+
+  return { namespaces: namespaceArray, locales: localeArray, matrix };
+};
+
+/**
+ * Whether `locales` are ready to ship in every namespace: fully published
+ * (or at least `minPublished` percent) with nothing outdated. A namespace
+ * without source keys blocks with reason `EMPTY_SOURCE`. Without
+ * `locales`, each namespace's own `requiredLocales` are checked.
+ */
+export const releaseReadiness = async ({ namespaces, locales, minPublished = 100 } = {}) => {
+  const namespaceArray = namespaces || await listNamespaceNames();
+
+  const checked = [];
+  const blocking = [];
+  for (const namespace of namespaceArray) {
+    const required = locales || (await getNamespace(namespace))?.requiredLocales || [];
+    if (required.length === 0) continue;
+
+    const { cells } = await namespaceCoverage(namespace, required);
+    required.forEach(locale => {
+      const { total, missing, outdated, percentPublished } = cells[locale];
+      checked.push({ namespace, locale });
+      if (total === 0) {
+        blocking.push({ namespace, locale, total, missing, outdated, percentPublished, reason: 'EMPTY_SOURCE' });
+      } else if (percentPublished < minPublished || outdated > 0) {
+        blocking.push({ namespace, locale, total, missing, outdated, percentPublished });
+      }
+    });
+  }
+
+  return { ready: blocking.length === 0, minPublished, checked, blocking };
+};
+
+export const snapshotDate = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/**
+ * Store today's coverage, replacing any snapshot already taken today
+ */
+export const takeSnapshot = async ({ date = snapshotDate() } = {}) => {
+  const { matrix } = await coverageMatrix();
+
+  const operations = [];
+  Object.entries(matrix).forEach(([namespace, { sourceLocale, cells }]) => {
+    Object.entries(cells).forEach(([locale, cell]) => {
+      operations.push({
+        updateOne: {
+          filter: { date, namespace, locale },
+          update: { $set: { sourceLocale, ...cell } },
+          upsert: true
+        }
+      });
+    });
+  });
+
+  if (operations.length > 0) await CoverageSnapshot.bulkWrite(operations);
+  return { date, cells: operations.length };
+};
+
+/**
+ * Take a snapshot once per UTC day, checking on start and then periodically
+ */
+export const startCoverageSnapshots = () => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const date = snapshotDate();
+      if (!(await CoverageSnapshot.exists({ date }))) {
+        const { cells } = await takeSnapshot({ date });
+        logger.info(`Stored coverage snapshot for ${date} (${cells} cells)`);
+      }
+    } catch (error) {
+      logger.error('Error storing coverage snapshot:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, SNAPSHOT_CHECK_MS);
+  timer.unref();
+  return timer;
+};
+
+export default {
+  countWords,
+  coverageMatrix,
+  releaseReadiness,
+  snapshotDate,
+  takeSnapshot,
+  startCoverageSnapshots
+};
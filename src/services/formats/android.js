@@ -0,0 +1,117 @@
+/**
+ * Android strings.xml
+ * Plain values become <string>, single plural messages become <plurals>
+ */
+
+import {
+  escapeXml,
+  decodeXml,
+  parseXml,
+  tagName,
+  childNodes,
+  attribute,
+  findChildren,
+  findDeep,
+  rawText
+} from './xml.js';
+import { splitPlural, joinPlural, poundToPrintf, printfToPound } from './plurals.js';
+
+const escapeAndroid = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/\t/g, '\\t')
+  .replace(/'/g, "\\'")
+  .replace(/"/g, '\\"')
+  .replace(/^([@?])/, '\\$1')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+const unescapeAndroid = (raw) => {
+  let value = decodeXml(raw);
+  if (/^".*"$/s.test(value)) value = value.slice(1, -1);
+  return value.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, char) => {
+    if (char === 'n') return '\n';
+    if (char === 't') return '\t';
+    if (char.length === 5) return String.fromCharCode(parseInt(char.slice(1), 16));
+    return char;
+  });
+};
+
+const serialize = ({ locales, units }) => {
+  const [locale] = locales;
+  const lines = ['<?xml version="1.0" encoding="utf-8"?>', '<resources>'];
+
+  units.forEach(unit => {
+    const value = unit.values[locale];
+    if (value === undefined) return;
+
+    if (unit.context) {
+      lines.push(`    <!-- ${escapeXml(unit.context).replace(/--/g, '- -')} -->`);
+    }
+
+    const plural = splitPlural(value);
+    if (plural) {
+      lines.push(`    <plurals name="${escapeXml(unit.key)}">`);
+      Object.entries(plural.forms).forEach(([quantity, form]) => {
+        const item = `${plural.prefix}${poundToPrintf(form)}${plural.suffix}`;
+        lines.push(`        <item quantity="${quantity}">${escapeAndroid(item)}</item>`);
+      });
+      lines.push('    </plurals>');
+    } else {
+      lines.push(`    <string name="${escapeXml(unit.key)}">${escapeAndroid(value)}</string>`);
+    }
+  });
+
+  lines.push('</resources>', '');
+  return lines.join('\n');
+};
+
+const parse = (content, { locale, pluralVariables = {} } = {}) => {
+  if (!locale) throw new Error('Android strings.xml imports require a locale');
+
+  const resources = findDeep(parseXml(content, ['*.string', '*.item']), 'resources');
+  if (!resources) throw new Error('Missing <resources> root element');
+
+  const rows = [];
+  let comment = null;
+
+  childNodes(resources).forEach(node => {
+    const name = tagName(node);
+
+    if (name === '#comment') {
+      comment = decodeXml(rawText(node)).trim();
+      return;
+    }
+    if (name === '#text') return;
+
+    const key = attribute(node, 'name');
+    if (key && attribute(node, 'translatable') !== 'false') {
+      if (name === 'string') {
+        rows.push({ key, locale, value: unescapeAndroid(rawText(node)) });
+      } else if (name === 'plurals') {
+        const forms = {};
+        findChildren(childNodes(node), 'item').forEach(item => {
+          forms[attribute(item, 'quantity')] = printfToPound(unescapeAndroid(rawText(item)));
+        });
+        rows.push({ key, locale, value: joinPlural({ variable: pluralVariables[key] || 'count', forms }) });
+      }
+      if (comment && rows.length > 0 && rows[rows.length - 1].key === key) {
+        rows[rows.length - 1].context = comment;
+      }
+    }
+
+    comment = null;
+  });
+
+  return rows;
+};
+
+export default {
+  name: 'android',
+  extension: 'xml',
+  contentType: 'application/xml',
+  multiLocale: false,
+  serialize,
+  parse
+};
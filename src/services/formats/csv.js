@@ -0,0 +1,109 @@
+/**
+ * CSV
+ * One row per key with a column per locale; variables are JSON encoded
+ */
+
+const FIXED_COLUMNS = ['key', 'context', 'variables'];
+
+const escapeCsv = (value = '') => {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// RFC 4180 reader: quoted fields may hold commas, quotes and newlines
+const readRecords = (content) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.filter(row => row.some(cell => cell !== ''));
+};
+
+const serialize = ({ sourceLocale, locales, units }) => {
+  const localeColumns = [...new Set([sourceLocale, ...locales])];
+  const lines = [[...FIXED_COLUMNS, ...localeColumns].map(escapeCsv).join(',')];
+
+  units.forEach(unit => {
+    lines.push([
+      unit.key,
+      unit.context || '',
+      unit.variables?.length ? JSON.stringify(unit.variables) : '',
+      ...localeColumns.map(locale => unit.values[locale] ?? '')
+    ].map(escapeCsv).join(','));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+const parse = (content, { locales } = {}) => {
+  const [header, ...records] = readRecords(content.replace(/^\uFEFF/, ''));
+  if (!header || header[0] !== 'key') throw new Error('CSV header must start with a "key" column');
+
+  const localeColumns = header
+    .map((column, index) => ({ column, index }))
+    .filter(({ column }) => !FIXED_COLUMNS.includes(column))
+    .filter(({ column }) => !locales || locales.includes(column));
+  const contextIndex = header.indexOf('context');
+  const variablesIndex = header.indexOf('variables');
+
+  const rows = [];
+  records.forEach(record => {
+    const key = record[0];
+    if (!key) return;
+
+    localeColumns.forEach(({ column, index }) => {
+      const value = record[index];
+      if (!value) return;
+
+      const row = { key, locale: column, value };
+      if (contextIndex !== -1 && record[contextIndex]) row.context = record[contextIndex];
+      if (variablesIndex !== -1 && record[variablesIndex]) row.variables = JSON.parse(record[variablesIndex]);
+      rows.push(row);
+    });
+  });
+
+  return rows;
+};
+
+export default {
+  name: 'csv',
+  extension: 'csv',
+  contentType: 'text/csv',
+  multiLocale: true,
+  serialize,
+  parse
+};
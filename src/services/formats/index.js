@@ -0,0 +1,30 @@
+/**
+ * File Formats
+ * Registry of import/export formats. Every format exposes
+ * `serialize({ namespace, sourceLocale, locales, units })` and
+ * `parse(content, options)` returning `{ key, locale, value, context?, variables? }` rows.
+ */
+
+import xliff12 from './xliff12.js';
+import xliff20 from './xliff20.js';
+import po from './po.js';
+import csv from './csv.js';
+import android from './android.js';
+import iosStrings from './iosStrings.js';
+import iosStringsdict from './iosStringsdict.js';
+
+const FORMATS = {
+  [xliff12.name]: xliff12,
+  [xliff20.name]: xliff20,
+  [po.name]: po,
+  [csv.name]: csv,
+  [android.name]: android,
+  [iosStrings.name]: iosStrings,
+  [iosStringsdict.name]: iosStringsdict
+};
+
+export const getFormat = (name) => FORMATS[name];
+
+export const listFormats = () => Object.keys(FORMATS);
+
+export default FORMATS;
@@ -0,0 +1,71 @@
+/**
+ * iOS .strings
+ * "key" = "value"; pairs with the context as a preceding comment.
+ * Plural messages belong in .stringsdict and are left out here.
+ */
+
+import { splitPlural } from './plurals.js';
+
+const escapeStrings = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n')
+  .replace(/\t/g, '\\t');
+
+const unescapeStrings = (value) => value.replace(/\\(U[0-9a-fA-F]{4}|.)/g, (match, char) => {
+  if (char === 'n') return '\n';
+  if (char === 't') return '\t';
+  if (char === 'r') return '\r';
+  if (char.length === 5) return String.fromCharCode(parseInt(char.slice(1), 16));
+  return char;
+});
+
+const serialize = ({ locales, units }) => {
+  const [locale] = locales;
+  const entries = [];
+
+  units.forEach(unit => {
+    const value = unit.values[locale];
+    if (value === undefined || splitPlural(value)) return;
+
+    const lines = [];
+    if (unit.context) {
+      lines.push(`/* ${unit.context.replace(/\*\//g, '* /')} */`);
+    }
+    lines.push(`"${escapeStrings(unit.key)}" = "${escapeStrings(value)}";`);
+    entries.push(lines.join('\n'));
+  });
+
+  return entries.join('\n\n') + '\n';
+};
+
+const parse = (content, { locale } = {}) => {
+  if (!locale) throw new Error('iOS .strings imports require a locale');
+
+  const rows = [];
+  const pattern = /\/\*([\s\S]*?)\*\/|\/\/[^\n]*|"((?:[^"\\]|\\.)*)"\s*=\s*"((?:[^"\\]|\\.)*)"\s*;/g;
+  let comment = null;
+  let match;
+
+  while ((match = pattern.exec(content)) !== null) {
+    if (match[1] !== undefined) {
+      comment = match[1].trim();
+    } else if (match[2] !== undefined) {
+      const row = { key: unescapeStrings(match[2]), locale, value: unescapeStrings(match[3]) };
+      if (comment) row.context = comment;
+      rows.push(row);
+      comment = null;
+    }
+  }
+
+  return rows;
+};
+
+export default {
+  name: 'ios-strings',
+  extension: 'strings',
+  contentType: 'text/plain; charset=utf-8',
+  multiLocale: false,
+  serialize,
+  parse
+};
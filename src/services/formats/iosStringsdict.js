@@ -0,0 +1,116 @@
+/**
+ * iOS .stringsdict
+ * Property list of plural rules; only single plural messages are exported
+ */
+
+import {
+  escapeXml,
+  parseXml,
+  tagName,
+  childNodes,
+  findChild,
+  findDeep,
+  textOf
+} from './xml.js';
+import { splitPlural, joinPlural, poundToPrintf, printfToPound } from './plurals.js';
+
+const serialize = ({ locales, units }) => {
+  const [locale] = locales;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+    '<plist version="1.0">',
+    '<dict>'
+  ];
+
+  units.forEach(unit => {
+    const value = unit.values[locale];
+    const plural = value === undefined ? null : splitPlural(value);
+    if (!plural) return;
+
+    const variable = escapeXml(plural.variable);
+    lines.push(
+      `    <key>${escapeXml(unit.key)}</key>`,
+      '    <dict>',
+      '        <key>NSStringLocalizedFormatKey</key>',
+      `        <string>${escapeXml(`${plural.prefix}%#@${plural.variable}@${plural.suffix}`)}</string>`,
+      `        <key>${variable}</key>`,
+      '        <dict>',
+      '            <key>NSStringFormatSpecTypeKey</key>',
+      '            <string>NSStringPluralRuleType</string>',
+      '            <key>NSStringFormatValueTypeKey</key>',
+      '            <string>d</string>'
+    );
+    Object.entries(plural.forms).forEach(([category, form]) => {
+      lines.push(
+        `            <key>${category}</key>`,
+        `            <string>${escapeXml(poundToPrintf(form))}</string>`
+      );
+    });
+    lines.push('        </dict>', '    </dict>');
+  });
+
+  lines.push('</dict>', '</plist>', '');
+  return lines.join('\n');
+};
+
+// Turn a plist <dict> into an object, keeping nested dicts
+const readDict = (dict) => {
+  const result = {};
+  let key = null;
+
+  childNodes(dict).forEach(node => {
+    const name = tagName(node);
+    if (name === 'key') {
+      key = textOf(node);
+    } else if (name === 'string' && key !== null) {
+      result[key] = textOf(node);
+      key = null;
+    } else if (name === 'dict' && key !== null) {
+      result[key] = readDict(node);
+      key = null;
+    }
+  });
+
+  return result;
+};
+
+const parse = (content, { locale } = {}) => {
+  if (!locale) throw new Error('iOS .stringsdict imports require a locale');
+
+  const plist = findDeep(parseXml(content, ['*.key', '*.string']), 'plist');
+  const root = plist && findChild(childNodes(plist), 'dict');
+  if (!root) throw new Error('Missing plist <dict> root element');
+
+  const rows = [];
+  Object.entries(readDict(root)).forEach(([key, entry]) => {
+    const format = entry?.NSStringLocalizedFormatKey;
+    const match = typeof format === 'string' && format.match(/^([\s\S]*?)%#@([^@]+)@([\s\S]*)$/);
+    const rules = match && entry[match[2]];
+    if (!rules || typeof rules !== 'object') return;
+
+    const forms = {};
+    Object.entries(rules)
+      .filter(([name]) => !name.startsWith('NSString'))
+      .forEach(([category, form]) => {
+        forms[category] = printfToPound(form);
+      });
+
+    rows.push({
+      key,
+      locale,
+      value: joinPlural({ variable: match[2], prefix: match[1], suffix: match[3], forms })
+    });
+  });
+
+  return rows;
+};
+
+export default {
+  name: 'ios-stringsdict',
+  extension: 'stringsdict',
+  contentType: 'application/x-plist',
+  multiLocale: false,
+  serialize,
+  parse
+};
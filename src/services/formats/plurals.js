@@ -0,0 +1,59 @@
+/**
+ * Plural Helpers
+ * Converts between ICU plural messages and the per-category strings used by
+ * Android <plurals> and iOS .stringsdict
+ */
+
+import { parse, TYPE } from '@formatjs/icu-messageformat-parser';
+
+const CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+/**
+ * Split a value holding a single top-level cardinal plural into its parts.
+ * Returns null for anything else, which is exported as a plain string.
+ */
+export const splitPlural = (value) => {
+  let ast;
+  try {
+    ast = parse(value, { ignoreTag: true, captureLocation: true });
+  } catch (error) {
+    return null;
+  }
+
+  const plurals = ast.filter(element => element.type === TYPE.plural);
+  if (plurals.length !== 1) return null;
+
+  const [plural] = plurals;
+  if (plural.pluralType !== 'cardinal' || plural.offset) return null;
+
+  const forms = {};
+  CATEGORIES.forEach(category => {
+    const option = plural.options[category];
+    if (option) {
+      // Option locations include the surrounding braces
+      forms[category] = value.slice(option.location.start.offset + 1, option.location.end.offset - 1);
+    }
+  });
+
+  return {
+    variable: plural.value,
+    prefix: value.slice(0, plural.location.start.offset),
+    suffix: value.slice(plural.location.end.offset),
+    forms
+  };
+};
+
+export const joinPlural = ({ variable, prefix = '', suffix = '', forms }) => {
+  const options = CATEGORIES
+    .filter(category => forms[category] !== undefined)
+    .map(category => `${category} {${forms[category]}}`)
+    .join(' ');
+  return `${prefix}{${variable}, plural, ${options}}${suffix}`;
+};
+
+// ICU '#' becomes a printf integer on the platforms and back again
+export const poundToPrintf = (text) => text.replace(/#/g, '%d');
+
+export const printfToPound = (text) => text.replace(/%(?:\d+\$)?(?:l{0,2}|z)[du]/g, '#');
+
+export { CATEGORIES };
@@ -0,0 +1,143 @@
+/**
+ * Gettext PO
+ * Keys travel as msgctxt, the source text as msgid and the translation as msgstr
+ */
+
+const escapePo = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n')
+  .replace(/\t/g, '\\t');
+
+const unescapePo = (value) => value.replace(/\\(["\\nt])/g, (match, char) => {
+  if (char === 'n') return '\n';
+  if (char === 't') return '\t';
+  return char;
+});
+
+const serialize = ({ namespace, sourceLocale, locales, units }) => {
+  const [locale] = locales;
+
+  const header = [
+    'msgid ""',
+    'msgstr ""',
+    `"Language: ${escapePo(locale)}\\n"`,
+    '"MIME-Version: 1.0\\n"',
+    '"Content-Type: text/plain; charset=UTF-8\\n"',
+    '"Content-Transfer-Encoding: 8bit\\n"',
+    `"X-Source-Language: ${escapePo(sourceLocale)}\\n"`,
+    `"X-Namespace: ${escapePo(namespace)}\\n"`
+  ].join('\n');
+
+  const entries = units.map(unit => {
+    const lines = [];
+    if (unit.context) {
+      unit.context.split('\n').forEach(line => lines.push(`#. ${line}`));
+    }
+    if (unit.variables?.length) {
+      lines.push(`#. variables: ${JSON.stringify(unit.variables)}`);
+    }
+    lines.push(`msgctxt "${escapePo(unit.key)}"`);
+    lines.push(`msgid "${escapePo(unit.values[sourceLocale] ?? '')}"`);
+    lines.push(`msgstr "${escapePo(unit.values[locale] ?? '')}"`);
+    return lines.join('\n');
+  });
+
+  return [header, ...entries].join('\n\n') + '\n';
+};
+
+// Split the file into entries of comments and keyword/string pairs
+const readEntries = (content) => {
+  const entries = [];
+  let entry = null;
+  let field = null;
+
+  const start = () => {
+    if (!entry) {
+      entry = { comments: [], fields: {} };
+      entries.push(entry);
+    }
+  };
+
+  content.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+
+    if (line === '') {
+      entry = null;
+      field = null;
+      return;
+    }
+
+    if (line.startsWith('#~')) return;
+
+    if (line.startsWith('#')) {
+      if (entry && Object.keys(entry.fields).length > 0) entry = null;
+      start();
+      entry.comments.push(line);
+      return;
+    }
+
+    const keyword = line.match(/^(msgctxt|msgid_plural|msgid|msgstr(?:\[\d+\])?)\s+"(.*)"$/);
+    if (keyword) {
+      const opensEntry = keyword[1] === 'msgctxt' || keyword[1] === 'msgid';
+      if (entry && opensEntry && Object.keys(entry.fields).some(name => name.startsWith('msgstr'))) entry = null;
+      start();
+      field = keyword[1];
+      entry.fields[field] = unescapePo(keyword[2]);
+      return;
+    }
+
+    const continuation = line.match(/^"(.*)"$/);
+    if (continuation && entry && field) {
+      entry.fields[field] += unescapePo(continuation[1]);
+      return;
+    }
+
+    throw new Error(`Unexpected PO line: ${rawLine}`);
+  });
+
+  return entries;
+};
+
+const parse = (content, { locale } = {}) => {
+  const entries = readEntries(content);
+  const header = entries.find(entry => entry.fields.msgid === '' && entry.fields.msgctxt === undefined);
+  const language = header?.fields.msgstr?.match(/^Language:\s*(.+)$/m)?.[1]?.trim();
+  const targetLocale = locale || language;
+  if (!targetLocale) throw new Error('PO file has no Language header; pass a locale');
+
+  const rows = [];
+  entries.forEach(entry => {
+    if (entry === header) return;
+
+    const value = entry.fields.msgstr ?? entry.fields['msgstr[0]'];
+    if (!value) return;
+
+    const row = {
+      key: entry.fields.msgctxt ?? entry.fields.msgid,
+      locale: targetLocale,
+      value
+    };
+
+    const notes = entry.comments
+      .filter(comment => comment.startsWith('#.'))
+      .map(comment => comment.replace(/^#\.\s?/, ''));
+    const variables = notes.find(note => note.startsWith('variables: '));
+    const context = notes.filter(note => note !== variables);
+    if (variables) row.variables = JSON.parse(variables.slice('variables: '.length));
+    if (context.length > 0) row.context = context.join('\n');
+
+    rows.push(row);
+  });
+
+  return rows;
+};
+
+export default {
+  name: 'po',
+  extension: 'po',
+  contentType: 'text/x-gettext-translation',
+  multiLocale: false,
+  serialize,
+  parse
+};
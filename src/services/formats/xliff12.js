@@ -0,0 +1,96 @@
+/**
+ * XLIFF 1.2
+ * One <file> per target locale, with context and variables carried as notes
+ */
+
+import {
+  escapeXml,
+  parseXml,
+  childNodes,
+  attribute,
+  findChildren,
+  findChild,
+  findDeep,
+  textOf
+} from './xml.js';
+
+const serialize = ({ namespace, sourceLocale, locales, units }) => {
+  const files = locales.map(locale => {
+    const transUnits = units.map(unit => {
+      const lines = [
+        `      <trans-unit id="${escapeXml(unit.key)}" resname="${escapeXml(unit.key)}">`,
+        `        <source>${escapeXml(unit.values[sourceLocale] ?? '')}</source>`
+      ];
+      if (unit.values[locale] !== undefined) {
+        lines.push(`        <target>${escapeXml(unit.values[locale])}</target>`);
+      }
+      if (unit.context) {
+        lines.push(`        <note from="context">${escapeXml(unit.context)}</note>`);
+      }
+      if (unit.variables?.length) {
+        lines.push(`        <note from="variables">${escapeXml(JSON.stringify(unit.variables))}</note>`);
+      }
+      lines.push('      </trans-unit>');
+      return lines.join('\n');
+    });
+
+    return [
+      `  <file original="${escapeXml(namespace)}" source-language="${escapeXml(sourceLocale)}" target-language="${escapeXml(locale)}" datatype="plaintext">`,
+      '    <body>',
+      ...transUnits,
+      '    </body>',
+      '  </file>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">',
+    ...files,
+    '</xliff>',
+    ''
+  ].join('\n');
+};
+
+const parse = (content) => {
+  const xliff = findDeep(parseXml(content, ['*.source', '*.target', '*.note']), 'xliff');
+  if (!xliff) throw new Error('Missing <xliff> root element');
+
+  const rows = [];
+  findChildren(childNodes(xliff), 'file').forEach(file => {
+    const locale = attribute(file, 'target-language');
+    const body = findChild(childNodes(file), 'body');
+    if (!locale || !body) return;
+
+    findChildren(childNodes(body), 'trans-unit').forEach(unit => {
+      const children = childNodes(unit);
+      const target = findChild(children, 'target');
+      if (!target) return;
+
+      const row = {
+        key: attribute(unit, 'resname') || attribute(unit, 'id'),
+        locale,
+        value: textOf(target)
+      };
+
+      findChildren(children, 'note').forEach(note => {
+        const from = attribute(note, 'from');
+        if (from === 'context') row.context = textOf(note);
+        if (from === 'variables') row.variables = JSON.parse(textOf(note));
+      });
+
+      rows.push(row);
+    });
+  });
+
+  return rows;
+};
+
+export default {
+  name: 'xliff12',
+  extension: 'xlf',
+  contentType: 'application/x-xliff+xml',
+  multiLocale: true,
+  serialize,
+  parse
+};
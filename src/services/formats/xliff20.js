@@ -0,0 +1,98 @@
+/**
+ * XLIFF 2.0
+ * A single source/target language pair per document
+ */
+
+import {
+  escapeXml,
+  parseXml,
+  childNodes,
+  attribute,
+  findChildren,
+  findChild,
+  findDeep,
+  textOf
+} from './xml.js';
+
+const serialize = ({ namespace, sourceLocale, locales, units }) => {
+  const [locale] = locales;
+
+  const unitLines = units.map(unit => {
+    const lines = [`    <unit id="${escapeXml(unit.key)}">`];
+
+    const notes = [];
+    if (unit.context) {
+      notes.push(`        <note category="context">${escapeXml(unit.context)}</note>`);
+    }
+    if (unit.variables?.length) {
+      notes.push(`        <note category="variables">${escapeXml(JSON.stringify(unit.variables))}</note>`);
+    }
+    if (notes.length > 0) {
+      lines.push('      <notes>', ...notes, '      </notes>');
+    }
+
+    lines.push('      <segment>');
+    lines.push(`        <source>${escapeXml(unit.values[sourceLocale] ?? '')}</source>`);
+    if (unit.values[locale] !== undefined) {
+      lines.push(`        <target>${escapeXml(unit.values[locale])}</target>`);
+    }
+    lines.push('      </segment>', '    </unit>');
+    return lines.join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<xliff version="2.0" xmlns="urn:oasis:names:tc:xliff:document:2.0" srcLang="${escapeXml(sourceLocale)}" trgLang="${escapeXml(locale)}">`,
+    `  <file id="${escapeXml(namespace)}">`,
+    ...unitLines,
+    '  </file>',
+    '</xliff>',
+    ''
+  ].join('\n');
+};
+
+const parse = (content) => {
+  const xliff = findDeep(parseXml(content, ['*.source', '*.target', '*.note']), 'xliff');
+  if (!xliff) throw new Error('Missing <xliff> root element');
+
+  const locale = attribute(xliff, 'trgLang');
+  if (!locale) throw new Error('XLIFF 2.0 document has no trgLang');
+
+  const rows = [];
+  findChildren(childNodes(xliff), 'file').forEach(file => {
+    findChildren(childNodes(file), 'unit').forEach(unit => {
+      const children = childNodes(unit);
+      const segments = findChildren(children, 'segment');
+      const targets = segments.map(segment => findChild(childNodes(segment), 'target'));
+      if (targets.length === 0 || targets.some(target => !target)) return;
+
+      const row = {
+        key: attribute(unit, 'id'),
+        locale,
+        value: targets.map(textOf).join('')
+      };
+
+      const notes = findChild(children, 'notes');
+      if (notes) {
+        findChildren(childNodes(notes), 'note').forEach(note => {
+          const category = attribute(note, 'category');
+          if (category === 'context') row.context = textOf(note);
+          if (category === 'variables') row.variables = JSON.parse(textOf(note));
+        });
+      }
+
+      rows.push(row);
+    });
+  });
+
+  return rows;
+};
+
+export default {
+  name: 'xliff20',
+  extension: 'xlf',
+  contentType: 'application/xliff+xml',
+  multiLocale: false,
+  serialize,
+  parse
+};
@@ -0,0 +1,75 @@
+/**
+ * XML Helpers
+ * Escaping and order-preserving parsing shared by the XML-based formats
+ */
+
+import { XMLParser } from 'fast-xml-parser';
+
+const ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;'
+};
+
+export const escapeXml = (value = '') => String(value).replace(/[&<>"']/g, char => ENTITIES[char]);
+
+export const decodeXml = (value = '') => String(value)
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * Parse a document keeping element order. Elements listed in `stopNodes`
+ * (e.g. '*.target') are returned as raw, undecoded inner markup.
+ */
+export const parseXml = (content, stopNodes = []) => {
+  const parser = new XMLParser({
+    preserveOrder: true,
+    ignoreAttributes: false,
+    attributeNamePrefix: '',
+    parseTagValue: false,
+    parseAttributeValue: false,
+    trimValues: false,
+    processEntities: false,
+    commentPropName: '#comment',
+    stopNodes
+  });
+  return parser.parse(content);
+};
+
+export const tagName = (node) => Object.keys(node).find(name => name !== ':@');
+
+export const childNodes = (node) => node[tagName(node)] || [];
+
+export const attribute = (node, name) => {
+  const value = node[':@']?.[name];
+  return value === undefined ? undefined : decodeXml(value);
+};
+
+export const findChildren = (nodes, name) => nodes.filter(node => tagName(node) === name);
+
+export const findChild = (nodes, name) => findChildren(nodes, name)[0];
+
+// Raw text of a node, including any inline markup kept by a stop node
+export const rawText = (node) => (node ? childNodes(node).map(child => child['#text'] ?? '').join('') : '');
+
+export const textOf = (node) => decodeXml(rawText(node));
+
+// Walk to the first element with the given name, at any depth
+export const findDeep = (nodes, name) => {
+  for (const node of nodes) {
+    if (tagName(node) === name) return node;
+    const children = childNodes(node);
+    if (Array.isArray(children)) {
+      const found = findDeep(children, name);
+      if (found) return found;
+    }
+  }
+  return undefined;
+};
@@ -0,0 +1,124 @@
+/**
+ * Glossary Check
+ * Flags target translations whose source value uses a glossary term but
+ * which do not contain the tenant's required rendering of it
+ */
+
+import Translation from '../models/Translation.js';
+import Glossary from '../models/Glossary.js';
+import { getNamespace } from './namespaces.js';
+import { getSourceLocale } from './staleness.js';
+import { termPattern } from './machineTranslation/masking.js';
+
+export const GLOSSARY_TERM_MISSING = 'GLOSSARY_TERM_MISSING';
+
+const contains = (text, term) => termPattern(term).test(text);
+
+// Rendering for the locale, or for its language when only that is in the glossary
+const renderingFor = (entry, locale) => {
+  const language = new Intl.Locale(locale).language;
+  return (entry.translations.find(t => t.locale === locale)
+    || entry.translations.find(t => t.locale === language))?.value;
+};
+
+/**
+ * Check `rows` of `{ key, locale, value, source }` against glossary entries.
+ * Returns the findings and, per entry id, how many rows used the term as required.
+ */
+export const checkRows = (entries, rows) => {
+  const findings = [];
+  const usage = new Map();
+
+  rows.forEach(row => {
+    if (!row.source) return;
+
+    entries.forEach(entry => {
+      if (!contains(row.source, entry.term)) return;
+
+      const expected = renderingFor(entry, row.locale);
+      if (expected === undefined) return;
+
+      if (contains(row.value, expected)) {
+        usage.set(String(entry._id), (usage.get(String(entry._id)) || 0) + 1);
+        return;
+      }
+
+      findings.push({
+        code: GLOSSARY_TERM_MISSING,
+        key: row.key,
+        locale: row.locale,
+        term: entry.term,
+        expected,
+        message: `"${entry.term}" should be translated as "${expected}"`
+      });
+    });
+  });
+
+  return { findings, usage };
+};
+
+// Tenant glossary that applies to a namespace, unless one is named explicitly
+const resolveTenant = async (namespace, tenantId) => tenantId || (await getNamespace(namespace))?.glossaryTenantId;
+
+const sourceValues = async (namespace, sourceLocale, keys) => {
+  const rows = await Translation.find({ namespace, key: { $in: keys }, locale: sourceLocale })
+    .select('key value')
+    .lean();
+  return new Map(rows.map(row => [row.key, row.value]));
+};
+
+/**
+ * Check translations that were just written or published. `rows` are
+ * `{ key, locale, value }`; source-locale rows are skipped. Terms used as
+ * required are counted on the glossary entry when `countUsage` is set.
+ */
+export const checkTranslations = async (namespace, rows, { tenantId, countUsage = false } = {}) => {
+  const tenant = await resolveTenant(namespace, tenantId);
+  if (!tenant || rows.length === 0) return [];
+
+  const sourceLocale = await getSourceLocale(namespace);
+  const targets = rows
+    .filter(row => row.locale !== sourceLocale)
+    .map(({ key, locale, value }) => ({ key, locale, value }));
+  if (targets.length === 0) return [];
+
+  const entries = await Glossary.getTenantGlossary(tenant);
+  if (entries.length === 0) return [];
+
+  const sources = await sourceValues(namespace, sourceLocale, [...new Set(targets.map(row => row.key))]);
+  const { findings, usage } = checkRows(entries, targets.map(row => ({ ...row, source: sources.get(row.key) })));
+
+  if (countUsage && usage.size > 0) {
+    await Glossary.recordUsage(usage);
+  }
+
+  return findings;
+};
+
+/**
+ * Findings for every active row of a locale in a namespace
+ */
+export const glossaryReport = async (namespace, locale, { tenantId, status } = {}) => {
+  const tenant = await resolveTenant(namespace, tenantId);
+  const sourceLocale = await getSourceLocale(namespace);
+  const report = { namespace, locale, sourceLocale, tenantId: tenant || null, checked: 0, findings: [] };
+  if (!tenant || locale === sourceLocale) return report;
+
+  const filter = { namespace, locale, isActive: true };
+  if (status) filter.status = status;
+  const rows = await Translation.find(filter).select('key locale value').sort({ key: 1 }).lean();
+
+  const entries = await Glossary.getTenantGlossary(tenant);
+  const sources = await sourceValues(namespace, sourceLocale, rows.map(row => row.key));
+
+  report.checked = rows.length;
+  report.findings = checkRows(entries, rows.map(row => ({ ...row, source: sources.get(row.key) }))).findings;
+  return report;
+};
+
+export default {
+  GLOSSARY_TERM_MISSING,
+  checkRows,
+  checkTranslations,
+  glossaryReport
+};
@@ -0,0 +1,250 @@
+/**
+ * Import / Export
+ * Moves a namespace between the Translation collection and vendor or
+ * platform file formats, with a dry-run diff before imports are written
+ */
+
+import Translation from '../models/Translation.js';
+import { validateMessage } from './messageFormat.js';
+import { invalidateBundles } from './bundleCache.js';
+import { recordRevisions } from './revisions.js';
+import { getLocale } from './locales.js';
+import { getNamespace } from './namespaces.js';
+import { trackSourceChanges } from './staleness.js';
+import { publishChange } from './liveUpdates.js';
+import { emitTranslationEvent } from './webhooks.js';
+import { checkTranslations } from './glossaryCheck.js';
+
+/**
+ * Raised when an uploaded file cannot be read in its declared format
+ */
+export class ImportParseError extends Error {
+  constructor(format, cause) {
+    super(`Failed to parse ${format} file: ${cause.message}`);
+    this.name = 'ImportParseError';
+    this.cause = cause;
+  }
+}
+
+// Strip Mongo ids and unset fields so variables compare and serialize cleanly
+export const cleanVariables = (variables = []) => variables.filter(v => v && v.name).map(({ name, type, required, description }) => {
+  const variable = { name, type: type || 'string' };
+  if (required) variable.required = true;
+  if (description) variable.description = description;
+  return variable;
+});
+
+export const sameVariables = (a, b) => JSON.stringify(cleanVariables(a)) === JSON.stringify(cleanVariables(b));
+
+/**
+ * Serialize a namespace into `format` for the given target locales.
+ * Context and variables come from the source-locale row when it exists.
+ */
+export const buildExport = async ({ namespace, format, sourceLocale, locales, status = 'published' }) => {
+  const rows = await Translation.find({
+    namespace,
+    locale: { $in: [...new Set([sourceLocale, ...locales])] },
+    status,
+    isActive: true
+  })
+  .select('key locale value context variables')
+  .sort({ key: 1 })
+  .lean();
+
+  const units = new Map();
+  rows.forEach(row => {
+    if (!units.has(row.key)) {
+      units.set(row.key, { key: row.key, values: {} });
+    }
+    const unit = units.get(row.key);
+    unit.values[row.locale] = row.value;
+
+    if (row.locale === sourceLocale || unit.context === undefined) {
+      unit.context = row.context;
+      unit.variables = cleanVariables(row.variables);
+    }
+  });
+
+  return format.serialize({
+    namespace,
+    sourceLocale,
+    locales,
+    units: [...units.values()]
+  });
+};
+
+/**
+ * Parse an import file and diff it against the stored rows without writing.
+ * The returned plan lists added, changed, unchanged and invalid entries;
+ * keys breaking the namespace conventions are invalid.
+ */
+export const planImport = async ({ namespace, format, content, locale, locales }) => {
+  const registeredNamespace = await getNamespace(namespace);
+  const existingRows = await Translation.find({ namespace })
+    .select('key locale value context variables isActive')
+    .lean();
+
+  const existing = new Map(existingRows.map(row => [`${row.key}\u0000${row.locale}`, row]));
+
+  // Platform plural formats lose the ICU variable name, so reuse the stored one
+  const pluralVariables = {};
+  existingRows.forEach(row => {
+    const plural = row.variables?.find(variable => variable.type === 'plural');
+    if (plural && !pluralVariables[row.key]) pluralVariables[row.key] = plural.name;
+  });
+
+  let parsed;
+  try {
+    parsed = format.parse(content, { locale, locales, pluralVariables });
+  } catch (error) {
+    throw new ImportParseError(format.name, error);
+  }
+
+  // Later duplicates in the file win
+  const incoming = new Map();
+  parsed.forEach(row => incoming.set(`${row.key}\u0000${row.locale}`, row));
+
+  const plan = { added: [], changed: [], unchanged: [], invalid: [] };
+
+  for (const [id, row] of incoming) {
+    if (!row.key || !row.locale || typeof row.value !== 'string') {
+      plan.invalid.push({ key: row.key, locale: row.locale, errors: [{ code: 'INCOMPLETE_ENTRY', message: 'Entry needs a key, locale and value' }] });
+      continue;
+    }
+    if (locales && !locales.includes(row.locale)) continue;
+
+    const keyErrors = registeredNamespace?.validateKey(row.key) || [];
+    if (keyErrors.length > 0) {
+      plan.invalid.push({ key: row.key, locale: row.locale, errors: keyErrors.map(message => ({ code: 'INVALID_KEY', message })) });
+      continue;
+    }
+
+    const registered = await getLocale(row.locale);
+    if (!registered?.enabled) {
+      plan.invalid.push({ key: row.key, locale: row.locale, errors: [{ code: 'UNKNOWN_LOCALE', message: `Locale "${row.locale}" is not registered or is disabled` }] });
+      continue;
+    }
+
+    const current = existing.get(id);
+    const variables = row.variables ?? current?.variables ?? [];
+    const { valid, errors } = validateMessage(row.value, {
+      locale: row.locale,
+      variables,
+      pluralCategories: registered.pluralCategories
+    });
+    if (!valid) {
+      plan.invalid.push({ key: row.key, locale: row.locale, errors });
+      continue;
+    }
+
+    if (!current) {
+      plan.added.push(row);
+      continue;
+    }
+
+    const fields = [];
+    if (current.value !== row.value) fields.push('value');
+    if (row.context !== undefined && (current.context || '') !== row.context) fields.push('context');
+    if (row.variables !== undefined && !sameVariables(current.variables, row.variables)) fields.push('variables');
+    // Importing into an archived row restores it
+    if (current.isActive === false) fields.push('isActive');
+
+    if (fields.length === 0) {
+      plan.unchanged.push({ key: row.key, locale: row.locale });
+    } else {
+      plan.changed.push({
+        ...row,
+        fields,
+        previous: {
+          value: current.value,
+          context: current.context,
+          variables: cleanVariables(current.variables)
+        }
+      });
+    }
+  }
+
+  return plan;
+};
+
+/**
+ * Write the added and changed entries of a plan as drafts sourced from import
+ */
+export const applyImport = async (namespace, plan, { createdBy = 'system' } = {}) => {
+  const operations = [...plan.added, ...plan.changed].map(row => {
+    const update = {
+      value: row.value,
+      status: 'draft',
+      isActive: true,
+      'metadata.source': 'import',
+      'metadata.updatedBy': createdBy
+    };
+    if (row.context !== undefined) update.context = row.context;
+    if (row.variables !== undefined) update.variables = cleanVariables(row.variables);
+
+    return {
+      updateOne: {
+        filter: { namespace, key: row.key, locale: row.locale },
+        update: {
+          $set: update,
+          $setOnInsert: { 'metadata.createdBy': createdBy }
+        },
+        upsert: true
+      }
+    };
+  });
+
+  if (operations.length === 0) {
+    return { upsertedCount: 0, modifiedCount: 0, outdated: 0, warnings: [] };
+  }
+
+  const rows = [...plan.added, ...plan.changed];
+  const affected = {
+    namespace,
+    key: { $in: [...new Set(rows.map(row => row.key))] },
+    locale: { $in: [...new Set(rows.map(row => row.locale))] }
+  };
+  const before = await Translation.find(affected).lean();
+
+  const result = await Translation.bulkWrite(operations, { ordered: false });
+
+  const written = new Set(rows.map(row => `${row.key}\u0000${row.locale}`));
+  const after = (await Translation.find(affected)).filter(row => written.has(`${row.key}\u0000${row.locale}`));
+  await recordRevisions(after, {
+    author: createdBy,
+    action: 'import',
+    previous: new Map(before.map(row => [String(row._id), row]))
+  });
+
+  const outdated = await trackSourceChanges(namespace, rows.map(row => ({
+    key: row.key,
+    locale: row.locale,
+    value: row.value,
+    previousValue: row.previous?.value
+  })));
+  const warnings = await checkTranslations(namespace, rows.map(({ key, locale, value }) => ({ key, locale, value })), { countUsage: true });
+  invalidateBundles(namespace, [...new Set(rows.map(row => row.locale))]);
+  publishChange({
+    namespace,
+    locales: rows.map(row => row.locale),
+    keys: rows.map(row => row.key),
+    statuses: ['draft', ...before.map(row => row.status)]
+  });
+
+  const existed = new Set(before.map(row => `${row.key}\u0000${row.locale}`));
+  await emitTranslationEvent('created', namespace, after.filter(row => !existed.has(`${row.key}\u0000${row.locale}`)), { actor: createdBy });
+  await emitTranslationEvent('updated', namespace, after.filter(row => existed.has(`${row.key}\u0000${row.locale}`)), { actor: createdBy });
+
+  return {
+    upsertedCount: result.upsertedCount,
+    modifiedCount: result.modifiedCount,
+    outdated,
+    warnings
+  };
+};
+
+export default {
+  buildExport,
+  planImport,
+  applyImport
+};
@@ -0,0 +1,219 @@
+/**
+ * Key Usage
+ * Stores key hits and misses reported by client SDKs, and finds keys that
+ * are no longer rendered or that clients ask for but are not defined
+ */
+
+import Translation from '../models/Translation.js';
+import KeyUsage from '../models/KeyUsage.js';
+import { findUnknownNamespaces } from './namespaces.js';
+import { recordRevisions } from './revisions.js';
+import { invalidateBundles } from './bundleCache.js';
+import { publishChange } from './liveUpdates.js';
+import { syncMemory } from './translationMemory.js';
+import { createRelease } from './releases.js';
+import { emitTranslationEvent } from './webhooks.js';
+import { inTransaction } from '../utils/transactions.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sum repeated `{ namespace, key, locale, count? }` reports into one entry each
+const tally = (reports) => {
+  const totals = new Map();
+  reports.forEach(({ namespace, key, locale, count = 1 }) => {
+    const id = JSON.stringify([namespace, key, locale]);
+    const entry = totals.get(id) || { namespace, key, locale, count: 0 };
+    entry.count += count;
+    totals.set(id, entry);
+  });
+  return [...totals.values()];
+};
+
+/**
+ * Record batched `hits` (keys rendered) and `missing` (keys requested
+ * without a value). Reports for unregistered namespaces are ignored.
+ */
+export const recordUsage = async ({ hits = [], missing = [] }, { now = new Date() } = {}) => {
+  const unknown = new Set(await findUnknownNamespaces([...new Set([...hits, ...missing].map(report => report.namespace))]));
+  const known = (report) => !unknown.has(report.namespace);
+
+  const hitTotals = tally(hits.filter(known));
+  const missingTotals = tally(missing.filter(known));
+
+  const upsert = ({ namespace, key, locale }, update) => ({
+    updateOne: {
+      filter: { namespace, key, locale },
+      update: { ...update, $setOnInsert: { firstSeenAt: now } },
+      upsert: true
+    }
+  });
+
+  const operations = [
+    ...hitTotals.map(entry => upsert(entry, { $inc: { count: entry.count }, $max: { lastSeenAt: now } })),
+    ...missingTotals.map(entry => upsert(entry, { $inc: { missingCount: entry.count }, $max: { lastMissingAt: now } }))
+  ];
+  if (operations.length > 0) await KeyUsage.bulkWrite(operations, { ordered: false });
+
+  return {
+    hits: hitTotals.length,
+    missing: missingTotals.length,
+    ignored: hits.length + missing.length - hits.filter(known).length - missing.filter(known).length
+  };
+};
+
+/**
+ * Active keys not rendered in the last `days` days. Keys never reported
+ * count as unused once they are older than the window, so new keys are
+ * not flagged before clients had a chance to render them.
+ */
+export const findUnusedKeys = async (namespace, { days, now = new Date() }) => {
+  const cutoff = new Date(now.getTime() - days * DAY_MS);
+
+  const [keys, activity] = await Promise.all([
+    Translation.aggregate([
+      { $match: { namespace, isActive: true } },
+      {
+        $group: {
+          _id: '$key',
+          createdAt: { $min: '$createdAt' },
+          locales: { $addToSet: '$locale' }
+        }
+      }
+    ]),
+    KeyUsage.getKeyActivity(namespace)
+  ]);
+  const seen = new Map(activity.map(entry => [entry._id, entry]));
+
+  return keys
+    .map(({ _id: key, createdAt, locales }) => ({
+      key,
+      locales: locales.sort(),
+      createdAt,
+      count: seen.get(key)?.count || 0,
+      lastSeenAt: seen.get(key)?.lastSeenAt || null
+    }))
+    .filter(entry => (entry.lastSeenAt || entry.createdAt) < cutoff)
+    .sort((a, b) => (a.lastSeenAt || 0) - (b.lastSeenAt || 0) || a.key.localeCompare(b.key));
+};
+
+/**
+ * Keys clients requested, optionally since `since`, that have no active
+ * row in the namespace at all
+ */
+export const findUndefinedKeys = async (namespace, { since } = {}) => {
+  const filter = { namespace, missingCount: { $gt: 0 } };
+  if (since) filter.lastMissingAt = { $gte: since };
+
+  const requested = await KeyUsage.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: '$key',
+        missingCount: { $sum: '$missingCount' },
+        lastMissingAt: { $max: '$lastMissingAt' },
+        locales: { $addToSet: '$locale' }
+      }
+    },
+    { $sort: { missingCount: -1, _id: 1 } }
+  ]);
+
+  const defined = new Set(await Translation.distinct('key', {
+    namespace,
+    key: { $in: requested.map(entry => entry._id) },
+    isActive: true
+  }));
+
+  return requested
+    .filter(entry => !defined.has(entry._id))
+    .map(({ _id: key, missingCount, lastMissingAt, locales }) => ({
+      key,
+      locales: locales.sort(),
+      missingCount,
+      lastMissingAt
+    }));
+};
+
+/**
+ * Archive every row of keys unused for `days` days in one transaction.
+ * A release is cut when published rows were archived, so bundles drop them.
+ * `restoreKeys` brings archived keys back.
+ */
+export const archiveUnusedKeys = async (namespace, { days, actor, release = true, dryRun = false }) => {
+  const unused = await findUnusedKeys(namespace, { days });
+  const keys = unused.map(entry => entry.key);
+  if (dryRun || keys.length === 0) {
+    return { keys, archived: 0, release: null };
+  }
+
+  const before = await Translation.find({ namespace, key: { $in: keys }, isActive: true }).lean();
+  const previous = new Map(before.map(row => [String(row._id), row]));
+  const ids = before.map(row => row._id);
+  await inTransaction(session => Translation.updateMany(
+    { _id: { $in: ids }, isActive: true },
+    { $set: { status: 'archived', isActive: false, 'metadata.updatedBy': actor } },
+    { session }
+  ));
+  const rows = await Translation.find({ _id: { $in: ids }, isActive: false });
+
+  await recordRevisions(rows, { author: actor, action: 'archive', previous });
+  invalidateBundles(namespace);
+  publishChange({
+    namespace,
+    locales: rows.map(row => row.locale),
+    keys,
+    statuses: [...[...previous.values()].map(row => row.status), 'archived']
+  });
+  await syncMemory(namespace, keys);
+
+  const wasPublished = [...previous.values()].some(row => row.status === 'published');
+  const snapshot = release && wasPublished
+    ? await createRelease(namespace, { notes: `Archive ${keys.length} keys unused for ${days} days`, createdBy: actor })
+    : null;
+  await emitTranslationEvent('archived', namespace, rows, { actor, release: snapshot?.version });
+
+  return { keys, archived: rows.length, release: snapshot };
+};
+
+/**
+ * Bring archived rows of `keys` back as active drafts, which go through
+ * review and publishing again before bundles serve them
+ */
+export const restoreKeys = async (namespace, keys, { actor }) => {
+  const before = await Translation.find({ namespace, key: { $in: keys }, isActive: false }).lean();
+  if (before.length === 0) {
+    return { keys: [], restored: 0 };
+  }
+
+  const ids = before.map(row => row._id);
+  await inTransaction(session => Translation.updateMany(
+    { _id: { $in: ids }, isActive: false },
+    { $set: { status: 'draft', isActive: true, 'metadata.updatedBy': actor } },
+    { session }
+  ));
+  const rows = await Translation.find({ _id: { $in: ids }, isActive: true });
+  const restoredKeys = [...new Set(rows.map(row => row.key))].sort();
+
+  await recordRevisions(rows, {
+    author: actor,
+    action: 'restore',
+    previous: new Map(before.map(row => [String(row._id), row]))
+  });
+  invalidateBundles(namespace, [...new Set(rows.map(row => row.locale))]);
+  publishChange({
+    namespace,
+    locales: rows.map(row => row.locale),
+    keys: restoredKeys,
+    statuses: ['archived', 'draft']
+  });
+  await emitTranslationEvent('updated', namespace, rows, { actor });
+
+  return { keys: restoredKeys, restored: rows.length };
+};
+
+export default {
+  recordUsage,
+  findUnusedKeys,
+  findUndefinedKeys,
+  archiveUnusedKeys,
+  restoreKeys
+};
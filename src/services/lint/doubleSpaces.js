@@ -0,0 +1,17 @@
+/**
+ * Double Spaces
+ * Runs of spaces inside the value that the source value does not have
+ */
+
+const DOUBLE_SPACE = / {2,}/;
+
+export default {
+  name: 'doubleSpaces',
+  description: 'Doubled spaces',
+  severity: 'warning',
+  check: ({ value, source = '' }) => (
+    DOUBLE_SPACE.test(value.trim()) && !DOUBLE_SPACE.test(source.trim())
+      ? ['Value contains doubled spaces']
+      : []
+  )
+};
@@ -0,0 +1,62 @@
+/**
+ * HTML Tags
+ * Every opened tag must be closed in order, and the value must use the
+ * same tags as the source
+ */
+
+const TAG_PATTERN = /<(\/?)([a-zA-Z][\w-]*)[^<>]*?(\/?)>/g;
+
+// Elements that never take a closing tag
+const VOID_ELEMENTS = new Set(['area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'wbr']);
+
+const readTags = (text) => [...text.matchAll(TAG_PATTERN)].map(([, closing, name, selfClosing]) => ({
+  name: name.toLowerCase(),
+  closing: closing === '/',
+  selfClosing: selfClosing === '/' || VOID_ELEMENTS.has(name.toLowerCase())
+}));
+
+const tagCounts = (tags) => {
+  const counts = {};
+  tags.forEach(({ name, closing }) => {
+    if (!closing) counts[name] = (counts[name] || 0) + 1;
+  });
+  return counts;
+};
+
+export default {
+  name: 'htmlTags',
+  description: 'HTML tags are unbalanced or differ from the source value',
+  severity: 'error',
+  check: ({ value, source }) => {
+    const tags = readTags(value);
+    const issues = [];
+    const open = [];
+
+    for (const tag of tags) {
+      if (tag.selfClosing) continue;
+      if (!tag.closing) {
+        open.push(tag.name);
+      } else if (open[open.length - 1] === tag.name) {
+        open.pop();
+      } else {
+        issues.push(`Closing </${tag.name}> does not match ${open.length ? `<${open[open.length - 1]}>` : 'an open tag'}`);
+        break;
+      }
+    }
+    if (issues.length === 0 && open.length > 0) {
+      issues.push(`Unclosed tags: ${open.map(name => `<${name}>`).join(', ')}`);
+    }
+
+    if (source !== undefined) {
+      const expected = tagCounts(readTags(source));
+      const actual = tagCounts(tags);
+      const names = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+      const differing = [...names].filter(name => expected[name] !== actual[name]);
+      if (differing.length > 0) {
+        issues.push(`Tags differ from the source: ${differing.map(name => `<${name}>`).join(', ')}`);
+      }
+    }
+
+    return issues;
+  }
+};
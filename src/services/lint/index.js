@@ -0,0 +1,155 @@
+/**
+ * Translation Lint
+ * Registry of QA rules run over translations. Every rule exposes
+ * `check({ key, locale, value, source, options })` returning issue messages,
+ * with a default `severity`. Rules flagged `needsSource` only run when the
+ * source value exists; `targetOnly` rules skip the source locale.
+ */
+
+import Translation from '../../models/Translation.js';
+import LintReport, { LINT_SEVERITIES } from '../../models/LintReport.js';
+import { getNamespace } from '../namespaces.js';
+import { getSourceLocale } from '../staleness.js';
+import placeholders from './placeholders.js';
+import htmlTags from './htmlTags.js';
+import whitespace from './whitespace.js';
+import doubleSpaces from './doubleSpaces.js';
+import untranslated from './untranslated.js';
+import length from './length.js';
+
+const RULES = {
+  [placeholders.name]: placeholders,
+  [htmlTags.name]: htmlTags,
+  [whitespace.name]: whitespace,
+  [doubleSpaces.name]: doubleSpaces,
+  [untranslated.name]: untranslated,
+  [length.name]: length
+};
+
+// Severities a rule can be configured with; `off` disables it
+export const RULE_SEVERITIES = [...LINT_SEVERITIES, 'off'];
+
+export const getLintRule = (name) => RULES[name];
+
+export const listLintRules = () => Object.values(RULES).map(({ name, description, severity }) => ({
+  name,
+  description,
+  severity
+}));
+
+// A rule setting is either a severity or `{ severity?, options? }`
+const settingOf = (setting) => (typeof setting === 'string' ? { severity: setting } : setting || {});
+
+/**
+ * Rule configuration for a run: rule defaults, then the namespace's
+ * `lintRules`, then per-request `overrides`
+ */
+export const resolveRules = (...layers) => {
+  const resolved = {};
+
+  Object.values(RULES).forEach(rule => {
+    let severity = rule.severity;
+    let options = {};
+
+    layers.forEach(layer => {
+      const setting = settingOf(layer?.[rule.name]);
+      if (setting.severity) severity = setting.severity;
+      if (setting.options) options = { ...options, ...setting.options };
+    });
+
+    resolved[rule.name] = { severity, options };
+  });
+
+  return resolved;
+};
+
+/**
+ * Lint `rows` of `{ key, locale, value }` against `sources` (key to source
+ * value). Returns the issues and a count per severity.
+ */
+export const lintRows = (rows, { sourceLocale, sources = new Map(), rules = resolveRules() }) => {
+  const issues = [];
+  const active = Object.entries(rules).filter(([name, { severity }]) => severity !== 'off' && RULES[name]);
+
+  rows.forEach(({ key, locale, value }) => {
+    if (typeof value !== 'string') return;
+
+    const isSource = locale === sourceLocale;
+    const source = isSource ? undefined : sources.get(key);
+
+    active.forEach(([name, { severity, options }]) => {
+      const rule = RULES[name];
+      if (rule.targetOnly && isSource) return;
+      if (rule.needsSource && typeof source !== 'string') return;
+
+      rule.check({ key, locale, value, source, options }).forEach(message => {
+        issues.push({ key, locale, rule: name, severity, message });
+      });
+    });
+  });
+
+  const summary = { checked: rows.length, error: 0, warning: 0, info: 0 };
+  issues.forEach(issue => { summary[issue.severity] += 1; });
+
+  return { issues, summary };
+};
+
+const activeRows = (namespace, { locales, status, keys }) => {
+  const filter = { namespace, isActive: true };
+  if (locales?.length) filter.locale = { $in: locales };
+  if (status) filter.status = status;
+  if (keys) filter.key = { $in: keys };
+
+  return Translation.find(filter).select('key locale value').sort({ key: 1, locale: 1 }).lean();
+};
+
+/**
+ * Lint translations of a namespace and store the report. By default the
+ * active rows are read, limited by `locales`, `status` and `keys`; callers
+ * that already hold the rows to check pass them as `rows`. `rules`
+ * overrides the namespace configuration.
+ */
+export const runLint = async (namespace, { rows: given, locales, status, keys, rules: overrides, trigger = 'report', createdBy } = {}) => {
+  const registered = await getNamespace(namespace);
+  const sourceLocale = await getSourceLocale(namespace);
+  const rules = resolveRules(registered?.lintRules, overrides);
+
+  const rows = given || await activeRows(namespace, { locales, status, keys });
+
+  const sourceRows = await Translation.find({
+    namespace,
+    locale: sourceLocale,
+    key: { $in: [...new Set(rows.map(row => row.key))] },
+    isActive: true
+  }).select('key value').lean();
+
+  const { issues, summary } = lintRows(rows, {
+    sourceLocale,
+    sources: new Map(sourceRows.map(row => [row.key, row.value])),
+    rules
+  });
+
+  const report = await LintReport.create({
+    namespace,
+    locales: !given && locales?.length ? locales : [...new Set(rows.map(row => row.locale))].sort(),
+    sourceLocale,
+    status,
+    trigger,
+    rules,
+    summary,
+    passed: summary.error === 0,
+    issues,
+    'metadata.createdBy': createdBy
+  });
+
+  return report.toJSON();
+};
+
+export default {
+  RULE_SEVERITIES,
+  getLintRule,
+  listLintRules,
+  resolveRules,
+  lintRows,
+  runLint
+};
@@ -0,0 +1,21 @@
+/**
+ * Length
+ * Values much longer than their source tend to break layouts. Short
+ * sources are skipped because a few characters can double their length.
+ */
+
+export default {
+  name: 'length',
+  description: 'Value is much longer than the source',
+  severity: 'warning',
+  needsSource: true,
+  targetOnly: true,
+  check: ({ value, source, options: { maxRatio = 2, minSourceLength = 10 } }) => {
+    if (source.length < minSourceLength) return [];
+
+    const ratio = value.length / source.length;
+    return ratio > maxRatio
+      ? [`Value is ${ratio.toFixed(1)}x the source length (limit ${maxRatio}x)`]
+      : [];
+  }
+};
@@ -0,0 +1,25 @@
+/**
+ * Placeholders
+ * The value must use the same ICU arguments as the source
+ */
+
+import { listArguments } from '../messageFormat.js';
+
+export default {
+  name: 'placeholders',
+  description: 'Placeholders differ from the source value',
+  severity: 'error',
+  needsSource: true,
+  check: ({ value, source }) => {
+    const expected = listArguments(source);
+    const actual = listArguments(value);
+    if (!expected || !actual) return [];
+
+    const issues = [];
+    const missing = [...expected].filter(name => !actual.has(name));
+    const extra = [...actual].filter(name => !expected.has(name));
+    if (missing.length > 0) issues.push(`Missing placeholders: ${missing.join(', ')}`);
+    if (extra.length > 0) issues.push(`Placeholders not in the source: ${extra.join(', ')}`);
+    return issues;
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Untranslated
+ * The value is a copy of the source value. Values without letters, such
+ * as numbers or symbols, are the same in every locale and are skipped.
+ */
+
+const HAS_LETTERS = /\p{L}/u;
+
+export default {
+  name: 'untranslated',
+  description: 'Value is an untranslated copy of the source',
+  severity: 'warning',
+  needsSource: true,
+  targetOnly: true,
+  check: ({ value, source, options: { ignore = [] } }) => (
+    value === source && HAS_LETTERS.test(value) && !ignore.includes(value)
+      ? ['Value is identical to the source']
+      : []
+  )
+};
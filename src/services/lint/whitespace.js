@@ -0,0 +1,19 @@
+/**
+ * Whitespace
+ * Leading or trailing whitespace the source value does not have
+ */
+
+const LEADING = /^\s/;
+const TRAILING = /\s$/;
+
+export default {
+  name: 'whitespace',
+  description: 'Leading or trailing whitespace',
+  severity: 'warning',
+  check: ({ value, source = '' }) => {
+    const issues = [];
+    if (LEADING.test(value) && !LEADING.test(source)) issues.push('Value starts with whitespace');
+    if (TRAILING.test(value) && !TRAILING.test(source)) issues.push('Value ends with whitespace');
+    return issues;
+  }
+};
@@ -0,0 +1,152 @@
+/**
+ * Live Updates
+ * In-process change feed for bundle subscribers. Writers publish change
+ * events after invalidating the bundle cache; subscribers filter them by
+ * namespace, locale (through fallback chains) and bundle status, and can
+ * resume from the last event id they saw while it is still buffered.
+ */
+
+import { EventEmitter } from 'events';
+import logger from '../utils/logger.js';
+import { resolveBundles } from './bundles.js';
+import { getFallbackChain } from './localeFallback.js';
+import { getFallbackParents } from './locales.js';
+
+const BUFFER_SIZE = parseInt(process.env.LIVE_EVENT_BUFFER || '1000');
+
+// Ids restart with the process, so they carry a boot marker to detect that
+const BOOT_ID = Date.now().toString(36);
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const history = [];
+let sequence = 0;
+
+export const currentEventId = () => `${BOOT_ID}-${sequence}`;
+
+/**
+ * Record and broadcast a change. `statuses` lists the bundle statuses whose
+ * content changed; `keys` may be omitted when the whole bundle changed,
+ * e.g. on a release rollback.
+ */
+export const publishChange = ({ namespace, locales = [], keys, statuses = ['draft'], release }) => {
+  sequence += 1;
+  const event = {
+    id: currentEventId(),
+    sequence,
+    namespace,
+    locales: [...new Set(locales)],
+    keys: keys && [...new Set(keys)],
+    statuses: [...new Set(statuses)],
+    release,
+    at: new Date().toISOString()
+  };
+
+  history.push(event);
+  if (history.length > BUFFER_SIZE) history.shift();
+
+  emitter.emit('change', event);
+  return event;
+};
+
+/**
+ * Buffered events after `lastEventId`, or null when the client must
+ * refetch because the id is from another process or already evicted
+ */
+export const eventsSince = (lastEventId) => {
+  if (!lastEventId) return [];
+
+  const [boot, seen] = String(lastEventId).split('-');
+  const after = parseInt(seen);
+  if (boot !== BOOT_ID || Number.isNaN(after) || after > sequence) return null;
+
+  const oldest = history.length > 0 ? history[0].sequence : sequence + 1;
+  if (after < oldest - 1) return null;
+
+  return history.filter(event => event.sequence > after);
+};
+
+// Shape an event for one subscriber, or null when it does not apply
+const messageFor = async (event, { namespaces, status, include, chains }) => {
+  if (!namespaces.includes(event.namespace) || !event.statuses.includes(status)) return null;
+
+  const affected = [...chains.entries()]
+    .filter(([, chain]) => event.locales.length === 0 || event.locales.some(locale => chain.has(locale)))
+    .map(([locale]) => locale);
+  if (affected.length === 0) return null;
+
+  const data = {
+    namespace: event.namespace,
+    locales: affected,
+    keys: event.keys,
+    status,
+    release: event.release,
+    at: event.at
+  };
+
+  // Values are resolved now, so replayed events carry current content
+  if (include === 'values') {
+    const bundles = await resolveBundles([event.namespace], affected, { status });
+    data.values = {};
+    affected.forEach(locale => {
+      const bundle = bundles.data[event.namespace][locale];
+      if (!event.keys) {
+        data.values[locale] = bundle;
+        return;
+      }
+      data.values[locale] = {};
+      event.keys.forEach(key => {
+        data.values[locale][key] = bundle[key] ?? null;
+      });
+    });
+  }
+
+  return { id: event.id, event: 'change', data };
+};
+
+/**
+ * Subscribe a transport to changes. `send({ id, event, data })` receives
+ * change messages in order, preceded by any buffered events after
+ * `lastEventId` or a `reset` message when those are no longer available.
+ * Returns a function that ends the subscription.
+ */
+export const openSubscription = async ({ namespaces, locales, status = 'published', include = 'keys', lastEventId }, send) => {
+  const parents = await getFallbackParents();
+  const options = {
+    namespaces,
+    status,
+    include,
+    chains: new Map(locales.map(locale => [locale, new Set(getFallbackChain(locale, parents))]))
+  };
+
+  let queue = Promise.resolve();
+  const enqueue = (event) => {
+    queue = queue
+      .then(() => messageFor(event, options))
+      .then(message => message && send(message))
+      .catch(error => logger.error('Error delivering live update:', error));
+  };
+
+  // Listen before replaying so nothing published in between is lost
+  emitter.on('change', enqueue);
+
+  const missed = eventsSince(lastEventId);
+  if (missed === null) {
+    send({ id: currentEventId(), event: 'reset', data: { reason: 'Event history unavailable; refetch bundles' } });
+  } else {
+    missed.forEach(enqueue);
+  }
+
+  return () => emitter.off('change', enqueue);
+};
+
+export const getSubscriberCount = () => emitter.listenerCount('change');
+
+export default {
+  currentEventId,
+  publishChange,
+  eventsSince,
+  openSubscription,
+  getSubscriberCount
+};
@@ -0,0 +1,55 @@
+/**
+ * Locale Fallback
+ * Resolves the chain of locales consulted when a key is missing for a locale
+ */
+
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en';
+
+// Explicit chains, e.g. LOCALE_FALLBACKS='{"ar-EG":["ar","en"],"pt-BR":["pt-PT","pt"]}'
+const parseConfiguredChains = (raw) => {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const configuredChains = parseConfiguredChains(process.env.LOCALE_FALLBACKS);
+
+/**
+ * Build the fallback chain for a locale, most specific first.
+ * Configured chains win, then registry `parents` links (locale -> parent);
+ * otherwise subtags are stripped one at a time (zh-Hant-TW -> zh-Hant -> zh)
+ * before ending at the default locale.
+ */
+export const getFallbackChain = (locale, parents = {}) => {
+  const chain = [locale];
+
+  if (Array.isArray(configuredChains[locale])) {
+    chain.push(...configuredChains[locale]);
+  } else if (parents[locale]) {
+    let parent = parents[locale];
+    while (parent && !chain.includes(parent)) {
+      chain.push(parent);
+      parent = parents[parent];
+    }
+  } else {
+    const subtags = locale.split('-');
+    while (subtags.length > 1) {
+      subtags.pop();
+      chain.push(subtags.join('-'));
+    }
+  }
+
+  chain.push(DEFAULT_LOCALE);
+  return [...new Set(chain)];
+};
+
+export const getDefaultLocale = () => DEFAULT_LOCALE;
+
+export default {
+  getFallbackChain,
+  getDefaultLocale
+};
@@ -0,0 +1,82 @@
+/**
+ * Locale Registry
+ * Cached lookups over the Locale collection for validation, fallback
+ * parents, text direction and plural rules
+ */
+
+import Locale from '../models/Locale.js';
+import { PSEUDO_LOCALES } from './pseudoLocale.js';
+
+const TTL_MS = parseInt(process.env.LOCALE_CACHE_TTL_MS || '60000');
+
+let cache = null;
+let loadedAt = 0;
+
+const load = async () => {
+  if (!cache || Date.now() - loadedAt > TTL_MS) {
+    const locales = await Locale.find({}).sort({ code: 1 }).lean();
+    cache = new Map(locales.map(locale => [locale.code, locale]));
+    loadedAt = Date.now();
+  }
+  return cache;
+};
+
+/**
+ * Registered locale by code, whether enabled or not
+ */
+export const getLocale = async (code) => (await load()).get(code) || null;
+
+export const listEnabledLocales = async () => [...(await load()).values()]
+  .filter(locale => locale.enabled)
+  .map(locale => locale.code);
+
+/**
+ * Codes from `codes` that are not registered or are disabled
+ */
+export const findUnknownLocales = async (codes) => {
+  const registry = await load();
+  return codes.filter(code => !registry.get(code)?.enabled);
+};
+
+/**
+ * Fallback parent for every registered locale that declares one
+ */
+export const getFallbackParents = async () => {
+  const parents = {};
+  (await load()).forEach(locale => {
+    if (locale.fallback) parents[locale.code] = locale.fallback;
+  });
+  return parents;
+};
+
+/**
+ * Text direction per code. Pseudo-locales have their own; other
+ * unregistered codes default to ltr.
+ */
+export const getDirections = async (codes) => {
+  const registry = await load();
+  const directions = {};
+  codes.forEach(code => {
+    directions[code] = registry.get(code)?.direction || PSEUDO_LOCALES[code]?.direction || 'ltr';
+  });
+  return directions;
+};
+
+/**
+ * Plural categories stored for a locale, for message validation
+ */
+export const getPluralCategoriesFor = async (code) => (await load()).get(code)?.pluralCategories;
+
+export const invalidateLocales = () => {
+  cache = null;
+};
+
+export default {
+  getLocale,
+  listEnabledLocales,
+  findUnknownLocales,
+  getFallbackParents,
+  getDirections,
+  getPluralCategoriesFor,
+  invalidateLocales
+};
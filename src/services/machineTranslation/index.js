@@ -0,0 +1,200 @@
+/**
+ * Machine Translation
+ * Provider selection, placeholder masking, glossary enforcement and saving
+ * results as machine-sourced drafts
+ */
+
+import Translation from '../../models/Translation.js';
+import Glossary from '../../models/Glossary.js';
+import { addMissingPluralCategories, parseMessage, validateMessage } from '../messageFormat.js';
+import { recordRevision } from '../revisions.js';
+import { invalidateBundles } from '../bundleCache.js';
+import { suggest } from '../translationMemory.js';
+import { trackSourceChanges } from '../staleness.js';
+import { publishChange } from '../liveUpdates.js';
+import { emitTranslationEvent } from '../webhooks.js';
+import { checkTranslations } from '../glossaryCheck.js';
+import { getLocale } from '../locales.js';
+import { maskMessage, unmaskMessage, MaskError } from './masking.js';
+import deepl from './providers/deepl.js';
+import google from './providers/google.js';
+import aws from './providers/aws.js';
+import local from './providers/local.js';
+
+export { ProviderError } from './providers/errors.js';
+
+const PROVIDERS = {
+  [deepl.name]: deepl,
+  [google.name]: google,
+  [aws.name]: aws,
+  [local.name]: local
+};
+
+const DEFAULT_PROVIDER = process.env.MT_PROVIDER || 'local';
+
+export const getProvider = (name = DEFAULT_PROVIDER) => PROVIDERS[name];
+
+export const listProviders = () => Object.keys(PROVIDERS);
+
+// Required target renderings per locale from the tenant glossary
+const loadGlossary = async (tenantId, locales) => {
+  const glossary = {};
+  locales.forEach(locale => {
+    glossary[locale] = [];
+  });
+  if (!tenantId) return glossary;
+
+  const entries = await Glossary.getTenantGlossary(tenantId);
+  entries.forEach(entry => {
+    locales.forEach(locale => {
+      const translation = entry.translations.find(t => t.locale === locale);
+      if (translation) glossary[locale].push({ term: entry.term, translation: translation.value });
+    });
+  });
+
+  return glossary;
+};
+
+/**
+ * Translate an ICU message into each target locale.
+ * Translation memory is consulted first when `memoryMinScore` is set, and
+ * the provider is only called for locales without a good enough match.
+ * Returns `{ [locale]: { value, confidence, origin, glossaryTerms } }`, or
+ * `{ [locale]: { error } }` when the provider broke the protected syntax.
+ */
+export const machineTranslate = async ({
+  text,
+  sourceLocale,
+  targetLocales,
+  tenantId,
+  provider = getProvider(),
+  memoryMinScore
+}) => {
+  const glossary = await loadGlossary(tenantId, targetLocales);
+  const results = {};
+
+  for (const targetLocale of targetLocales) {
+    if (memoryMinScore !== undefined) {
+      const [match] = await suggest(text, { sourceLocale, targetLocale, minScore: memoryMinScore, limit: 1 });
+      if (match) {
+        results[targetLocale] = {
+          value: match.target,
+          confidence: match.score / 100,
+          origin: 'memory',
+          memory: { namespace: match.namespace, key: match.key, score: match.score },
+          glossaryTerms: []
+        };
+        continue;
+      }
+    }
+
+    const source = addMissingPluralCategories(text, targetLocale);
+    const { masked, pieces, glossaryTerms } = maskMessage(source, {
+      style: provider.maskStyle,
+      glossary: glossary[targetLocale]
+    });
+
+    const [translated] = await provider.translate([masked], { sourceLocale, targetLocale });
+
+    try {
+      const value = unmaskMessage(translated, pieces, { style: provider.maskStyle });
+      parseMessage(value);
+      results[targetLocale] = {
+        value,
+        confidence: provider.confidence,
+        origin: provider.name,
+        glossaryTerms
+      };
+    } catch (error) {
+      if (!(error instanceof MaskError) && !error.location) throw error;
+      results[targetLocale] = { error: error.message };
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Store machine results as drafts. Rows written by people are only
+ * replaced when `overwrite` is set. Saved rows are checked against the
+ * glossary of `tenantId`, or of the namespace's tenant.
+ */
+export const saveMachineTranslations = async ({
+  namespace,
+  key,
+  results,
+  context,
+  variables = [],
+  tenantId,
+  createdBy = 'system',
+  overwrite = false
+}) => {
+  const saved = [];
+  const created = [];
+  const skipped = [];
+  const changes = [];
+  const statuses = ['draft'];
+
+  for (const [locale, result] of Object.entries(results)) {
+    if (result.error) {
+      skipped.push({ locale, reason: result.error });
+      continue;
+    }
+
+    const previous = await Translation.findOne({ namespace, key, locale }).lean();
+    if (previous && previous.metadata?.source !== 'machine' && !overwrite) {
+      skipped.push({ locale, reason: 'A non-machine translation already exists' });
+      continue;
+    }
+
+    const { pluralCategories } = (await getLocale(locale)) || {};
+    const { valid, errors } = validateMessage(result.value, { locale, variables, pluralCategories });
+    if (!valid) {
+      skipped.push({ locale, reason: 'Invalid message format', errors });
+      continue;
+    }
+
+    const translation = await Translation.findOneAndUpdate(
+      { namespace, key, locale },
+      {
+        $set: {
+          value: result.value,
+          context,
+          variables,
+          status: 'draft',
+          'metadata.source': 'machine',
+          'metadata.confidence': result.confidence,
+          'metadata.updatedBy': createdBy
+        },
+        $setOnInsert: {
+          'metadata.createdBy': createdBy
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    await recordRevision(translation, { author: createdBy, action: 'machine', previous });
+    saved.push(translation);
+    if (!previous) created.push(translation);
+    changes.push({ locale, key, value: result.value, previousValue: previous?.value });
+    if (previous) statuses.push(previous.status);
+  }
+
+  await trackSourceChanges(namespace, changes);
+  const warnings = await checkTranslations(namespace, changes, { tenantId, countUsage: true });
+  if (saved.length > 0) {
+    invalidateBundles(namespace, saved.map(translation => translation.locale));
+    publishChange({ namespace, locales: saved.map(translation => translation.locale), keys: [key], statuses });
+    await emitTranslationEvent('created', namespace, created, { actor: createdBy });
+    await emitTranslationEvent('updated', namespace, saved.filter(translation => !created.includes(translation)), { actor: createdBy });
+  }
+
+  return { saved, skipped, warnings };
+};
+
+export default {
+  getProvider,
+  listProviders,
+  machineTranslate,
+  saveMachineTranslations
+};
@@ -0,0 +1,189 @@
+/**
+ * Placeholder Masking
+ * Swaps ICU syntax, HTML tags and glossary terms for opaque tokens before a
+ * message goes to a provider, and restores them in the provider's output
+ */
+
+import { parse, TYPE } from '@formatjs/icu-messageformat-parser';
+import { escapeXml, decodeXml } from '../formats/xml.js';
+
+const TAG_PATTERN = /<\/?[a-zA-Z][^<>]*>/g;
+
+// Token shapes per provider: XML tags for providers with tag handling, brackets otherwise
+const STYLES = {
+  xml: {
+    token: (index) => `<x id="${index}"/>`,
+    pattern: /<x\s+id="(\d+)"\s*\/?>(?:<\/x>)?/g,
+    encode: escapeXml,
+    decode: decodeXml
+  },
+  token: {
+    token: (index) => `⟦${index}⟧`,
+    pattern: /⟦\s*(\d+)\s*⟧/g,
+    encode: (text) => text,
+    decode: (text) => text
+  }
+};
+
+/**
+ * Raised when a provider drops or duplicates a protected token
+ */
+export class MaskError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MaskError';
+  }
+}
+
+// Literal text as it must be written inside an ICU message
+const escapeLiteral = (text) => text.replace(/'/g, "''").replace(/[{}]/g, char => `'${char}'`);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Case-insensitive matcher for a glossary term as a whole word
+ */
+export const termPattern = (term) => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, 'giu');
+
+/**
+ * Split a literal run into translatable text and protected HTML tags or glossary terms
+ */
+const splitLiteral = (text, glossary, segments) => {
+  const matchers = [];
+  text.replace(TAG_PATTERN, (tag, offset) => {
+    matchers.push({ start: offset, end: offset + tag.length, raw: escapeLiteral(tag) });
+    return tag;
+  });
+
+  glossary.forEach(({ term, translation }) => {
+    const pattern = termPattern(term);
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (!matchers.some(other => start < other.end && end > other.start)) {
+        matchers.push({ start, end, raw: escapeLiteral(translation), term });
+      }
+    }
+  });
+
+  matchers.sort((a, b) => a.start - b.start);
+
+  let cursor = 0;
+  matchers.forEach(matcher => {
+    if (matcher.start > cursor) segments.push({ text: text.slice(cursor, matcher.start) });
+    segments.push({ raw: matcher.raw, term: matcher.term });
+    cursor = matcher.end;
+  });
+  if (cursor < text.length) segments.push({ text: text.slice(cursor) });
+};
+
+// Walk the AST, keeping literal text translatable and everything else raw
+const collectSegments = (message, elements, glossary, segments) => {
+  elements.forEach(element => {
+    const { start, end } = element.location;
+
+    if (element.type === TYPE.literal) {
+      splitLiteral(element.value, glossary, segments);
+      return;
+    }
+
+    if (element.type === TYPE.plural || element.type === TYPE.select) {
+      const options = Object.values(element.options)
+        .sort((a, b) => a.location.start.offset - b.location.start.offset);
+
+      let cursor = start.offset;
+      options.forEach(option => {
+        const bodyStart = option.location.start.offset + 1;
+        segments.push({ raw: message.slice(cursor, bodyStart) });
+        collectSegments(message, option.value, glossary, segments);
+        cursor = option.location.end.offset - 1;
+      });
+      segments.push({ raw: message.slice(cursor, end.offset) });
+      return;
+    }
+
+    segments.push({ raw: message.slice(start.offset, end.offset) });
+  });
+};
+
+/**
+ * Mask a message. `glossary` is a list of `{ term, translation }` pairs whose
+ * source terms are replaced by their required target rendering.
+ * Returns the masked text, the protected pieces and the glossary terms applied.
+ */
+export const maskMessage = (message, { style = 'xml', glossary = [] } = {}) => {
+  const { token, encode } = STYLES[style];
+  const ast = parse(message, { ignoreTag: true, captureLocation: true });
+
+  // Longest terms first so "sales tax" wins over "tax"
+  const terms = [...glossary].sort((a, b) => b.term.length - a.term.length);
+  const segments = [];
+  collectSegments(message, ast, terms, segments);
+
+  const pieces = [];
+  const glossaryTerms = new Set();
+  let masked = '';
+  let open = null;
+
+  segments.forEach(segment => {
+    if (segment.text !== undefined) {
+      open = null;
+      masked += encode(segment.text);
+      return;
+    }
+    if (segment.term) glossaryTerms.add(segment.term);
+
+    // Adjacent protected pieces share one token
+    if (open !== null && !segment.term && !pieces[open].term) {
+      pieces[open].raw += segment.raw;
+      return;
+    }
+    pieces.push({ raw: segment.raw, term: segment.term });
+    open = segment.term ? null : pieces.length - 1;
+    masked += token(pieces.length - 1);
+  });
+
+  return {
+    masked,
+    pieces,
+    glossaryTerms: [...glossaryTerms]
+  };
+};
+
+/**
+ * Restore protected pieces in a provider's output. Throws a MaskError when
+ * a token went missing or was duplicated, since the message would be broken.
+ */
+export const unmaskMessage = (translated, pieces, { style = 'xml' } = {}) => {
+  const { pattern, decode } = STYLES[style];
+  const seen = new Array(pieces.length).fill(0);
+  let result = '';
+  let cursor = 0;
+
+  translated.replace(pattern, (match, index, offset) => {
+    const piece = pieces[Number(index)];
+    if (!piece) throw new MaskError(`Provider returned unknown token ${index}`);
+
+    result += escapeLiteral(decode(translated.slice(cursor, offset)));
+    result += piece.raw;
+    seen[Number(index)] += 1;
+    cursor = offset + match.length;
+    return match;
+  });
+  result += escapeLiteral(decode(translated.slice(cursor)));
+
+  const broken = seen.findIndex(count => count !== 1);
+  if (broken !== -1) {
+    throw new MaskError(`Provider ${seen[broken] === 0 ? 'dropped' : 'duplicated'} protected token ${broken}`);
+  }
+
+  return result;
+};
+
+export default {
+  MaskError,
+  termPattern,
+  maskMessage,
+  unmaskMessage
+};
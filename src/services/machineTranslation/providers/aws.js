@@ -0,0 +1,48 @@
+/**
+ * AWS Provider
+ * Amazon Translate; credentials and region come from the standard AWS environment
+ */
+
+import { ProviderError } from './errors.js';
+
+const TIMEOUT_MS = parseInt(process.env.MT_TIMEOUT_MS || '15000');
+
+let client;
+
+// The SDK is only loaded when this provider is selected
+const getClient = async () => {
+  if (!client) {
+    const { TranslateClient } = await import('@aws-sdk/client-translate');
+    client = new TranslateClient({ region: process.env.AWS_REGION || 'us-east-1' });
+  }
+  return client;
+};
+
+const translate = async (texts, { sourceLocale, targetLocale }) => {
+  const { TranslateTextCommand } = await import('@aws-sdk/client-translate');
+  const translator = await getClient();
+
+  // One deadline for the whole batch, like a single deepl or google request
+  const abortSignal = AbortSignal.timeout(TIMEOUT_MS);
+  try {
+    const results = [];
+    for (const text of texts) {
+      const output = await translator.send(new TranslateTextCommand({
+        Text: text,
+        SourceLanguageCode: sourceLocale,
+        TargetLanguageCode: targetLocale
+      }), { abortSignal });
+      results.push(output.TranslatedText);
+    }
+    return results;
+  } catch (error) {
+    throw new ProviderError('aws', abortSignal.aborted ? `no response within ${TIMEOUT_MS}ms` : error.message, 502);
+  }
+};
+
+export default {
+  name: 'aws',
+  maskStyle: 'token',
+  confidence: parseFloat(process.env.AWS_TRANSLATE_CONFIDENCE || '0.8'),
+  translate
+};
@@ -0,0 +1,68 @@
+/**
+ * DeepL Provider
+ * DeepL API v2 with XML tag handling so masked tokens pass through untouched
+ */
+
+import { ProviderError } from './errors.js';
+
+const API_KEY = process.env.DEEPL_API_KEY;
+// Free-tier keys end in ":fx" and use a separate host
+const API_URL = process.env.DEEPL_API_URL
+  || (API_KEY?.endsWith(':fx') ? 'https://api-free.deepl.com/v2/translate' : 'https://api.deepl.com/v2/translate');
+const TIMEOUT_MS = parseInt(process.env.MT_TIMEOUT_MS || '15000');
+
+// DeepL wants upper-case codes and a regional variant for some targets
+const TARGET_OVERRIDES = { en: 'EN-US', pt: 'PT-PT' };
+
+const toTargetLang = (locale) => {
+  const [language, region] = locale.split('-');
+  const lower = language.toLowerCase();
+  if (region && ['en', 'pt'].includes(lower)) return `${lower}-${region}`.toUpperCase();
+  if (lower === 'zh') return 'ZH';
+  return TARGET_OVERRIDES[lower] || lower.toUpperCase();
+};
+
+const toSourceLang = (locale) => locale.split('-')[0].toUpperCase();
+
+const translate = async (texts, { sourceLocale, targetLocale }) => {
+  if (!API_KEY) throw new ProviderError('deepl', 'DEEPL_API_KEY is not configured', 503);
+
+  let response;
+  try {
+    response = await fetch(API_URL, {
+      method: 'POST',
+      headers: {
+        Authorization: `DeepL-Auth-Key ${API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        text: texts,
+        source_lang: toSourceLang(sourceLocale),
+        target_lang: toTargetLang(targetLocale),
+        tag_handling: 'xml',
+        ignore_tags: ['x']
+      }),
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw new ProviderError('deepl', error.name === 'TimeoutError' ? `no response within ${TIMEOUT_MS}ms` : error.message, 502);
+  }
+
+  if (!response.ok) {
+    throw new ProviderError('deepl', `request failed with ${response.status}`, 502);
+  }
+
+  try {
+    const body = await response.json();
+    return body.translations.map(translation => translation.text);
+  } catch (error) {
+    throw new ProviderError('deepl', `unreadable response: ${error.message}`, 502);
+  }
+};
+
+export default {
+  name: 'deepl',
+  maskStyle: 'xml',
+  confidence: parseFloat(process.env.DEEPL_CONFIDENCE || '0.85'),
+  translate
+};
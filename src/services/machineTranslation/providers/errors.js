@@ -0,0 +1,17 @@
+/**
+ * Provider Errors
+ */
+
+/**
+ * Raised when a translation provider rejects a request or is unreachable
+ */
+export class ProviderError extends Error {
+  constructor(provider, message, status) {
+    super(`${provider}: ${message}`);
+    this.name = 'ProviderError';
+    this.provider = provider;
+    this.status = status;
+  }
+}
+
+export default ProviderError;
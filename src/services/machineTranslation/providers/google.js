@@ -0,0 +1,49 @@
+/**
+ * Google Provider
+ * Cloud Translation API v2 in HTML mode so masked tokens are left alone
+ */
+
+import { ProviderError } from './errors.js';
+
+const API_KEY = process.env.GOOGLE_TRANSLATE_API_KEY;
+const API_URL = process.env.GOOGLE_TRANSLATE_API_URL || 'https://translation.googleapis.com/language/translate/v2';
+const TIMEOUT_MS = parseInt(process.env.MT_TIMEOUT_MS || '15000');
+
+const translate = async (texts, { sourceLocale, targetLocale }) => {
+  if (!API_KEY) throw new ProviderError('google', 'GOOGLE_TRANSLATE_API_KEY is not configured', 503);
+
+  let response;
+  try {
+    response = await fetch(`${API_URL}?key=${encodeURIComponent(API_KEY)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        q: texts,
+        source: sourceLocale,
+        target: targetLocale,
+        format: 'html'
+      }),
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw new ProviderError('google', error.name === 'TimeoutError' ? `no response within ${TIMEOUT_MS}ms` : error.message, 502);
+  }
+
+  if (!response.ok) {
+    throw new ProviderError('google', `request failed with ${response.status}`, 502);
+  }
+
+  try {
+    const body = await response.json();
+    return body.data.translations.map(translation => translation.translatedText);
+  } catch (error) {
+    throw new ProviderError('google', `unreadable response: ${error.message}`, 502);
+  }
+};
+
+export default {
+  name: 'google',
+  maskStyle: 'xml',
+  confidence: parseFloat(process.env.GOOGLE_TRANSLATE_CONFIDENCE || '0.8'),
+  translate
+};
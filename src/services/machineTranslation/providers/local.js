@@ -0,0 +1,13 @@
+/**
+ * Local Provider
+ * Deterministic stand-in for tests and development: prefixes the target locale
+ */
+
+const translate = async (texts, { targetLocale }) => texts.map(text => `[${targetLocale.toUpperCase()}] ${text}`);
+
+export default {
+  name: 'local',
+  maskStyle: 'token',
+  confidence: 0,
+  translate
+};
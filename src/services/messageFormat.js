@@ -0,0 +1,340 @@
+/**
+ * Message Format
+ * Parses translation values as ICU MessageFormat, checks them against
+ * their declared variables and the target locale's plural rules, and
+ * formats them with variable values
+ */
+
+import { parse, TYPE } from '@formatjs/icu-messageformat-parser';
+
+// Declared variable types each kind of ICU argument may carry
+const COMPATIBLE_TYPES = {
+  [TYPE.argument]: ['string', 'number', 'date', 'currency', 'plural'],
+  [TYPE.number]: ['number', 'currency', 'plural'],
+  [TYPE.date]: ['date'],
+  [TYPE.time]: ['date'],
+  [TYPE.select]: ['string'],
+  [TYPE.plural]: ['plural', 'number']
+};
+
+/**
+ * CLDR plural categories a locale needs for cardinal or ordinal plurals
+ */
+export const getPluralCategories = (locale, type = 'cardinal') => {
+  try {
+    return new Intl.PluralRules(locale, { type }).resolvedOptions().pluralCategories;
+  } catch (error) {
+    return ['other'];
+  }
+};
+
+/**
+ * Parse a value into an ICU AST. HTML tags are kept as literal text.
+ */
+export const parseMessage = (value) => parse(value, { ignoreTag: true });
+
+// Collect every argument usage, descending into plural/select branches
+const collectArguments = (elements, usages = []) => {
+  elements.forEach(element => {
+    if (COMPATIBLE_TYPES[element.type]) {
+      usages.push(element);
+    }
+    if (element.options) {
+      Object.values(element.options).forEach(option => collectArguments(option.value, usages));
+    }
+    if (element.children) {
+      collectArguments(element.children, usages);
+    }
+  });
+  return usages;
+};
+
+/**
+ * Names of the arguments a value uses, or null when it does not parse
+ */
+export const listArguments = (value) => {
+  try {
+    return new Set(collectArguments(parseMessage(value)).map(usage => usage.value));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Give every plural in `value` the categories `locale` requires, copying
+ * the `other` branch into any that are missing. Used before translating a
+ * message into a locale with more plural forms than its source.
+ */
+export const addMissingPluralCategories = (value, locale) => {
+  const collectInsertions = (message) => {
+    const insertions = [];
+
+    const visit = (elements) => {
+      elements.forEach(element => {
+        if (element.type === TYPE.plural && element.options.other) {
+          const required = getPluralCategories(locale, element.pluralType);
+          const other = element.options.other.location;
+          const body = message.slice(other.start.offset, other.end.offset);
+          required
+            .filter(category => !element.options[category])
+            .forEach(category => insertions.push({ offset: element.location.end.offset - 1, text: ` ${category} ${body}` }));
+        }
+        if (element.options) {
+          Object.values(element.options).forEach(option => visit(option.value));
+        }
+      });
+    };
+
+    visit(parse(message, { ignoreTag: true, captureLocation: true }));
+    return insertions;
+  };
+
+  // Copies of an outer branch may hold nested plurals, so repeat until stable
+  let result = value;
+  let insertions = collectInsertions(result);
+  while (insertions.length > 0) {
+    result = insertions
+      .sort((a, b) => b.offset - a.offset)
+      .reduce((message, { offset, text }) => message.slice(0, offset) + text + message.slice(offset), result);
+    insertions = collectInsertions(result);
+  }
+
+  return result;
+};
+
+/**
+ * Validate a translation value. `pluralCategories` ({ cardinal, ordinal })
+ * overrides the CLDR categories for `locale`, e.g. from the locale registry.
+ * Returns `{ valid, errors }` where each error has a `code` and `message`.
+ */
+export const validateMessage = (value, { locale, variables = [], pluralCategories } = {}) => {
+  const errors = [];
+
+  let ast;
+  try {
+    ast = parseMessage(value);
+  } catch (error) {
+    return {
+      valid: false,
+      errors: [{
+        code: 'INVALID_SYNTAX',
+        message: `Invalid ICU MessageFormat syntax: ${error.message}`,
+        offset: error.location?.start?.offset
+      }]
+    };
+  }
+
+  const declared = new Map(variables.filter(v => v && v.name).map(v => [v.name, v]));
+  const usages = collectArguments(ast);
+  const used = new Set();
+
+  usages.forEach(usage => {
+    const seen = used.has(usage.value);
+    used.add(usage.value);
+    const variable = declared.get(usage.value);
+
+    if (!variable) {
+      if (seen) return;
+      errors.push({
+        code: 'UNDECLARED_VARIABLE',
+        message: `Placeholder "${usage.value}" is not declared in variables`,
+        variable: usage.value
+      });
+      return;
+    }
+
+    const type = variable.type || 'string';
+    if (!COMPATIBLE_TYPES[usage.type].includes(type)) {
+      errors.push({
+        code: 'VARIABLE_TYPE_MISMATCH',
+        message: `Variable "${usage.value}" is declared as ${type} but used as ${TYPE[usage.type]}`,
+        variable: usage.value
+      });
+    }
+
+    if (usage.type === TYPE.plural && locale) {
+      const required = pluralCategories?.[usage.pluralType || 'cardinal']?.length
+        ? pluralCategories[usage.pluralType || 'cardinal']
+        : getPluralCategories(locale, usage.pluralType);
+      const missing = required.filter(category => !usage.options[category]);
+      if (missing.length > 0) {
+        errors.push({
+          code: 'MISSING_PLURAL_CATEGORIES',
+          message: `Plural "${usage.value}" is missing categories required by ${locale}: ${missing.join(', ')}`,
+          variable: usage.value,
+          missing
+        });
+      }
+    }
+  });
+
+  declared.forEach((variable, name) => {
+    if (variable.required && !used.has(name)) {
+      errors.push({
+        code: 'MISSING_REQUIRED_VARIABLE',
+        message: `Required variable "${name}" is not used in the value`,
+        variable: name
+      });
+    }
+  });
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+};
+
+/**
+ * A message that cannot be formatted with the values it was given
+ */
+export class FormatError extends Error {
+  constructor(message, code = 'INVALID_VARIABLE', variable) {
+    super(message);
+    this.name = 'FormatError';
+    this.status = 400;
+    this.code = code;
+    this.variable = variable;
+  }
+}
+
+// `{ n, number, integer }` and the other named ICU number styles
+const NUMBER_STYLES = {
+  integer: { maximumFractionDigits: 0 },
+  percent: { style: 'percent' },
+  currency: { style: 'currency' }
+};
+
+const toNumber = (name, value) => {
+  const number = typeof value === 'object' && value !== null ? value.amount : value;
+  if (typeof number === 'boolean' || number === '' || !Number.isFinite(Number(number))) {
+    throw new FormatError(`Variable "${name}" must be a number`, 'INVALID_VARIABLE', name);
+  }
+  return Number(number);
+};
+
+const toDate = (name, value) => {
+  const date = new Date(value);
+  if (typeof value === 'boolean' || Number.isNaN(date.getTime())) {
+    throw new FormatError(`Variable "${name}" must be a date or timestamp`, 'INVALID_VARIABLE', name);
+  }
+  return date;
+};
+
+// Currency values are `{ amount, currency }` or an amount in the default currency
+const currencyOf = (name, value, fallback) => {
+  const currency = (typeof value === 'object' && value?.currency) || fallback;
+  if (!currency) {
+    throw new FormatError(`Variable "${name}" needs a currency code`, 'INVALID_VARIABLE', name);
+  }
+  return currency;
+};
+
+/**
+ * Format `value` with `values` for `locale`. Simple `{name}` arguments are
+ * formatted by their declared type in `variables` (number, date or currency,
+ * with `currency` as the default code); explicit ICU styles and skeletons
+ * win over it. Dates are shown in `timeZone`, by default the server's.
+ * Throws FormatError for missing or unusable values.
+ */
+export const formatMessage = (value, values = {}, { locale, variables = [], currency, timeZone } = {}) => {
+  let ast;
+  try {
+    ast = parse(value, { ignoreTag: true, shouldParseSkeletons: true });
+  } catch (error) {
+    throw new FormatError(`Invalid ICU MessageFormat syntax: ${error.message}`, 'INVALID_MESSAGE');
+  }
+
+  const types = new Map(variables.filter(v => v && v.name).map(v => [v.name, v.type || 'string']));
+
+  const valueOf = (name) => {
+    if (values[name] === undefined || values[name] === null) {
+      throw new FormatError(`Missing value for "${name}"`, 'MISSING_VARIABLE', name);
+    }
+    return values[name];
+  };
+
+  const formatNumber = (name, raw, options = {}) => {
+    const resolved = options.style === 'currency'
+      ? { ...options, currency: options.currency || currencyOf(name, raw, currency) }
+      : options;
+    return new Intl.NumberFormat(locale, resolved).format(toNumber(name, raw));
+  };
+
+  const render = (elements, pluralValue) => elements.map(element => {
+    switch (element.type) {
+      case TYPE.literal:
+        return element.value;
+
+      case TYPE.pound:
+        return new Intl.NumberFormat(locale).format(pluralValue);
+
+      case TYPE.argument: {
+        const raw = valueOf(element.value);
+        switch (types.get(element.value)) {
+          case 'number':
+          case 'plural':
+            return formatNumber(element.value, raw);
+          case 'currency':
+            return formatNumber(element.value, raw, { style: 'currency' });
+          case 'date':
+            return new Intl.DateTimeFormat(locale, { dateStyle: 'medium', timeZone }).format(toDate(element.value, raw));
+          default:
+            return String(raw);
+        }
+      }
+
+      case TYPE.number: {
+        const raw = valueOf(element.value);
+        const options = typeof element.style === 'string'
+          ? NUMBER_STYLES[element.style] || {}
+          : element.style?.parsedOptions || (types.get(element.value) === 'currency' ? { style: 'currency' } : {});
+        return formatNumber(element.value, raw, options);
+      }
+
+      case TYPE.date:
+      case TYPE.time: {
+        const date = toDate(element.value, valueOf(element.value));
+        const field = element.type === TYPE.date ? 'dateStyle' : 'timeStyle';
+        const options = typeof element.style === 'string'
+          ? { [field]: element.style }
+          : element.style?.parsedOptions || { [field]: 'medium' };
+        return new Intl.DateTimeFormat(locale, { ...options, timeZone }).format(date);
+      }
+
+      case TYPE.select: {
+        const option = element.options[String(valueOf(element.value))] || element.options.other;
+        return option ? render(option.value, pluralValue) : '';
+      }
+
+      case TYPE.plural: {
+        const count = toNumber(element.value, valueOf(element.value));
+        const exact = element.options[`=${count}`];
+        const adjusted = count - (element.offset || 0);
+        const category = new Intl.PluralRules(locale, { type: element.pluralType }).select(adjusted);
+        const option = exact || element.options[category] || element.options.other;
+        return option ? render(option.value, adjusted) : '';
+      }
+
+      default:
+        return '';
+    }
+  }).join('');
+
+  try {
+    return render(ast);
+  } catch (error) {
+    // Intl rejects unknown currency codes and out-of-range options
+    if (error instanceof RangeError) throw new FormatError(error.message, 'INVALID_VARIABLE');
+    throw error;
+  }
+};
+
+export default {
+  getPluralCategories,
+  parseMessage,
+  listArguments,
+  addMissingPluralCategories,
+  validateMessage,
+  FormatError,
+  formatMessage
+};
@@ -0,0 +1,53 @@
+/**
+ * Message Renderer
+ * Formats published messages on the server for back ends that cannot
+ * embed an i18n library. Values are resolved through the bundle cache, so
+ * they follow each locale's fallback chain and the current release.
+ */
+
+import { resolveBundles } from './bundles.js';
+import { formatMessage, FormatError } from './messageFormat.js';
+
+/**
+ * Render `items` of `{ namespace, key, locale, values }`. Each result has
+ * the formatted `value` and the `resolvedLocale` its text came from, or an
+ * `error` and `code` when the key is missing or cannot be formatted.
+ * Numbers, dates and plurals always follow the requested `locale`, even
+ * when the text is a fallback.
+ * `currency` and `timeZone` apply to every item that does not set its own.
+ */
+export const renderMessages = async (items, { fallback = true, currency, timeZone } = {}) => {
+  const namespaces = [...new Set(items.map(item => item.namespace))];
+  const locales = [...new Set(items.map(item => item.locale))];
+  const { data, sources, variables } = await resolveBundles(namespaces, locales, { status: 'published', fallback });
+
+  return items.map(({ namespace, key, locale, values = {}, ...options }) => {
+    const result = { namespace, key, locale };
+    const message = data[namespace][locale][key];
+
+    if (message === undefined) {
+      return { ...result, error: 'Translation not found', code: 'NOT_FOUND' };
+    }
+
+    const resolvedLocale = sources[namespace][locale][key];
+    try {
+      return {
+        ...result,
+        resolvedLocale,
+        value: formatMessage(message, values, {
+          locale,
+          variables: variables[namespace][locale][key],
+          currency: options.currency || currency,
+          timeZone: options.timeZone || timeZone
+        })
+      };
+    } catch (error) {
+      if (!(error instanceof FormatError)) throw error;
+      return { ...result, resolvedLocale, error: error.message, code: error.code };
+    }
+  });
+};
+
+export default {
+  renderMessages
+};
@@ -0,0 +1,46 @@
+/**
+ * Namespace Registry
+ * Cached lookups over the Namespace collection for the hot request paths
+ */
+
+import Namespace from '../models/Namespace.js';
+
+const TTL_MS = parseInt(process.env.NAMESPACE_CACHE_TTL_MS || '60000');
+
+let cache = null;
+let loadedAt = 0;
+
+const load = async () => {
+  if (!cache || Date.now() - loadedAt > TTL_MS) {
+    const namespaces = await Namespace.find({ isActive: true }).sort({ name: 1 });
+    cache = new Map(namespaces.map(namespace => [namespace.name, namespace]));
+    loadedAt = Date.now();
+  }
+  return cache;
+};
+
+/**
+ * Active namespace document by name, or null when it is not registered
+ */
+export const getNamespace = async (name) => (await load()).get(name) || null;
+
+export const listNamespaceNames = async () => [...(await load()).keys()];
+
+/**
+ * Names from `names` that are not active registered namespaces
+ */
+export const findUnknownNamespaces = async (names) => {
+  const registry = await load();
+  return names.filter(name => !registry.has(name));
+};
+
+export const invalidateNamespaces = () => {
+  cache = null;
+};
+
+export default {
+  getNamespace,
+  listNamespaceNames,
+  findUnknownNamespaces,
+  invalidateNamespaces
+};
@@ -0,0 +1,114 @@
+/**
+ * Pseudo-Localization
+ * Reserved locales generated from a namespace's source locale to catch
+ * hard-coded strings and layout problems before real translations exist:
+ * en-XA accents and expands text, ar-XB mirrors it as right-to-left.
+ * Only literal text is changed; ICU arguments, plural and select syntax
+ * and HTML tags are kept as they are.
+ */
+
+import { parse, TYPE } from '@formatjs/icu-messageformat-parser';
+
+// Extra length as a share of the text, e.g. 0.4 makes text 40% longer
+const EXPANSION = parseFloat(process.env.PSEUDO_EXPANSION || '0.3');
+
+// Markers around each message, e.g. PSEUDO_BRACKETS='[,]' or '⟦,⟧'; empty for none
+const [OPEN_BRACKET = '', CLOSE_BRACKET = ''] = (process.env.PSEUDO_BRACKETS ?? '[,]').split(',');
+
+const ACCENTED = {
+  a: 'á', b: 'ƀ', c: 'ç', d: 'ð', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'î', j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ',
+  n: 'ñ', o: 'ö', p: 'þ', q: 'ǫ', r: 'ŕ', s: 'š', t: 'ţ', u: 'û', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž',
+  A: 'Å', B: 'Ɓ', C: 'Ç', D: 'Ð', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Î', J: 'Ĵ', K: 'Ķ', L: 'Ļ', M: 'Ṁ',
+  N: 'Ñ', O: 'Ö', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Š', T: 'Ţ', U: 'Û', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž'
+};
+
+// Right-to-left override and pop, with marks so neighbouring text keeps its order
+const RLO = '‮';
+const PDF = '‬';
+const RLM = '‏';
+
+const accent = (text) => text.replace(/[a-zA-Z]/g, char => ACCENTED[char]);
+
+const mirror = (text) => text.replace(/[\p{L}\p{N}]+/gu, word => `${RLM}${RLO}${word}${PDF}${RLM}`);
+
+export const PSEUDO_LOCALES = {
+  'en-XA': { direction: 'ltr', transform: accent, expand: true },
+  'ar-XB': { direction: 'rtl', transform: mirror, expand: false }
+};
+
+export const isPseudoLocale = (code) => Object.hasOwn(PSEUDO_LOCALES, code);
+
+export const listPseudoLocales = () => Object.keys(PSEUDO_LOCALES);
+
+const TAG = /<\/?[a-zA-Z][^<>]*>/g;
+
+// Apply `transform` to text outside HTML tags
+const outsideTags = (text, transform) => {
+  let result = '';
+  let last = 0;
+  for (const match of text.matchAll(TAG)) {
+    result += transform(text.slice(last, match.index)) + match[0];
+    last = match.index + match[0].length;
+  }
+  return result + transform(text.slice(last));
+};
+
+// Source offsets of literal text, descending into plural and select branches
+const literalRanges = (elements, ranges = []) => {
+  elements.forEach(element => {
+    if (element.type === TYPE.literal) {
+      ranges.push([element.location.start.offset, element.location.end.offset]);
+    }
+    if (element.options) {
+      Object.values(element.options).forEach(option => literalRanges(option.value, ranges));
+    }
+  });
+  return ranges;
+};
+
+/**
+ * Pseudo-localize a message for `locale`. Literal text is transformed in
+ * place so ICU quoting survives; values that do not parse are treated as
+ * plain text. Expanding locales pad the message by `expansion` and every
+ * message is wrapped in `brackets`.
+ */
+export const pseudoLocalize = (value, locale, { expansion = EXPANSION, brackets = [OPEN_BRACKET, CLOSE_BRACKET] } = {}) => {
+  const { transform, expand } = PSEUDO_LOCALES[locale];
+  const apply = (text) => outsideTags(text, transform);
+
+  let ranges;
+  try {
+    ranges = literalRanges(parse(value, { ignoreTag: true, captureLocation: true }));
+  } catch (error) {
+    ranges = [[0, value.length]];
+  }
+
+  let result = '';
+  let last = 0;
+  let textLength = 0;
+  ranges.sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+    const text = value.slice(start, end);
+    result += value.slice(last, start) + apply(text);
+    textLength += text.replace(TAG, '').length;
+    last = end;
+  });
+  result += value.slice(last);
+
+  const padding = expand && expansion > 0 ? ` ${'~'.repeat(Math.max(1, Math.round(textLength * expansion)))}` : '';
+  return `${brackets[0]}${result}${padding}${brackets[1]}`;
+};
+
+/**
+ * Pseudo-localize every value of a bundle into a new object
+ */
+export const pseudoBundle = (values, locale, options) => Object.fromEntries(
+  Object.entries(values).map(([key, value]) => [key, pseudoLocalize(value, locale, options)])
+);
+
+export default {
+  PSEUDO_LOCALES,
+  isPseudoLocale,
+  listPseudoLocales,
+  pseudoLocalize,
+  pseudoBundle
+};
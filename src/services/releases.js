@@ -0,0 +1,143 @@
+/**
+ * Releases
+ * Cuts immutable snapshots of published bundles and moves the current
+ * release pointer for rollbacks. Translation rows are never modified here.
+ */
+
+import crypto from 'crypto';
+import Translation from '../models/Translation.js';
+import Release from '../models/Release.js';
+import { invalidateBundles } from './bundleCache.js';
+import { publishChange } from './liveUpdates.js';
+
+// Tries at a free version number before giving up under concurrent releases
+const VERSION_ATTEMPTS = 5;
+
+const entryId = (entry) => `${entry.key}\u0000${entry.locale}`;
+
+const checksumOf = (entries) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(entries.map(entry => [entry.key, entry.locale, entry.value])))
+  .digest('hex');
+
+// Compare two snapshots entry by entry
+const diffEntries = (previous = [], next = []) => {
+  const before = new Map(previous.map(entry => [entryId(entry), entry]));
+  const after = new Map(next.map(entry => [entryId(entry), entry]));
+  const changelog = { added: [], changed: [], removed: [] };
+
+  after.forEach((entry, id) => {
+    const old = before.get(id);
+    if (!old) {
+      changelog.added.push({ key: entry.key, locale: entry.locale });
+    } else if (old.value !== entry.value) {
+      changelog.changed.push({ key: entry.key, locale: entry.locale });
+    }
+  });
+
+  before.forEach((entry, id) => {
+    if (!after.has(id)) {
+      changelog.removed.push({ key: entry.key, locale: entry.locale });
+    }
+  });
+
+  return changelog;
+};
+
+/**
+ * Snapshot the namespace's published rows into the next release and make it current
+ */
+export const createRelease = async (namespace, { notes, createdBy = 'system' } = {}) => {
+  const rows = await Translation.find({ namespace, status: 'published', isActive: true })
+    .select('key locale value variables')
+    .sort({ key: 1, locale: 1 })
+    .lean();
+
+  const entries = rows.map(row => ({
+    key: row.key,
+    locale: row.locale,
+    value: row.value,
+    variables: (row.variables || []).map(({ name, type, required, description }) => ({
+      name,
+      type,
+      required,
+      description
+    }))
+  }));
+
+  // Concurrent releases can pick the same version; the unique index rejects
+  // all but one and the others retry with the next number
+  let release;
+  for (let attempt = 1; !release; attempt++) {
+    const current = await Release.getCurrent(namespace);
+    const candidate = new Release({
+      namespace,
+      version: (await Release.getLatestVersion(namespace)) + 1,
+      entries,
+      locales: [...new Set(entries.map(entry => entry.locale))].sort(),
+      keyCount: new Set(entries.map(entry => entry.key)).size,
+      checksum: checksumOf(entries),
+      changelog: {
+        baseVersion: current?.version,
+        ...diffEntries(current?.entries, entries)
+      },
+      notes,
+      'metadata.createdBy': createdBy
+    });
+
+    try {
+      release = await candidate.save();
+    } catch (error) {
+      if (error?.code !== 11000 || attempt >= VERSION_ATTEMPTS) throw error;
+    }
+  }
+
+  const changed = [...release.changelog.added, ...release.changelog.changed, ...release.changelog.removed];
+  await activateRelease(namespace, release.version, createdBy, {
+    keys: changed.map(entry => entry.key),
+    locales: changed.map(entry => entry.locale)
+  });
+
+  return Release.findOne({ namespace, version: release.version }).select('-entries').lean();
+};
+
+/**
+ * Point the namespace at an existing release. `changes` narrows the live
+ * update to the keys and locales that differ; rollbacks leave it empty.
+ */
+export const activateRelease = async (namespace, version, activatedBy = 'system', changes = {}) => {
+  const release = await Release.findOne({ namespace, version }).select('_id');
+  if (!release) return null;
+
+  await Release.updateMany(
+    { namespace, isCurrent: true, version: { $ne: version } },
+    { isCurrent: false }
+  );
+
+  const activated = await Release.findOneAndUpdate(
+    { namespace, version },
+    {
+      isCurrent: true,
+      'metadata.activatedBy': activatedBy,
+      'metadata.activatedAt': new Date()
+    },
+    { new: true }
+  )
+  .select('-entries')
+  .lean();
+
+  invalidateBundles(namespace);
+  publishChange({
+    namespace,
+    locales: changes.locales,
+    keys: changes.keys,
+    statuses: ['published'],
+    release: version
+  });
+  return activated;
+};
+
+export default {
+  createRelease,
+  activateRelease
+};
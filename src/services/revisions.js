@@ -0,0 +1,119 @@
+/**
+ * Revisions
+ * Records a revision for every change to a translation and compares or
+ * restores earlier ones
+ */
+
+import TranslationRevision from '../models/TranslationRevision.js';
+import { diffWords } from '../utils/textDiff.js';
+
+const snapshotOf = (translation) => ({
+  value: translation.value,
+  context: translation.context,
+  variables: (translation.variables || []).map(({ name, type, required, description }) => ({
+    name,
+    type,
+    required,
+    description
+  })),
+  status: translation.status
+});
+
+const sameSnapshot = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Append a revision holding the translation's current state.
+ * When the key has no history yet, `previous` (its state before this
+ * change) is stored first as a baseline so the original wording survives.
+ * Nothing is recorded if the state matches the latest revision.
+ */
+export const recordRevision = async (translation, { author = 'system', action = 'update', previous, revertedFrom } = {}) => {
+  const latest = await TranslationRevision.getLatest(translation._id);
+  const snapshot = snapshotOf(translation);
+  let revision = latest ? latest.revision : 0;
+
+  if (!latest && previous) {
+    const baseline = snapshotOf(previous);
+    if (!sameSnapshot(baseline, snapshot)) {
+      revision += 1;
+      await TranslationRevision.create({
+        translation: translation._id,
+        namespace: translation.namespace,
+        key: translation.key,
+        locale: translation.locale,
+        revision,
+        ...baseline,
+        action: 'baseline',
+        author: previous.metadata?.updatedBy || previous.metadata?.createdBy || 'system'
+      });
+    }
+  }
+
+  if (latest && sameSnapshot(snapshotOf(latest), snapshot)) {
+    return latest;
+  }
+
+  return TranslationRevision.create({
+    translation: translation._id,
+    namespace: translation.namespace,
+    key: translation.key,
+    locale: translation.locale,
+    revision: revision + 1,
+    ...snapshot,
+    action,
+    author,
+    revertedFrom
+  });
+};
+
+/**
+ * Record revisions for several translations, e.g. after a bulk update
+ */
+export const recordRevisions = async (translations, options = {}) => {
+  const { previous = new Map(), ...rest } = options;
+  const revisions = [];
+
+  for (const translation of translations) {
+    revisions.push(await recordRevision(translation, {
+      ...rest,
+      previous: previous.get(String(translation._id))
+    }));
+  }
+
+  return revisions;
+};
+
+/**
+ * Field-level comparison of two revisions, with a word diff of the value
+ */
+export const diffRevisions = (from, to) => {
+  const changes = {};
+
+  ['value', 'context', 'status'].forEach(field => {
+    if ((from[field] ?? '') !== (to[field] ?? '')) {
+      changes[field] = { from: from[field], to: to[field] };
+    }
+  });
+
+  if (changes.value) {
+    changes.value.diff = diffWords(from.value, to.value);
+  }
+
+  const fromVariables = snapshotOf(from).variables;
+  const toVariables = snapshotOf(to).variables;
+  if (!sameSnapshot(fromVariables, toVariables)) {
+    changes.variables = { from: fromVariables, to: toVariables };
+  }
+
+  return {
+    from: { revision: from.revision, author: from.author, createdAt: from.createdAt },
+    to: { revision: to.revision, author: to.author, createdAt: to.createdAt },
+    changes
+  };
+};
+
+export default {
+  recordRevision,
+  recordRevisions,
+  diffRevisions
+};
@@ -0,0 +1,75 @@
+/**
+ * Staleness
+ * Stamps target translations with a hash of the source-locale value they
+ * were written against, and flags them outdated when that source changes
+ */
+
+import crypto from 'crypto';
+import Translation from '../models/Translation.js';
+import { getNamespace } from './namespaces.js';
+import { getDefaultLocale } from './localeFallback.js';
+
+export const hashSource = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+export const getSourceLocale = async (namespace) => (await getNamespace(namespace))?.sourceLocale || getDefaultLocale();
+
+/**
+ * Update source tracking after translations were written.
+ * `changes` lists `{ key, locale, value, previousValue }` for each written
+ * row. Other locales of a key whose source value changed are flagged
+ * outdated; written target rows are stamped with the current source hash
+ * and cleared. Returns the number of rows newly flagged.
+ */
+export const trackSourceChanges = async (namespace, changes) => {
+  if (changes.length === 0) return 0;
+
+  const sourceLocale = await getSourceLocale(namespace);
+  const sourceRows = await Translation.find({
+    namespace,
+    key: { $in: [...new Set(changes.map(change => change.key))] },
+    locale: sourceLocale
+  })
+  .select('key value')
+  .lean();
+  const hashes = new Map(sourceRows.map(row => [row.key, hashSource(row.value)]));
+
+  let outdated = 0;
+  const edited = changes.filter(change => change.locale === sourceLocale
+    && change.previousValue !== undefined
+    && change.previousValue !== change.value);
+
+  for (const change of edited) {
+    const result = await Translation.updateMany(
+      {
+        namespace,
+        key: change.key,
+        locale: { $ne: sourceLocale },
+        outdated: { $ne: true },
+        'metadata.sourceHash': { $ne: hashes.get(change.key) }
+      },
+      { outdated: true, 'metadata.outdatedAt': new Date() }
+    );
+    outdated += result.modifiedCount;
+  }
+
+  // Written targets now reflect the current source
+  const targets = changes.filter(change => change.locale !== sourceLocale);
+  if (targets.length > 0) {
+    await Translation.bulkWrite(targets.map(change => ({
+      updateOne: {
+        filter: { namespace, key: change.key, locale: change.locale },
+        update: hashes.has(change.key)
+          ? { $set: { outdated: false, 'metadata.sourceHash': hashes.get(change.key) }, $unset: { 'metadata.outdatedAt': 1 } }
+          : { $set: { outdated: false }, $unset: { 'metadata.sourceHash': 1, 'metadata.outdatedAt': 1 } }
+      }
+    })), { ordered: false });
+  }
+
+  return outdated;
+};
+
+export default {
+  hashSource,
+  getSourceLocale,
+  trackSourceChanges
+};
@@ -0,0 +1,177 @@
+/**
+ * Translation Memory
+ * Keeps published source/target pairs in sync and serves exact and fuzzy
+ * suggestions for new source strings
+ */
+
+import crypto from 'crypto';
+import Translation from '../models/Translation.js';
+import TranslationMemory from '../models/TranslationMemory.js';
+import { getDefaultLocale } from './localeFallback.js';
+import { getNamespace } from './namespaces.js';
+
+const MIN_TOKEN_LENGTH = 2;
+
+export const normalizeText = (text = '') => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+const hashText = (normalized) => crypto.createHash('sha1').update(normalized).digest('hex');
+
+const tokenize = (normalized) => [...new Set(
+  normalized.split(/[^\p{L}\p{N}]+/u).filter(token => token.length >= MIN_TOKEN_LENGTH)
+)];
+
+// Levenshtein distance over two rows of the matrix
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Similarity of two normalized strings as a percentage
+ */
+export const similarity = (a, b) => {
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 100;
+  return Math.round((1 - editDistance(a, b) / longest) * 100);
+};
+
+/**
+ * Refresh memory entries for keys in a namespace from their published rows.
+ * Pairs that are no longer published on both sides are dropped. The source
+ * locale defaults to the one registered for the namespace.
+ */
+export const syncMemory = async (namespace, keys, options = {}) => {
+  const sourceLocale = options.sourceLocale
+    || (await getNamespace(namespace))?.sourceLocale
+    || getDefaultLocale();
+
+  const rows = await Translation.find({
+    namespace,
+    key: { $in: keys },
+    status: 'published',
+    isActive: true
+  })
+  .select('key locale value')
+  .lean();
+
+  const sources = new Map();
+  rows.filter(row => row.locale === sourceLocale).forEach(row => sources.set(row.key, row.value));
+
+  const operations = [];
+  const kept = [];
+
+  rows.forEach(row => {
+    const sourceText = sources.get(row.key);
+    if (row.locale === sourceLocale || sourceText === undefined) return;
+
+    const normalizedSource = normalizeText(sourceText);
+    kept.push({ key: row.key, targetLocale: row.locale });
+    operations.push({
+      updateOne: {
+        filter: { namespace, key: row.key, targetLocale: row.locale },
+        update: {
+          $set: {
+            sourceLocale,
+            sourceText,
+            targetText: row.value,
+            normalizedSource,
+            sourceHash: hashText(normalizedSource),
+            tokens: tokenize(normalizedSource)
+          }
+        },
+        upsert: true
+      }
+    });
+  });
+
+  if (operations.length > 0) {
+    await TranslationMemory.bulkWrite(operations, { ordered: false });
+  }
+
+  const staleFilter = { namespace, key: { $in: keys } };
+  if (kept.length > 0) {
+    staleFilter.$nor = kept.map(({ key, targetLocale }) => ({ key, targetLocale }));
+  }
+  const stale = await TranslationMemory.deleteMany(staleFilter);
+
+  return {
+    upserted: operations.length,
+    removed: stale.deletedCount
+  };
+};
+
+/**
+ * Rebuild the memory for whole namespaces
+ */
+export const rebuildMemory = async (namespaces, options = {}) => {
+  const totals = { upserted: 0, removed: 0 };
+
+  for (const namespace of namespaces) {
+    const keys = await Translation.distinct('key', { namespace });
+    const result = await syncMemory(namespace, keys, options);
+    totals.upserted += result.upserted;
+    totals.removed += result.removed;
+  }
+
+  return totals;
+};
+
+/**
+ * Suggestions for a source string, best first. Exact matches score 100;
+ * fuzzy matches below `minScore` are left out. `namespaces` limits the
+ * entries searched; null searches all of them.
+ */
+export const suggest = async (text, { sourceLocale = getDefaultLocale(), targetLocale, namespaces = null, minScore = 70, limit = 5 } = {}) => {
+  const normalized = normalizeText(text);
+
+  const exact = await TranslationMemory.findExact(sourceLocale, targetLocale, hashText(normalized), namespaces);
+  const candidates = await TranslationMemory.findCandidates(sourceLocale, targetLocale, tokenize(normalized), namespaces);
+
+  const matches = new Map();
+  exact.forEach(entry => matches.set(String(entry._id), { entry, score: 100, match: 'exact' }));
+
+  candidates.forEach(entry => {
+    if (matches.has(String(entry._id))) return;
+
+    // Cheap length bound before computing the full distance
+    const longest = Math.max(entry.normalizedSource.length, normalized.length);
+    const bound = 100 - Math.abs(entry.normalizedSource.length - normalized.length) / longest * 100;
+    if (bound < minScore) return;
+
+    const score = similarity(normalized, entry.normalizedSource);
+    if (score >= minScore) matches.set(String(entry._id), { entry, score: Math.min(score, 99), match: 'fuzzy' });
+  });
+
+  return [...matches.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ entry, score, match }) => ({
+      source: entry.sourceText,
+      target: entry.targetText,
+      score,
+      match,
+      namespace: entry.namespace,
+      key: entry.key
+    }));
+};
+
+export default {
+  normalizeText,
+  similarity,
+  syncMemory,
+  rebuildMemory,
+  suggest
+};
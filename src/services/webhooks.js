@@ -0,0 +1,281 @@
+/**
+ * Webhooks
+ * Queues lifecycle events for matching subscriptions, delivers them with
+ * an HMAC-SHA256 signature and retries failures with exponential backoff.
+ * Every attempt series is kept in WebhookDelivery as the delivery log.
+ */
+
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+import logger from '../utils/logger.js';
+import { ApiError } from '../utils/errors.js';
+import WebhookSubscription from '../models/WebhookSubscription.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { getNamespace } from './namespaces.js';
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6');
+const BACKOFF_BASE_MS = parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS || '30000');
+const BACKOFF_MAX_MS = parseInt(process.env.WEBHOOK_BACKOFF_MAX_MS || '21600000');
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '15000');
+const LOCK_MS = TIMEOUT_MS * 3;
+const BATCH_SIZE = 20;
+
+// Lets local development deliver to localhost and private networks
+const ALLOW_PRIVATE_HOSTS = process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+// Loopback, private, link-local, shared, multicast and reserved ranges;
+// IPv4-mapped IPv6 addresses are matched against the IPv4 entries
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+export const isPrivateAddress = (address) => PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * Throw an ApiError unless every address `url`'s host resolves to is
+ * public. Checked when a subscription is saved and again before each
+ * attempt, so a DNS change cannot point deliveries at internal services.
+ */
+export const assertDeliverableUrl = async (url) => {
+  if (ALLOW_PRIVATE_HOSTS) return;
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [host]
+    : (await dns.lookup(host, { all: true }).catch(() => [])).map(({ address }) => address);
+
+  if (addresses.length === 0) {
+    throw new ApiError(400, `Webhook host "${host}" does not resolve`, 'UNRESOLVABLE_HOST');
+  }
+  if (addresses.some(isPrivateAddress)) {
+    throw new ApiError(400, `Webhook host "${host}" is a private, loopback or link-local address`, 'PRIVATE_HOST');
+  }
+};
+
+/**
+ * Signature header value: `t=<unix seconds>,v1=<hex HMAC of "t.body">`.
+ * Receivers recompute the HMAC with their secret and reject stale timestamps.
+ */
+export const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+};
+
+// Exponential backoff with +/-20% jitter so retries from one outage spread out
+export const backoffDelay = (attempt) => {
+  const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempt - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// Atomically take a delivery so concurrent workers never send it twice
+const claim = (filter) => WebhookDelivery.findOneAndUpdate(
+  filter,
+  { status: 'delivering', lockedUntil: new Date(Date.now() + LOCK_MS) },
+  { new: true, sort: { nextAttemptAt: 1, createdAt: 1 } }
+);
+
+const attemptDelivery = async (delivery) => {
+  const attempts = delivery.attempts + 1;
+  const startedAt = Date.now();
+  const update = { attempts, lastAttemptAt: new Date(startedAt) };
+
+  const fail = (message, responseStatus, responseBody) => {
+    Object.assign(update, {
+      status: attempts >= MAX_ATTEMPTS ? 'failed' : 'retrying',
+      nextAttemptAt: attempts >= MAX_ATTEMPTS ? undefined : new Date(Date.now() + backoffDelay(attempts)),
+      lastError: message.slice(0, 1000),
+      responseStatus,
+      responseBody
+    });
+  };
+
+  const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+  if (!subscription?.isActive) {
+    Object.assign(update, { status: 'failed', lastError: 'Subscription is inactive or deleted' });
+  } else {
+    const body = JSON.stringify(delivery.payload);
+    try {
+      await assertDeliverableUrl(subscription.url);
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'keephy-translations-webhooks',
+          'X-Keephy-Event': delivery.event,
+          'X-Keephy-Delivery': String(delivery._id),
+          'X-Keephy-Signature': signPayload(subscription.secret, body)
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(TIMEOUT_MS)
+      });
+      const responseBody = (await response.text()).slice(0, 2000);
+
+      if (response.ok) {
+        Object.assign(update, {
+          status: 'succeeded',
+          deliveredAt: new Date(),
+          responseStatus: response.status,
+          responseBody,
+          lastError: undefined
+        });
+      } else {
+        fail(`Endpoint answered HTTP ${response.status}`, response.status, responseBody);
+      }
+    } catch (error) {
+      fail(error.name === 'TimeoutError' ? `No response within ${TIMEOUT_MS}ms` : error.message);
+    }
+  }
+
+  update.durationMs = Date.now() - startedAt;
+  const unset = { lockedUntil: 1 };
+  Object.keys(update).forEach(field => {
+    if (update[field] === undefined) {
+      delete update[field];
+      unset[field] = 1;
+    }
+  });
+
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, { $set: update, $unset: unset }, { new: true }).lean();
+};
+
+// Send a freshly queued delivery without waiting for it
+const deliverNow = (id) => {
+  claim({ _id: id, status: 'pending' })
+    .then(delivery => delivery && attemptDelivery(delivery))
+    .catch(error => logger.error('Error delivering webhook:', error));
+};
+
+/**
+ * Queue `event` for every active subscription whose event, namespace and
+ * tenant filters match. Deliveries are logged before sending, and errors
+ * are logged rather than thrown so they never fail the triggering request.
+ */
+export const emitWebhookEvent = async (event, { namespace, tenantId, data }) => {
+  try {
+    const subscriptions = await WebhookSubscription.findMatching(event, { namespace, tenantId });
+    if (subscriptions.length === 0) return [];
+
+    // The payload id stays the same across subscriptions and redeliveries
+    const payload = {
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date().toISOString(),
+      namespace,
+      tenantId,
+      data
+    };
+
+    const deliveries = await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+      subscription: subscription._id,
+      event,
+      payload
+    })));
+    deliveries.forEach(delivery => deliverNow(delivery._id));
+    return deliveries;
+  } catch (error) {
+    logger.error('Error queueing webhook event:', error);
+    return [];
+  }
+};
+
+// Translations carry no tenant of their own; a namespace belongs to the
+// tenant whose glossary it is checked against
+const namespaceTenant = async (namespace) => {
+  try {
+    return (await getNamespace(namespace))?.glossaryTenantId;
+  } catch (error) {
+    logger.error('Error resolving webhook tenant:', error);
+    return undefined;
+  }
+};
+
+/**
+ * Emit a translation lifecycle event for written rows. The tenant defaults
+ * to the namespace's `glossaryTenantId`, so tenant-filtered subscriptions
+ * only see namespaces assigned to their tenant.
+ */
+export const emitTranslationEvent = async (event, namespace, rows, { actor, tenantId, release } = {}) => {
+  if (rows.length === 0) return [];
+
+  return emitWebhookEvent(`translation.${event}`, {
+    namespace,
+    tenantId: tenantId ?? await namespaceTenant(namespace),
+    data: {
+      actor,
+      release,
+      translations: rows.map(({ key, locale, value, status }) => ({ key, locale, value, status }))
+    }
+  });
+};
+
+/**
+ * Send a logged delivery again as a new delivery with the same payload
+ */
+export const redeliver = async (deliveryId) => {
+  const original = await WebhookDelivery.findById(deliveryId).lean();
+  if (!original) return null;
+
+  const delivery = await WebhookDelivery.create({
+    subscription: original.subscription,
+    event: original.event,
+    payload: original.payload,
+    redeliveryOf: original._id
+  });
+  deliverNow(delivery._id);
+  return delivery;
+};
+
+/**
+ * Poll for due retries, and for deliveries a crashed process left
+ * pending or locked, until the process exits
+ */
+export const startWebhookWorker = () => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      for (let i = 0; i < BATCH_SIZE; i += 1) {
+        const now = new Date();
+        const delivery = await claim({
+          $or: [
+            { status: 'retrying', nextAttemptAt: { $lte: now } },
+            { status: 'pending', createdAt: { $lte: new Date(now - LOCK_MS) } },
+            { status: 'delivering', lockedUntil: { $lte: now } }
+          ]
+        });
+        if (!delivery) break;
+        await attemptDelivery(delivery);
+      }
+    } catch (error) {
+      logger.error('Error retrying webhooks:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, POLL_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+export default {
+  signPayload,
+  isPrivateAddress,
+  assertDeliverableUrl,
+  backoffDelay,
+  emitWebhookEvent,
+  emitTranslationEvent,
+  redeliver,
+  startWebhookWorker
+};
@@ -0,0 +1,91 @@
+/**
+ * Review Workflow
+ * State machine over translation status:
+ * draft -> reviewed -> published -> archived, with reviewed -> draft on reject
+ */
+
+import { recordRevision } from './revisions.js';
+import { invalidateBundles } from './bundleCache.js';
+import { syncMemory } from './translationMemory.js';
+import { publishChange } from './liveUpdates.js';
+import { emitTranslationEvent } from './webhooks.js';
+
+export const TRANSITIONS = {
+  review: { from: ['draft'], to: 'reviewed' },
+  reject: { from: ['reviewed'], to: 'draft' },
+  publish: { from: ['reviewed'], to: 'published' },
+  archive: { from: ['published'], to: 'archived' }
+};
+
+/**
+ * Raised when a transition is not allowed; `status` is the HTTP status to answer with
+ */
+export class WorkflowError extends Error {
+  constructor(message, status = 409, code = 'ILLEGAL_TRANSITION') {
+    super(message);
+    this.name = 'WorkflowError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Whoever last wrote the value counts as its author
+export const authorOf = (translation) => translation.metadata?.updatedBy || translation.metadata?.createdBy;
+
+/**
+ * Apply a workflow action to a Translation document through its model methods
+ */
+export const transition = async (translation, action, actor, { reason } = {}) => {
+  const rule = TRANSITIONS[action];
+  if (!rule) {
+    throw new WorkflowError(`Unknown workflow action "${action}"`, 400, 'UNKNOWN_ACTION');
+  }
+
+  if (!rule.from.includes(translation.status)) {
+    throw new WorkflowError(
+      `Cannot ${action} a translation in status "${translation.status}"; expected ${rule.from.join(' or ')}`
+    );
+  }
+
+  if (action === 'review' && authorOf(translation) === actor) {
+    throw new WorkflowError('Translations must be reviewed by someone other than their author', 403, 'SELF_REVIEW');
+  }
+
+  if (action === 'reject' && !reason) {
+    throw new WorkflowError('A reason is required to reject a translation', 400, 'REASON_REQUIRED');
+  }
+
+  const previous = translation.toObject();
+
+  if (action === 'review') await translation.review(actor);
+  if (action === 'reject') await translation.reject(actor, reason);
+  if (action === 'publish') await translation.publish(actor);
+  if (action === 'archive') await translation.archive();
+
+  await recordRevision(translation, { author: actor, action, previous });
+  invalidateBundles(translation.namespace, [translation.locale]);
+  publishChange({
+    namespace: translation.namespace,
+    locales: [translation.locale],
+    keys: [translation.key],
+    statuses: [previous.status, translation.status]
+  });
+
+  if (action === 'publish' || action === 'archive') {
+    await syncMemory(translation.namespace, [translation.key]);
+  }
+
+  // Rejections return the row to draft and have no webhook event
+  if (action !== 'reject') {
+    await emitTranslationEvent(translation.status, translation.namespace, [translation], { actor });
+  }
+
+  return translation;
+};
+
+export default {
+  TRANSITIONS,
+  WorkflowError,
+  authorOf,
+  transition
+};
@@ -0,0 +1,128 @@
+/**
+ * Error Responses
+ * Every failure is answered as `{ success: false, error, code, details? }`;
+ * `code` is stable so clients can branch on it instead of on messages
+ */
+
+import mongoose from 'mongoose';
+
+// Code used when a response does not name a more specific one
+export const STATUS_CODES = {
+  400: 'INVALID_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  500: 'INTERNAL_ERROR',
+  502: 'UPSTREAM_ERROR',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+/**
+ * An error that maps directly onto an HTTP response
+ */
+export class ApiError extends Error {
+  constructor(status, message, code = STATUS_CODES[status], details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Mongoose validator kinds to field error codes
+const FIELD_CODES = {
+  required: 'REQUIRED',
+  enum: 'INVALID_VALUE',
+  maxlength: 'TOO_LONG',
+  minlength: 'TOO_SHORT',
+  max: 'TOO_BIG',
+  min: 'TOO_SMALL',
+  regexp: 'INVALID_FORMAT',
+  user: 'INVALID_VALUE'
+};
+
+const fieldErrorsOf = (error) => Object.values(error.errors).map(fieldError => ({
+  field: fieldError.path,
+  code: fieldError instanceof mongoose.Error.CastError
+    ? 'INVALID_TYPE'
+    : FIELD_CODES[fieldError.kind] || 'INVALID_VALUE',
+  message: fieldError.message
+}));
+
+/**
+ * Translate errors caused by the request into an ApiError; null for
+ * anything that should still be answered with a 500
+ */
+export const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    return new ApiError(400, 'Request validation failed', 'VALIDATION_FAILED', fieldErrorsOf(error));
+  }
+
+  // A malformed id can never match a document
+  if (error instanceof mongoose.Error.CastError) {
+    return error.kind === 'ObjectId'
+      ? new ApiError(404, 'Resource not found')
+      : new ApiError(400, 'Request validation failed', 'VALIDATION_FAILED', [{
+        field: error.path,
+        code: 'INVALID_TYPE',
+        message: error.message
+      }]);
+  }
+
+  if (error?.code === 11000) {
+    const fields = Object.keys(error.keyValue || error.keyPattern || {});
+    return new ApiError(
+      409,
+      `A record with the same ${fields.join(', ') || 'key'} already exists`,
+      'DUPLICATE',
+      fields.map(field => ({ field, code: 'DUPLICATE', message: `${field} must be unique` }))
+    );
+  }
+
+  // Raised by express.json before any route runs
+  if (error?.type === 'entity.parse.failed') {
+    return new ApiError(400, 'Request body is not valid JSON', 'INVALID_JSON');
+  }
+  if (error?.type === 'entity.too.large') {
+    return new ApiError(413, 'Request body is too large');
+  }
+
+  // Domain errors that already carry a client status, e.g. WorkflowError and AuthError
+  if (error?.status >= 400 && error.status < 500 && typeof error.code === 'string') {
+    return new ApiError(error.status, error.message, error.code, error.details);
+  }
+
+  return null;
+};
+
+export const sendApiError = (res, { status, message, code, details }) => res.status(status).json({
+  success: false,
+  error: message,
+  code,
+  ...(details && { details })
+});
+
+/**
+ * Answer client errors with their 4xx response. Returns false when the
+ * error is not one, so the caller logs it and answers with a 500.
+ */
+export const sendKnownError = (res, error) => {
+  const apiError = toApiError(error);
+  if (!apiError) return false;
+
+  sendApiError(res, apiError);
+  return true;
+};
+
+export default {
+  STATUS_CODES,
+  ApiError,
+  toApiError,
+  sendApiError,
+  sendKnownError
+};
@@ -0,0 +1,55 @@
+/**
+ * HTTP Cache
+ * Content-hash ETags, conditional GET handling and Cache-Control headers
+ */
+
+import crypto from 'crypto';
+
+const BUNDLE_MAX_AGE = parseInt(process.env.BUNDLE_MAX_AGE || '60');
+const BUNDLE_STALE_WHILE_REVALIDATE = parseInt(process.env.BUNDLE_STALE_WHILE_REVALIDATE || '300');
+
+export const CACHE_CONTROL = {
+  // Current published bundles: short-lived, revalidated with the ETag
+  published: `public, max-age=${BUNDLE_MAX_AGE}, stale-while-revalidate=${BUNDLE_STALE_WHILE_REVALIDATE}`,
+  // Pinned releases never change
+  immutable: 'public, max-age=31536000, immutable',
+  // Draft and review content must always be revalidated
+  revalidate: 'private, no-cache'
+};
+
+export const contentEtag = (body) => `"${crypto.createHash('sha256').update(body).digest('base64url')}"`;
+
+// Weak comparison per RFC 9110, so W/ prefixes from proxies still match
+const matchesEtag = (header, etag) => {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  const strip = (tag) => tag.trim().replace(/^W\//, '');
+  return header.split(',').some(tag => strip(tag) === strip(etag));
+};
+
+/**
+ * Send a JSON payload with a strong content-hash ETag, answering
+ * 304 Not Modified when the client's If-None-Match already matches.
+ * Responses that are not `shared` (anything served to or only readable
+ * with credentials) are marked private so shared caches never keep them.
+ */
+export const sendCachedJson = (req, res, payload, cacheControl, { shared = true } = {}) => {
+  const body = JSON.stringify(payload);
+  const etag = contentEtag(body);
+
+  res.set('ETag', etag);
+  res.set('Cache-Control', shared ? cacheControl : cacheControl.replace(/^public\b/, 'private'));
+  res.set('Vary', 'Accept-Encoding, Authorization, X-Api-Key');
+
+  if (matchesEtag(req.headers['if-none-match'], etag)) {
+    return res.status(304).end();
+  }
+
+  res.type('application/json').send(body);
+};
+
+export default {
+  CACHE_CONTROL,
+  contentEtag,
+  sendCachedJson
+};
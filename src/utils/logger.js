@@ -0,0 +1,10 @@
+/**
+ * Logger
+ * Shared pino instance for the service and its route modules
+ */
+
+import pino from 'pino';
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+export default logger;
@@ -0,0 +1,59 @@
+/**
+ * Text Diff
+ * Word-level diff based on the longest common subsequence
+ */
+
+// Words and the whitespace between them, so joining the tokens restores the text
+const tokenize = (text = '') => String(text).match(/\s+|[^\s]+/g) || [];
+
+/**
+ * Diff two strings into `{ type: 'equal' | 'insert' | 'delete', text }` parts
+ */
+export const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('delete', a[i]);
+      i++;
+    } else {
+      push('insert', b[j]);
+      j++;
+    }
+  }
+  while (i < a.length) push('delete', a[i++]);
+  while (j < b.length) push('insert', b[j++]);
+
+  return parts;
+};
+
+export default {
+  diffWords
+};
@@ -0,0 +1,37 @@
+/**
+ * Transactions
+ * Multi-document transactions that fall back to plain writes on
+ * standalone MongoDB servers, which do not support them
+ */
+
+import mongoose from 'mongoose';
+
+// Standalone servers reject transactions with IllegalOperation
+export const transactionsUnsupported = (error) => error?.code === 20
+  || /Transaction numbers are only allowed/.test(error?.message || '');
+
+/**
+ * Run `work(session)` in a transaction, or once with no session when the
+ * deployment cannot run one. Resolves to `{ result, transactional }`.
+ */
+export const inTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return { result, transactional: true };
+  } catch (error) {
+    if (!transactionsUnsupported(error)) throw error;
+  } finally {
+    await session.endSession();
+  }
+
+  return { result: await work(undefined), transactional: false };
+};
+
+export default {
+  transactionsUnsupported,
+  inTransaction
+};
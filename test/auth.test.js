@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isAllowed } from '../src/services/auth.js';
+import { authorize, targetsOf, listOf, unrestricted } from '../src/middleware/auth.js';
+
+const identity = (grants, tenantId) => ({
+  actor: 'test',
+  tenantId,
+  grants: grants.map(grant => ({ namespaces: [], locales: [], tenantIds: [], ...grant }))
+});
+
+// Run a middleware against a bare request and capture what it answered
+const run = (middleware, req) => {
+  const outcome = { next: false, status: null, body: null };
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+      return this;
+    }
+  };
+  middleware(req, res, () => { outcome.next = true; });
+  return outcome;
+};
+
+describe('isAllowed', () => {
+  const translator = identity([{ role: 'translator', namespaces: ['ui'], locales: ['fr', 'de'] }]);
+
+  it('allows targets inside the grant', () => {
+    assert.equal(isAllowed(translator, 'translator', targetsOf('ui', ['fr', 'de'])), true);
+  });
+
+  it('rejects a namespace or locale outside the grant', () => {
+    assert.equal(isAllowed(translator, 'translator', targetsOf('emails', 'fr')), false);
+    assert.equal(isAllowed(translator, 'translator', targetsOf('ui', ['fr', 'ja'])), false);
+  });
+
+  it('treats lower roles as covered by higher ones, not the reverse', () => {
+    assert.equal(isAllowed(translator, 'viewer', targetsOf('ui', 'fr')), true);
+    assert.equal(isAllowed(translator, 'publisher', targetsOf('ui', 'fr')), false);
+  });
+
+  it('needs an unrestricted list when a target asks for every value', () => {
+    assert.equal(isAllowed(translator, 'translator', targetsOf('ui', null)), false);
+    assert.equal(isAllowed(identity([{ role: 'translator', namespaces: ['ui'] }]), 'translator', targetsOf('ui', null)), true);
+  });
+
+  it('leaves omitted target fields unchecked', () => {
+    assert.equal(isAllowed(translator, 'translator', [{ namespace: 'ui' }]), true);
+  });
+
+  it('limits grants without tenants to the identity tenant', () => {
+    const tenantUser = identity([{ role: 'viewer' }], 'acme');
+    assert.equal(isAllowed(tenantUser, 'viewer', [{ tenantId: 'acme' }]), true);
+    assert.equal(isAllowed(tenantUser, 'viewer', [{ tenantId: 'globex' }]), false);
+  });
+
+  it('rejects a missing identity', () => {
+    assert.equal(isAllowed(null, 'viewer'), false);
+  });
+});
+
+describe('targetsOf and listOf', () => {
+  it('builds the namespace x locale cross product', () => {
+    assert.deepEqual(targetsOf(['ui', 'emails'], ['fr'], { tenantId: 'acme' }), [
+      { namespace: 'ui', locale: 'fr', tenantId: 'acme' },
+      { namespace: 'emails', locale: 'fr', tenantId: 'acme' }
+    ]);
+  });
+
+  it('reads comma-separated values, or null for all', () => {
+    assert.deepEqual(listOf('fr,de'), ['fr', 'de']);
+    assert.equal(listOf(undefined), null);
+  });
+});
+
+describe('authorize', () => {
+  const scopedAdmin = identity([{ role: 'admin', namespaces: ['ui'] }]);
+  const globalAdmin = identity([{ role: 'admin' }]);
+
+  it('answers 401 without an identity unless anonymous access is allowed', () => {
+    assert.equal(run(authorize('viewer'), {}).status, 401);
+    assert.equal(run(authorize('viewer', undefined, { allowAnonymous: () => true }), {}).next, true);
+  });
+
+  it('scopes namespace routes to the namespace in the path', () => {
+    const byName = authorize('admin', req => [{ namespace: req.params.name }]);
+    assert.equal(run(byName, { identity: scopedAdmin, params: { name: 'ui' } }).next, true);
+
+    const outcome = run(byName, { identity: scopedAdmin, params: { name: 'emails' } });
+    assert.equal(outcome.status, 403);
+    assert.equal(outcome.body.code, 'FORBIDDEN');
+  });
+
+  it('keeps global settings to admins without namespace, locale or tenant limits', () => {
+    assert.equal(run(authorize('admin', unrestricted), { identity: scopedAdmin }).status, 403);
+    assert.equal(run(authorize('admin', unrestricted), { identity: globalAdmin }).next, true);
+  });
+});
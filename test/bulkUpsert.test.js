@@ -0,0 +1,45 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mock } from 'node:test';
+import Namespace from '../src/models/Namespace.js';
+import Locale from '../src/models/Locale.js';
+import Translation from '../src/models/Translation.js';
+import { bulkUpsert } from '../src/services/bulkUpsert.js';
+
+const rows = (result) => ({
+  select() { return this; },
+  sort() { return this; },
+  lean: async () => result,
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+const stored = {
+  namespace: 'ui',
+  key: 'cart.count',
+  locale: 'fr',
+  value: '{count} articles',
+  variables: [{ name: 'count', type: 'number' }],
+  isActive: true
+};
+
+describe('bulkUpsert', () => {
+  before(() => {
+    mock.method(Namespace, 'find', () => rows([new Namespace({ name: 'ui', sourceLocale: 'en' })]));
+    mock.method(Locale, 'find', () => rows([{ code: 'fr', enabled: true, pluralCategories: { cardinal: ['one', 'other'] } }]));
+    mock.method(Translation, 'find', () => rows([stored]));
+  });
+
+  after(() => mock.restoreAll());
+
+  it('checks values against the stored variables when none are given', async () => {
+    // The second item is invalid, so the atomic request stops before writing
+    const result = await bulkUpsert([
+      { namespace: 'ui', key: 'cart.count', translations: { fr: '{count} produits' } },
+      { namespace: 'ui', key: 'cart.total', translations: { fr: '{total} au total' } }
+    ], { mode: 'overwrite' });
+
+    assert.equal(result.committed, false);
+    assert.deepEqual(result.results.map(({ key, status }) => [key, status]), [['cart.total', 'invalid']]);
+    assert.equal(result.results[0].errors[0].code, 'UNDECLARED_VARIABLE');
+  });
+});
@@ -0,0 +1,20 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { nestKeys } from '../src/services/bundleFormats/nest.js';
+
+describe('nestKeys', () => {
+  it('nests by separator and keeps colliding keys flat', () => {
+    assert.deepEqual(JSON.parse(JSON.stringify(nestKeys({ 'a.b': '1', a: '2', 'c.d': '3' }))), {
+      a: '2',
+      'a.b': '1',
+      c: { d: '3' }
+    });
+  });
+
+  it('keeps __proto__ segments as plain keys', () => {
+    const tree = nestKeys({ '__proto__.polluted': 'x', 'a.__proto__': 'y' });
+
+    assert.equal({}.polluted, undefined);
+    assert.equal(JSON.stringify(tree), '{"__proto__":{"polluted":"x"},"a":{"__proto__":"y"}}');
+  });
+});
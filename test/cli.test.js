@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffValues, diffNamespace, formatDiffs } from '../src/cli/diff.js';
+import { flatten, unflatten, filePath } from '../src/cli/localeFiles.js';
+import { extractKeys } from '../src/cli/extract.js';
+
+describe('flatten and unflatten', () => {
+  it('joins nested keys with the separator and skips non-strings', () => {
+    assert.deepEqual(
+      flatten({ home: { title: 'Home', cta: { label: 'Go' } }, count: 3, list: ['a'] }),
+      { 'home.title': 'Home', 'home.cta.label': 'Go' }
+    );
+    assert.deepEqual(flatten({ a: { b: 'x' } }, '/'), { 'a/b': 'x' });
+  });
+
+  it('round-trips nested values', () => {
+    const nested = { home: { title: 'Home', cta: { label: 'Go' } }, footer: 'Bye' };
+    assert.deepEqual(unflatten(flatten(nested)), nested);
+  });
+
+  it('stays flat when a key is both a value and a parent', () => {
+    const values = { home: 'Home', 'home.title': 'Title' };
+    assert.deepEqual(unflatten(values), values);
+  });
+
+  it('fills the path pattern', () => {
+    assert.equal(filePath('locales', '{locale}/{namespace}.json', 'ui', 'fr'), 'locales/fr/ui.json');
+  });
+});
+
+describe('diff', () => {
+  it('splits keys into local-only, remote-only and changed', () => {
+    assert.deepEqual(diffValues({ a: '1', b: '2', c: '3' }, { b: '2', c: 'x', d: '4' }), {
+      localOnly: [{ key: 'a', value: '1' }],
+      remoteOnly: [{ key: 'd', value: '4' }],
+      changed: [{ key: 'c', local: '3', remote: 'x' }]
+    });
+  });
+
+  it('skips identical locales', () => {
+    const diffs = diffNamespace('ui', { en: { a: '1' }, fr: { a: 'un' } }, { en: { a: '1' }, fr: {} }, ['en', 'fr']);
+    assert.equal(diffs.length, 1);
+    assert.equal(diffs[0].locale, 'fr');
+  });
+
+  it('renders a push and a pull from opposite sides', () => {
+    const diffs = diffNamespace('ui', { fr: { a: 'un', b: 'deux' } }, { fr: { b: '2', c: 'trois' } }, ['fr']);
+    assert.equal(formatDiffs(diffs, 'push'), [
+      'ui [fr]',
+      '  + a: "un"',
+      '  ~ b: "2" -> "deux"',
+      '  = c: only on the server, kept'
+    ].join('\n'));
+    assert.equal(formatDiffs(diffs, 'pull'), [
+      'ui [fr]',
+      '  + c: "trois"',
+      '  ~ b: "deux" -> "2"',
+      '  - a: "un"'
+    ].join('\n'));
+  });
+});
+
+describe('extractKeys', () => {
+  it('finds literal keys with their lines and skips dynamic ones', () => {
+    const source = "t('home.title');\nformat('nope');\ni18n.t(\"footer\");\nt(`user.${id}`);\nt(`static`);";
+    assert.deepEqual(extractKeys(source, ['t', 'i18n.t']), [
+      { key: 'home.title', line: 1 },
+      { key: 'footer', line: 3 },
+      { key: 'static', line: 5 }
+    ]);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mock } from 'node:test';
+import express from 'express';
+import Namespace from '../src/models/Namespace.js';
+import Locale from '../src/models/Locale.js';
+import Translation from '../src/models/Translation.js';
+import importExportRoutes from '../src/routes/importExport.js';
+
+// Query chains resolve to fixed rows so no database is needed
+const rows = (result) => ({
+  select() { return this; },
+  sort() { return this; },
+  lean: async () => result,
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+const locale = (code) => ({
+  code,
+  enabled: true,
+  pluralCategories: { cardinal: ['one', 'other'], ordinal: ['one', 'two', 'few', 'other'] }
+});
+
+const frenchTranslator = {
+  actor: 'translator',
+  grants: [{ role: 'translator', namespaces: ['ui'], locales: ['fr'], tenantIds: [] }]
+};
+
+const CSV = 'key,en,fr\nhome.title,Home,Accueil\n';
+
+describe('POST /import/:namespace', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    mock.method(Namespace, 'find', () => rows([new Namespace({ name: 'ui', sourceLocale: 'en', conventions: { keyPattern: '^[a-z.]+$' } })]));
+    mock.method(Locale, 'find', () => rows([locale('en'), locale('fr')]));
+    mock.method(Translation, 'find', () => rows([]));
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.identity = frenchTranslator;
+      next();
+    });
+    app.use('/api/i18n', importExportRoutes);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/i18n`;
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  const importCsv = (body) => fetch(`${baseUrl}/import/ui`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ format: 'csv', content: CSV, ...body })
+  });
+
+  it('rejects a file read for every locale when the grant is locale-scoped', async () => {
+    const response = await importCsv({});
+    const payload = await response.json();
+
+    assert.equal(response.status, 403);
+    assert.equal(payload.code, 'FORBIDDEN');
+  });
+
+  it('only reads the granted locale when one is named', async () => {
+    const response = await importCsv({ locale: 'fr' });
+    const payload = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(payload.data.added.map(row => row.locale), ['fr']);
+    assert.equal(payload.data.dryRun, true);
+  });
+
+  it('reports keys that break the namespace conventions as invalid', async () => {
+    const response = await importCsv({ locale: 'fr', content: 'key,fr\nBad Key,Mauvais\n' });
+    const payload = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(payload.data.added.length, 0);
+    assert.equal(payload.data.invalid[0].errors[0].code, 'INVALID_KEY');
+  });
+
+  it('still checks the named locale against the grants', async () => {
+    const response = await importCsv({ locale: 'en' });
+    assert.equal(response.status, 403);
+  });
+});
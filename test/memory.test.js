@@ -0,0 +1,69 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mock } from 'node:test';
+import express from 'express';
+import Locale from '../src/models/Locale.js';
+import TranslationMemory from '../src/models/TranslationMemory.js';
+import memoryRoutes from '../src/routes/memory.js';
+
+const rows = (result) => ({
+  select() { return this; },
+  sort() { return this; },
+  lean: async () => result,
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+const identities = {
+  scoped: { actor: 'scoped', grants: [{ role: 'translator', namespaces: ['ui'], locales: ['fr'], tenantIds: [] }] },
+  global: { actor: 'global', grants: [{ role: 'viewer', namespaces: [], locales: [], tenantIds: [] }] }
+};
+
+describe('POST /memory/suggestions', () => {
+  let server;
+  let baseUrl;
+  let searched;
+
+  before(async () => {
+    mock.method(Locale, 'find', () => rows(['en', 'fr'].map(code => ({ code, enabled: true }))));
+    mock.method(TranslationMemory, 'findExact', (sourceLocale, targetLocale, hash, namespaces) => {
+      searched = namespaces;
+      return [];
+    });
+    mock.method(TranslationMemory, 'findCandidates', async () => []);
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.identity = identities[req.headers['x-identity']];
+      next();
+    });
+    app.use('/api/i18n', memoryRoutes);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/i18n`;
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  const suggestFor = (identity) => fetch(`${baseUrl}/memory/suggestions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Identity': identity },
+    body: JSON.stringify({ text: 'Home', sourceLocale: 'en', targetLocale: 'fr' })
+  });
+
+  it('only searches the namespaces a scoped grant can read', async () => {
+    const response = await suggestFor('scoped');
+    assert.equal(response.status, 200);
+    assert.deepEqual(searched, ['ui']);
+  });
+
+  it('searches every namespace for an unrestricted grant', async () => {
+    const response = await suggestFor('global');
+    assert.equal(response.status, 200);
+    assert.equal(searched, null);
+  });
+});
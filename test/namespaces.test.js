@@ -0,0 +1,64 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mock } from 'node:test';
+import express from 'express';
+import Locale from '../src/models/Locale.js';
+import namespaceRoutes from '../src/routes/namespaces.js';
+
+const rows = (result) => ({
+  select() { return this; },
+  sort() { return this; },
+  lean: async () => result,
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+});
+
+const tenantAdmin = {
+  actor: 'admin',
+  grants: [{ role: 'admin', namespaces: [], locales: [], tenantIds: ['acme'] }]
+};
+
+describe('POST /namespaces', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    mock.method(Locale, 'find', () => rows([{ code: 'en', enabled: true }]));
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.identity = tenantAdmin;
+      next();
+    });
+    app.use('/api/namespaces', namespaceRoutes);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/namespaces`;
+  });
+
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  const register = (body) => fetch(baseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: 'ui', ...body })
+  });
+
+  it('rejects a glossary tenant outside the admin grants', async () => {
+    const response = await register({ glossaryTenantId: 'globex' });
+    assert.equal(response.status, 403);
+  });
+
+  it('rejects locales missing from the registry', async () => {
+    const response = await register({ sourceLocale: 'en', requiredLocales: ['fr'] });
+    const payload = await response.json();
+
+    assert.equal(response.status, 400);
+    assert.equal(payload.code, 'UNKNOWN_LOCALE');
+    assert.match(payload.error, /fr/);
+  });
+});
@@ -0,0 +1,25 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { lintRuleSettings, fieldErrorsOf } from '../src/middleware/validate.js';
+
+describe('lintRuleSettings', () => {
+  it('accepts severities and options the rule understands', () => {
+    const settings = { placeholders: 'error', untranslated: { options: { ignore: ['OK'] } }, length: { severity: 'info', options: { maxRatio: 3 } } };
+    assert.equal(lintRuleSettings.safeParse(settings).success, true);
+  });
+
+  it('rejects malformed or unknown options per rule', () => {
+    const result = lintRuleSettings.safeParse({
+      untranslated: { options: { ignore: 5 } },
+      length: { options: { maxRatio: -1 } },
+      whitespace: { options: { trim: true } }
+    });
+
+    assert.equal(result.success, false);
+    assert.deepEqual(fieldErrorsOf('body', result.error).map(({ field, code }) => [field, code]), [
+      ['body.untranslated.options.ignore', 'INVALID_TYPE'],
+      ['body.length.options.maxRatio', 'TOO_SMALL'],
+      ['body.whitespace.options', 'INVALID_VALUE']
+    ]);
+  });
+});
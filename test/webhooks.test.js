@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { signPayload, backoffDelay, isPrivateAddress, assertDeliverableUrl } from '../src/services/webhooks.js';
+
+describe('signPayload', () => {
+  it('signs "timestamp.body" with HMAC-SHA256', () => {
+    const body = JSON.stringify({ event: 'translation.updated' });
+    const expected = crypto.createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+    assert.equal(signPayload('secret', body, 1700000000), `t=1700000000,v1=${expected}`);
+  });
+
+  it('changes with the secret, the body and the timestamp', () => {
+    const base = signPayload('secret', '{}', 1);
+    assert.notEqual(signPayload('other', '{}', 1), base);
+    assert.notEqual(signPayload('secret', '{"a":1}', 1), base);
+    assert.notEqual(signPayload('secret', '{}', 2), base);
+  });
+});
+
+describe('backoffDelay', () => {
+  it('doubles per attempt within the jitter band', () => {
+    const first = backoffDelay(1);
+    const third = backoffDelay(3);
+    assert.ok(first >= 24000 && first <= 36000);
+    assert.ok(third >= 96000 && third <= 144000);
+  });
+});
+
+describe('isPrivateAddress', () => {
+  it('flags loopback, private, link-local and mapped addresses', () => {
+    ['127.0.0.1', '10.0.0.5', '172.16.3.4', '192.168.1.1', '169.254.169.254', '::1', 'fe80::1', 'fd12::1', '::ffff:7f00:1']
+      .forEach(address => assert.equal(isPrivateAddress(address), true, address));
+  });
+
+  it('passes public addresses', () => {
+    ['8.8.8.8', '1.1.1.1', '2606:4700::1111'].forEach(address => assert.equal(isPrivateAddress(address), false, address));
+  });
+});
+
+describe('assertDeliverableUrl', () => {
+  it('rejects private hosts however the address is written', async () => {
+    for (const url of ['http://127.0.0.1/hook', 'http://[::1]/hook', 'http://2130706433/hook', 'http://169.254.169.254/latest']) {
+      await assert.rejects(assertDeliverableUrl(url), { status: 400, code: 'PRIVATE_HOST' }, url);
+    }
+  });
+
+  it('accepts public addresses', async () => {
+    await assertDeliverableUrl('https://8.8.8.8/hook');
+  });
+});